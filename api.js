@@ -0,0 +1,495 @@
+const express = require("express");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { BRAND_ASSET_KINDS } = require("./branding");
+
+const FINISHED_STATES = ["done", "failed", "cancelled"];
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Public view of a job record
+ */
+function jobView(jobQueue, job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    position: job.status === "queued" ? jobQueue.positionOf(job.id) : 0,
+    progress: job.progress,
+    message: job.message,
+    error: job.error,
+    sessionId: job.owner,
+    result: job.result
+      ? {
+          ...job.result,
+          downloadUrl: `/api/jobs/${job.id}/download?sessionId=${job.owner}`,
+        }
+      : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * HTTP API for headless generation. Jobs run through the same queue (and
+ * therefore the same createStoryVideo/createMixedVideo runners) as the
+ * Socket.IO flow. See README.md for the endpoint reference.
+ *
+ * `uploadFields` is the multer middleware used by /upload, `jobParams`
+ * builds a job's params from (type, target, options, owner) where the
+ * target is { sessionId } or { projectId } and the owner is the session
+ * that must own the project and brand the job uses, `validateStorySession` returns the
+ * pre-flight report for a target. `sessions` issues upload sessions,
+ * `projects` is the ProjectStore, `brands` the BrandStore and `retention`
+ * runs disk cleanup for the admin endpoints, which need `adminToken` as a
+ * bearer token.
+ */
+function createApiRouter({
+  jobQueue,
+  uploadFields,
+  jobParams,
+  validateStorySession,
+  sessions,
+  projects,
+  brands,
+  retention,
+  adminToken,
+  outputDir,
+}) {
+  const router = express.Router();
+
+  // Admin endpoints are off unless ADMIN_TOKEN is set
+  const requireAdmin = (req, res, next) => {
+    if (!adminToken) {
+      return res
+        .status(403)
+        .json({ error: "Admin endpoints are disabled (set ADMIN_TOKEN)" });
+    }
+    const given = Buffer.from(
+      String(req.headers.authorization || "").replace(/^Bearer /, "")
+    );
+    const expected = Buffer.from(adminToken);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return res.status(401).json({ error: "Invalid admin token" });
+    }
+    next();
+  };
+
+  // Disk usage of outputs, uploads, temp dirs, projects, brands and clip cache
+  router.get("/admin/storage", requireAdmin, (req, res) => {
+    res.json(retention.report());
+  });
+
+  // Run the retention cleanup now
+  router.post("/admin/cleanup", requireAdmin, (req, res) => {
+    const removed = retention.sweep();
+    res.json({ removed, storage: retention.report() });
+  });
+
+  // Multipart uploads without a sessionId get a fresh one
+  const assignSession = (req, res, next) => {
+    if (req.is("multipart/form-data") && !req.query.sessionId) {
+      req.query.sessionId = sessions.create();
+    }
+    next();
+  };
+
+  // Issue an upload session for /upload?sessionId=<id>
+  router.post("/sessions", (req, res) => {
+    res.status(201).json({ sessionId: sessions.create() });
+  });
+
+  // Pre-flight report for the story files uploaded to a session;
+  // ?timing=audio skips the gap warnings, since that timing fills them
+  router.get("/sessions/:sessionId/validate", (req, res) => {
+    res.json(
+      validateStorySession(
+        { sessionId: req.params.sessionId },
+        req.query.timing
+      )
+    );
+  });
+
+  // Jobs, projects and brands belong to the session that created them. Their
+  // routes take it as ?sessionId= and treat other sessions' records as
+  // missing.
+  const isOwner = (req, record) =>
+    Boolean(record.owner) && record.owner === req.query.sessionId;
+
+  // A record as clients see it: its owner is their sessionId
+  const recordView = ({ owner, ...record }) => ({
+    ...record,
+    sessionId: owner,
+  });
+
+  // Project record with the file names of its assets
+  const projectView = (project) => ({
+    ...recordView(project),
+    assets: projects.assets(project.id),
+  });
+
+  const findProject = (req, res, next) => {
+    req.project = projects.get(req.params.id);
+    if (!req.project || !isOwner(req, req.project)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    next();
+  };
+
+  router.get("/projects", (req, res) => {
+    res.json(
+      projects
+        .list()
+        .filter((project) => isOwner(req, project))
+        .map(recordView)
+    );
+  });
+
+  // A project created without a session gets a new one to own it
+  router.post("/projects", express.json(), (req, res) => {
+    const body = req.body || {};
+    try {
+      const owner = req.query.sessionId || body.sessionId || sessions.create();
+      sessions.dir(owner); // Throws unless the server issued it
+      let project = projects.create(body.name, owner);
+      if (body.settings) {
+        project = projects.update(project.id, { settings: body.settings });
+      }
+      res
+        .status(201)
+        .location(`/api/projects/${project.id}`)
+        .json(projectView(project));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get("/projects/:id", findProject, (req, res) => {
+    res.json(projectView(req.project));
+  });
+
+  // Rename a project and/or replace its render settings
+  router.put("/projects/:id", findProject, express.json(), (req, res) => {
+    const { name, settings } = req.body || {};
+    try {
+      res.json(
+        projectView(projects.update(req.project.id, { name, settings }))
+      );
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete("/projects/:id", findProject, (req, res) => {
+    projects.remove(req.project.id);
+    res.status(204).end();
+  });
+
+  // Add or replace project assets (same fields as a story upload)
+  router.post(
+    "/projects/:id/files",
+    findProject,
+    (req, res, next) => {
+      req.uploadDir = projects.dir(req.project.id);
+      next();
+    },
+    uploadFields,
+    (req, res) => {
+      const files = {};
+      for (const [kind, uploaded] of Object.entries(req.files || {})) {
+        files[kind] = uploaded.map((file) => file.filename);
+      }
+      projects.replaceAssets(req.project.id, files);
+      res.json(projectView(projects.get(req.project.id)));
+    }
+  );
+
+  router.delete("/projects/:id/files/:kind/:name", findProject, (req, res) => {
+    try {
+      if (
+        !projects.removeAsset(req.project.id, req.params.kind, req.params.name)
+      ) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // The subtitle file (or scenes manifest) as text, for editing in place
+  router.get("/projects/:id/subtitles", findProject, (req, res) => {
+    const timing = projects.readTimingFile(req.project.id);
+    if (!timing) {
+      return res.status(404).json({ error: "Project has no subtitles" });
+    }
+    res.json(timing);
+  });
+
+  router.put(
+    "/projects/:id/subtitles",
+    findProject,
+    express.json({ limit: "5mb" }),
+    (req, res) => {
+      const content = req.body && req.body.content;
+      if (typeof content !== "string") {
+        return res.status(400).json({ error: "Missing content" });
+      }
+      try {
+        res.json(projects.writeTimingFile(req.project.id, content));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    }
+  );
+
+  router.get("/projects/:id/validate", findProject, (req, res) => {
+    res.json(
+      validateStorySession({ projectId: req.project.id }, req.query.timing)
+    );
+  });
+
+  // Brand record with the file names of its assets
+  const brandView = (brand) => ({
+    ...recordView(brand),
+    assets: brands.assets(brand.id),
+  });
+
+  const findBrand = (req, res, next) => {
+    req.brand = brands.get(req.params.id);
+    if (!req.brand || !isOwner(req, req.brand)) {
+      return res.status(404).json({ error: "Brand not found" });
+    }
+    next();
+  };
+
+  router.get("/brands", (req, res) => {
+    res.json(
+      brands
+        .list()
+        .filter((brand) => isOwner(req, brand))
+        .map(recordView)
+    );
+  });
+
+  // A brand created without a session gets a new one to own it
+  router.post("/brands", express.json(), (req, res) => {
+    const body = req.body || {};
+    try {
+      const owner = req.query.sessionId || body.sessionId || sessions.create();
+      sessions.dir(owner); // Throws unless the server issued it
+      const brand = brands.create(body.name, body.settings, owner);
+      res
+        .status(201)
+        .location(`/api/brands/${brand.id}`)
+        .json(brandView(brand));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get("/brands/:id", findBrand, (req, res) => {
+    res.json(brandView(req.brand));
+  });
+
+  // Rename a brand and/or replace its settings
+  router.put("/brands/:id", findBrand, express.json(), (req, res) => {
+    const { name, settings } = req.body || {};
+    try {
+      res.json(brandView(brands.update(req.brand.id, { name, settings })));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete("/brands/:id", findBrand, (req, res) => {
+    brands.remove(req.brand.id);
+    res.status(204).end();
+  });
+
+  // Add or replace brand files: watermark, titleImage, endImage, outro
+  router.post(
+    "/brands/:id/files",
+    findBrand,
+    (req, res, next) => {
+      req.uploadDir = brands.dir(req.brand.id);
+      req.uploadKinds = Object.keys(BRAND_ASSET_KINDS);
+      next();
+    },
+    uploadFields,
+    (req, res) => {
+      const files = {};
+      for (const [kind, list] of Object.entries(req.files || {})) {
+        files[kind] = list.map((file) => file.filename);
+      }
+      brands.replaceAssets(req.brand.id, files);
+      res.json(brandView(brands.get(req.brand.id)));
+    }
+  );
+
+  router.delete("/brands/:id/files/:kind/:name", findBrand, (req, res) => {
+    try {
+      if (!brands.removeAsset(req.brand.id, req.params.kind, req.params.name)) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  const findJob = (req, res, next) => {
+    req.job = jobQueue.get(req.params.id);
+    if (!req.job || !isOwner(req, req.job)) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    next();
+  };
+
+  router.get("/jobs", (req, res) => {
+    res.json(
+      jobQueue
+        .list()
+        .filter((job) => isOwner(req, job))
+        .map((job) => jobView(jobQueue, job))
+    );
+  });
+
+  // Create a job: multipart with files, or JSON referencing a session upload
+  // or a project
+  router.post(
+    "/jobs",
+    assignSession,
+    (req, res, next) =>
+      req.is("multipart/form-data") ? uploadFields(req, res, next) : next(),
+    express.json(),
+    (req, res) => {
+      const body = req.body || {};
+      const type = body.type || "story";
+      // The upload session, or for a project job the project's session
+      const sessionId = req.query.sessionId || body.sessionId;
+      const projectId = body.projectId;
+
+      let options = body.options || {};
+      if (typeof options === "string") {
+        try {
+          options = JSON.parse(options);
+        } catch (err) {
+          return res
+            .status(400)
+            .json({ error: `Invalid options JSON: ${err.message}` });
+        }
+      }
+
+      if (!sessionId) {
+        return res.status(400).json({ error: "Missing sessionId or files" });
+      }
+
+      try {
+        sessions.dir(sessionId); // Throws unless the server issued it
+        const target = projectId ? { projectId } : { sessionId };
+        const job = jobQueue.add(
+          type,
+          jobParams(type, target, options, sessionId),
+          sessionId
+        );
+        res
+          .status(201)
+          .location(`/api/jobs/${job.id}`)
+          .json(jobView(jobQueue, job));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    }
+  );
+
+  router.get("/jobs/:id", findJob, (req, res) => {
+    res.json(jobView(jobQueue, req.job));
+  });
+
+  // Server-Sent Events stream of a job's state until it finishes
+  router.get("/jobs/:id/events", findJob, (req, res) => {
+    const job = req.job;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const listeners = {};
+    const heartbeat = setInterval(
+      () => res.write(": keep-alive\n\n"),
+      SSE_HEARTBEAT_MS
+    );
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      for (const [event, listener] of Object.entries(listeners)) {
+        jobQueue.off(event, listener);
+      }
+      res.end();
+    };
+
+    const on = (event, handler) => {
+      listeners[event] = (eventJob, ...args) => {
+        if (eventJob.id === job.id) handler(eventJob, ...args);
+      };
+      jobQueue.on(event, listeners[event]);
+    };
+    on("queued", (j, position) => send("queued", { id: j.id, position }));
+    on("started", (j) => send("started", jobView(jobQueue, j)));
+    on("progress", (j, p) => send("progress", { id: j.id, ...p }));
+    for (const event of FINISHED_STATES) {
+      on(event, (j) => {
+        send(event, jobView(jobQueue, j));
+        close();
+      });
+    }
+    req.on("close", close);
+
+    send("state", jobView(jobQueue, job));
+    if (FINISHED_STATES.includes(job.status)) close();
+  });
+
+  router.get("/jobs/:id/download", findJob, (req, res) => {
+    const job = req.job;
+    if (job.status !== "done") {
+      return res
+        .status(409)
+        .json({ error: `Job is ${job.status}, no output to download` });
+    }
+
+    const filePath = path.join(outputDir, job.result.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(410).json({ error: "Output file no longer exists" });
+    }
+    res.download(filePath, job.result.filename);
+  });
+
+  // Cancel (if still active) and delete a job with its output
+  router.delete("/jobs/:id", findJob, (req, res) => {
+    const job = req.job;
+
+    if (job.status === "done" && job.result) {
+      fs.rmSync(path.join(outputDir, job.result.filename), { force: true });
+    }
+    jobQueue.remove(job.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
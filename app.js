@@ -1,11 +1,24 @@
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
-const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const { createStoryVideo } = require("./script");
 const { createMixedVideo } = require("./mixer");
+const { JobQueue } = require("./jobs");
+const { ProjectStore } = require("./projects");
+const { BrandStore } = require("./brands");
+const { mergeOptions } = require("./config");
+const {
+  BRAND_ASSET_KINDS,
+  pickBrandSettings,
+  brandAssetOptions,
+} = require("./branding");
+const { Retention } = require("./retention");
+const { SessionStore, createUploadFields } = require("./uploads");
+const { createApiRouter } = require("./api");
+const { validateStoryInputs } = require("./validate");
+const { formatFromFilename } = require("./subtitles");
 
 const app = express();
 const server = http.createServer(app);
@@ -13,187 +26,568 @@ const io = new Server(server);
 
 const PORT = process.env.PORT || 7860; // Default Hugging Face port
 
-// Ensure uploads directory exists
 const UPLOADS_DIR = path.join(__dirname, "uploads");
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+const sessions = new SessionStore({ uploadsDir: UPLOADS_DIR });
+
+const OUTPUT_DIR = path.join(__dirname, "output");
+const PROJECTS_DIR = path.join(__dirname, "data", "projects");
+const projects = new ProjectStore({ dataDir: PROJECTS_DIR });
+const BRANDS_DIR = path.join(__dirname, "data", "brands");
+const brands = new BrandStore({ dataDir: BRANDS_DIR });
+
+// Files go to req.uploadDir, a session or project or brand folder, one
+// subfolder per field
+const uploadFields = createUploadFields({
+  sessions,
+  fields: [
+    { name: "audio", maxCount: 1 },
+    { name: "srt", maxCount: 1 },
+    { name: "scenes", maxCount: 1 },
+    { name: "images", maxCount: 100 },
+    { name: "bgAudio", maxCount: 20 },
+    { name: "music", maxCount: 1 },
+    { name: "visual", maxCount: 50 },
+    ...Object.keys(BRAND_ASSET_KINDS).map((name) => ({ name, maxCount: 1 })),
+  ],
+});
+
+app.use(express.static("public"));
+// The subtitle parser is shared with the browser preview
+app.get("/subtitles.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "subtitles.js"));
+});
+app.use("/output", express.static(OUTPUT_DIR));
+
+// Upload endpoint
+app.post("/upload", uploadFields, (req, res) => {
+  res.json({ success: true });
+});
+
+const JOBS_DIR = path.join(__dirname, "data", "jobs");
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 1;
+// How long a job survives without any connected watcher before it is cancelled
+const CANCEL_GRACE_MS = parseInt(process.env.CANCEL_GRACE_MS) || 60000;
+
+/**
+ * Folder holding the story inputs of a job target: { sessionId } for a
+ * one-off upload, { projectId } for a saved project
+ */
+function storyDir(target) {
+  return target.projectId
+    ? projects.dir(target.projectId)
+    : sessions.dir(target.sessionId);
 }
 
-// Multer storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const sId = req.query.sessionId || req.body.sessionId || "default";
-    const sessionDir = path.join(UPLOADS_DIR, sId);
-
-    // Sub-directories for different types
-    let subDir = "others";
-    if (file.fieldname === "audio") subDir = "audio";
-    if (file.fieldname === "srt") subDir = "srt";
-    if (file.fieldname === "bgAudio") subDir = "bgAudio";
-    if (file.fieldname === "visual") subDir = "visual";
-    if (file.fieldname === "images") subDir = "images";
-
-    const finalDir = path.join(sessionDir, subDir);
-    console.log(
-      `[Upload] Saving ${file.fieldname} to ${finalDir} (Session: ${sId})`
+/**
+ * Locate the story inputs (audio, subtitles or scenes manifest, images) in
+ * a session or project folder
+ */
+function loadStorySession(sessionDir) {
+  const audioDir = path.join(sessionDir, "audio");
+  const srtDir = path.join(sessionDir, "srt");
+  const scenesDir = path.join(sessionDir, "scenes");
+  const imageDir = path.join(sessionDir, "images");
+  const musicDir = path.join(sessionDir, "music");
+
+  if (!fs.existsSync(audioDir))
+    throw new Error("Audio directory not found. Upload may have failed.");
+  if (!fs.existsSync(srtDir) && !fs.existsSync(scenesDir))
+    throw new Error(
+      "SRT or scenes manifest not found. Upload may have failed."
     );
+  if (!fs.existsSync(imageDir))
+    throw new Error("Images directory not found. Upload may have failed.");
+
+  const audioFiles = fs.readdirSync(audioDir);
+  const srtFiles = fs.existsSync(srtDir) ? fs.readdirSync(srtDir) : [];
+  const scenesFiles = fs.existsSync(scenesDir) ? fs.readdirSync(scenesDir) : [];
+  const musicFiles = fs.existsSync(musicDir) ? fs.readdirSync(musicDir) : [];
+
+  if (
+    audioFiles.length === 0 ||
+    (srtFiles.length === 0 && scenesFiles.length === 0)
+  ) {
+    throw new Error("Missing audio, or SRT / scenes manifest file");
+  }
+
+  // A scenes manifest takes precedence over the SRT when both are uploaded
+  const scenesManifest = scenesFiles.length
+    ? fs.readFileSync(path.join(scenesDir, scenesFiles[0]), "utf8")
+    : null;
+  const srtContent = scenesManifest
+    ? null
+    : fs.readFileSync(path.join(srtDir, srtFiles[0]), "utf8");
+
+  return {
+    sessionDir,
+    audioPath: path.join(audioDir, audioFiles[0]),
+    srtContent,
+    subtitleFormat: srtContent ? formatFromFilename(srtFiles[0]) : null,
+    scenesManifest,
+    imageDir,
+    musicPath: musicFiles.length ? path.join(musicDir, musicFiles[0]) : null,
+  };
+}
+
+/**
+ * Pre-flight report for the story inputs of a session or project
+ */
+function validateStorySession(target, timingMode) {
+  try {
+    return validateStoryInputs({
+      ...loadStorySession(storyDir(target)),
+      timingMode,
+    });
+  } catch (err) {
+    return {
+      ok: false,
+      errorCount: 1,
+      warningCount: 0,
+      sceneCount: 0,
+      imageCount: 0,
+      issues: [{ severity: "error", scene: null, message: err.message }],
+    };
+  }
+}
+
+/**
+ * Branding options of a job: its brand preset, overridden by branding
+ * files uploaded with the job's inputs (`dir`), overridden by the job's
+ * own branding settings
+ */
+function jobBranding({ brandId, branding }, dir) {
+  const preset = brandId ? brands.brandingOptions(brandId) : {};
+  return mergeOptions(
+    mergeOptions(preset, brandAssetOptions(dir)),
+    pickBrandSettings(branding || {})
+  );
+}
 
-    if (!fs.existsSync(finalDir)) {
-      fs.mkdirSync(finalDir, { recursive: true });
+// File name part for a project's outputs
+const projectSlug = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "project";
+
+/**
+ * Render a story video from a session's uploads or a project. A preview
+ * keeps the uploads and saves its scene layout, which the full render of the
+ * same session reuses with `reuseLayout`. Sessions are deleted after a full
+ * render; projects keep their assets and record the render in their history.
+ */
+async function runStoryJob(job, onProgress, signal) {
+  const {
+    sessionId,
+    projectId,
+    captions,
+    output,
+    transition,
+    motion,
+    videoScenes,
+    music,
+    loudness,
+    timing,
+    force,
+    preview,
+    reuseLayout,
+  } = job.params;
+  const project = projectId ? projects.get(projectId) : null;
+  if (projectId && !project) throw new Error("Project no longer exists");
+
+  const {
+    sessionDir,
+    audioPath,
+    srtContent,
+    subtitleFormat,
+    scenesManifest,
+    imageDir,
+    musicPath,
+  } = loadStorySession(storyDir(job.params));
+
+  if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR);
+
+  const outputName = `${preview ? "preview" : "video"}_${
+    project ? projectSlug(project.name) : sessionId
+  }_${Date.now()}.mp4`;
+  const outputPath = path.join(OUTPUT_DIR, outputName);
+  const layoutPath = path.join(sessionDir, "layout.json");
+
+  onProgress({ status: "starting", message: "Initializing..." });
+
+  const result = await createStoryVideo({
+    srtContent,
+    subtitleFormat,
+    scenesManifest,
+    imageDir,
+    audioPath,
+    outputName: outputPath,
+    captions: captions || null,
+    output: output || {},
+    transition,
+    motion,
+    videoScenes: videoScenes || {},
+    musicPath,
+    music: music || {},
+    loudness: loudness || null,
+    timing: timing || {},
+    branding: jobBranding(job.params, sessionDir),
+    force: Boolean(force),
+    preview: preview || null,
+    layout:
+      reuseLayout && fs.existsSync(layoutPath)
+        ? JSON.parse(fs.readFileSync(layoutPath, "utf8"))
+        : null,
+    signal,
+    onProgress,
+  });
+
+  if (preview) {
+    fs.writeFileSync(layoutPath, JSON.stringify(result.layout));
+  } else if (!project) {
+    // Cleanup session uploads after successful generation
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+  }
+
+  const rendered = {
+    url: `/output/${outputName}`,
+    filename: outputName,
+    loudness: result.loudness,
+    preview: Boolean(preview),
+  };
+  if (project) {
+    const settings = {};
+    for (const key of STORY_SETTINGS) {
+      if (job.params[key] !== undefined) settings[key] = job.params[key];
     }
-    cb(null, finalDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
-  },
+    projects.addRender(projectId, { jobId: job.id, ...rendered, settings });
+  }
+  return rendered;
+}
+
+/**
+ * Render a mixed video (visual + main audio + background audio)
+ */
+async function runMixedJob(job, onProgress, signal) {
+  const { sessionId, bgVolume, framerate, playlist, background, loudness } =
+    job.params;
+  const sessionDir = sessions.dir(sessionId);
+  const audioDir = path.join(sessionDir, "audio");
+  const bgAudioDir = path.join(sessionDir, "bgAudio");
+  const visualDir = path.join(sessionDir, "visual");
+
+  if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR);
+
+  if (!fs.existsSync(audioDir) || fs.readdirSync(audioDir).length === 0)
+    throw new Error("Main audio missing");
+  if (!fs.existsSync(bgAudioDir) || fs.readdirSync(bgAudioDir).length === 0)
+    throw new Error("Background audio missing");
+  if (!fs.existsSync(visualDir) || fs.readdirSync(visualDir).length === 0)
+    throw new Error("Visual (Image/Video) missing");
+
+  const mainAudio = path.join(audioDir, fs.readdirSync(audioDir)[0]);
+  // Playlists play in file name order
+  const listDir = (dir) =>
+    fs
+      .readdirSync(dir)
+      .sort()
+      .map((file) => path.join(dir, file));
+
+  const outputName = `mixed_${sessionId}_${Date.now()}.mp4`;
+  const outputPath = path.join(OUTPUT_DIR, outputName);
+
+  onProgress({ status: "starting", message: "Initializing Mix..." });
+
+  const { loudness: loudnessResult } = await createMixedVideo({
+    inputPaths: listDir(visualDir),
+    mainAudioPath: mainAudio,
+    bgAudioPaths: listDir(bgAudioDir),
+    outputPath: outputPath,
+    bgVolume: parseFloat(bgVolume) || 0.3,
+    framerate: parseInt(framerate) || 30,
+    playlist: playlist || {},
+    background: background || {},
+    loudness: loudness || null,
+    branding: jobBranding(job.params, sessionDir),
+    signal,
+    onProgress,
+  });
+
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+
+  return {
+    url: `/output/${outputName}`,
+    filename: outputName,
+    loudness: loudnessResult,
+  };
+}
+
+// Story render options that are saved as a project's settings
+const STORY_SETTINGS = [
+  "captions",
+  "output",
+  "transition",
+  "motion",
+  "videoScenes",
+  "music",
+  "loudness",
+  "timing",
+  "branding",
+  "brandId",
+];
+
+// Render options each job type accepts from the socket payload / API
+const JOB_OPTIONS = {
+  story: [...STORY_SETTINGS, "force", "preview", "reuseLayout"],
+  mixed: [
+    "bgVolume",
+    "framerate",
+    "playlist",
+    "background",
+    "loudness",
+    "branding",
+    "brandId",
+  ],
+};
+
+/**
+ * Build a job's params from its target ({ sessionId } or { projectId }) and
+ * the client's options. A project or brand must belong to the session
+ * `owner`.
+ */
+function jobParams(type, target, options = {}, owner = null) {
+  if (!JOB_OPTIONS[type]) throw new Error(`Unknown job type "${type}"`);
+
+  let params;
+  if (target.projectId) {
+    if (type !== "story") throw new Error("Projects hold story videos only");
+    const project = projects.get(target.projectId);
+    if (!project || !owner || project.owner !== owner) {
+      throw new Error(`Project ${target.projectId} not found`);
+    }
+    params = { projectId: target.projectId };
+  } else if (target.sessionId) {
+    sessions.dir(target.sessionId); // Throws unless the server issued it
+    params = { sessionId: target.sessionId };
+  } else {
+    throw new Error("Missing sessionId or projectId");
+  }
+
+  for (const key of JOB_OPTIONS[type]) {
+    if (options[key] !== undefined) params[key] = options[key];
+  }
+  if (params.brandId) {
+    const brand = brands.get(params.brandId);
+    if (!brand || !owner || brand.owner !== owner) {
+      throw new Error(`Brand ${params.brandId} not found`);
+    }
+  }
+  return params;
+}
+
+const jobQueue = new JobQueue({
+  dataDir: JOBS_DIR,
+  maxConcurrent: MAX_CONCURRENT_JOBS,
+  runners: { story: runStoryJob, mixed: runMixedJob },
 });
 
-const upload = multer({ storage });
+// Relay queue events to the sockets watching each job (room "job:<id>")
+const jobRoom = (job) => `job:${job.id}`;
+jobQueue.on("queued", (job, position) => {
+  io.to(jobRoom(job)).emit("queued", { jobId: job.id, position });
+});
+jobQueue.on("progress", (job, p) => {
+  io.to(jobRoom(job)).emit("progress", { jobId: job.id, ...p });
+});
+jobQueue.on("done", (job) => {
+  io.to(jobRoom(job)).emit("finished", { jobId: job.id, ...job.result });
+});
+jobQueue.on("failed", (job) => {
+  io.to(jobRoom(job)).emit("error", { jobId: job.id, message: job.error });
+});
+jobQueue.on("cancelled", (job) => {
+  io.to(jobRoom(job)).emit("cancelled", { jobId: job.id });
+  clearOrphanTimer(job.id);
+});
 
-app.use(express.static("public"));
-app.use("/output", express.static(path.join(__dirname, "output")));
+// Jobs started from a socket are cancelled once nobody has watched them for
+// CANCEL_GRACE_MS (e.g. the editor closed the tab)
+const socketJobs = new Set();
+const orphanTimers = new Map();
 
-// Upload endpoint
-app.post(
-  "/upload",
-  upload.fields([
-    { name: "audio", maxCount: 1 },
-    { name: "srt", maxCount: 1 },
-    { name: "images", maxCount: 100 },
-    { name: "bgAudio", maxCount: 1 },
-    { name: "visual", maxCount: 1 },
-  ]),
-  (req, res) => {
-    res.json({ success: true });
+function clearOrphanTimer(jobId) {
+  clearTimeout(orphanTimers.get(jobId));
+  orphanTimers.delete(jobId);
+}
+
+function watcherCount(jobId) {
+  const room = io.sockets.adapter.rooms.get(`job:${jobId}`);
+  return room ? room.size : 0;
+}
+
+function scheduleOrphanChecks() {
+  for (const jobId of socketJobs) {
+    const job = jobQueue.get(jobId);
+    if (!job || (job.status !== "queued" && job.status !== "running")) {
+      socketJobs.delete(jobId);
+      clearOrphanTimer(jobId);
+      continue;
+    }
+    if (watcherCount(jobId) > 0 || orphanTimers.has(jobId)) continue;
+
+    orphanTimers.set(
+      jobId,
+      setTimeout(() => {
+        orphanTimers.delete(jobId);
+        if (watcherCount(jobId) === 0) {
+          console.log(`[Jobs] Owner of job ${jobId} gone, cancelling`);
+          jobQueue.cancel(jobId);
+        }
+      }, CANCEL_GRACE_MS)
+    );
   }
-);
+}
 
-// Store active processes
-const activeProcesses = new Map();
+/**
+ * Send a job's current state to a socket that (re)joins it
+ */
+function sendJobState(socket, job) {
+  if (job.status === "queued") {
+    socket.emit("queued", {
+      jobId: job.id,
+      position: jobQueue.positionOf(job.id),
+    });
+  } else if (job.status === "running") {
+    socket.emit("progress", {
+      jobId: job.id,
+      status: "running",
+      message: job.message,
+      progress: job.progress,
+    });
+  } else if (job.status === "done") {
+    socket.emit("finished", { jobId: job.id, ...job.result });
+  } else if (job.status === "failed") {
+    socket.emit("error", { jobId: job.id, message: job.error });
+  } else if (job.status === "cancelled") {
+    socket.emit("cancelled", { jobId: job.id });
+  }
+}
+
+/**
+ * Queue a job for a socket. Returns the job, or null when it was refused.
+ */
+function enqueueForSocket(socket, type, data) {
+  try {
+    if (!data) throw new Error("Missing sessionId or projectId");
+    const target = { sessionId: data.sessionId, projectId: data.projectId };
+    // Saved projects and brands must belong to the client's library session
+    const library = data.librarySessionId || data.sessionId;
+    const params = jobParams(type, target, data, library);
+    // A project job belongs to the session that owns the project
+    const owner = params.sessionId || library;
+    const job = jobQueue.add(type, params, owner);
+    socketJobs.add(job.id);
+    socket.join(jobRoom(job));
+    socket.emit("job-created", { jobId: job.id, sessionId: owner });
+    sendJobState(socket, job);
+    return job;
+  } catch (err) {
+    console.error("Enqueue error:", err);
+    socket.emit("error", { message: err.message });
+    return null;
+  }
+}
 
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id);
+  // Jobs this socket started
+  const startedJobs = new Set();
+
+  socket.on("start-generation", (data) => {
+    const job = enqueueForSocket(socket, "story", data);
+    if (job) startedJobs.add(job.id);
+  });
+
+  socket.on("start-mixed-generation", (data) => {
+    const job = enqueueForSocket(socket, "mixed", data);
+    if (job) startedJobs.add(job.id);
+  });
 
-  socket.on("start-generation", async (data) => {
-    const { sessionId } = data;
-    const sessionDir = path.join(UPLOADS_DIR, sessionId);
-    const audioDir = path.join(sessionDir, "audio");
-    const srtDir = path.join(sessionDir, "srt");
-    const imageDir = path.join(sessionDir, "images");
-    const outputDir = path.join(__dirname, "output");
-
-    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
-
-    try {
-      if (!fs.existsSync(audioDir))
-        throw new Error("Audio directory not found. Upload may have failed.");
-      if (!fs.existsSync(srtDir))
-        throw new Error("SRT directory not found. Upload may have failed.");
-      if (!fs.existsSync(imageDir))
-        throw new Error("Images directory not found. Upload may have failed.");
-
-      const audioFiles = fs.readdirSync(audioDir);
-      const srtFiles = fs.readdirSync(srtDir);
-
-      if (audioFiles.length === 0 || srtFiles.length === 0) {
-        throw new Error("Missing audio or SRT file");
-      }
-
-      const audioPath = path.join(audioDir, audioFiles[0]);
-      const srtContent = fs.readFileSync(
-        path.join(srtDir, srtFiles[0]),
-        "utf8"
-      );
-      const outputName = `video_${sessionId}_${Date.now()}.mp4`;
-      const outputPath = path.join(outputDir, outputName);
-
-      socket.emit("progress", {
-        status: "starting",
-        message: "Initializing...",
-      });
-
-      await createStoryVideo({
-        srtContent,
-        imageDir,
-        audioPath,
-        outputName: outputPath,
-        onProgress: (p) => {
-          socket.emit("progress", p);
-        },
-      });
-
-      socket.emit("finished", {
-        url: `/output/${outputName}`,
-        filename: outputName,
-      });
-
-      // Cleanup session uploads after successful generation
-      fs.rmSync(sessionDir, { recursive: true, force: true });
-    } catch (err) {
-      console.error("Generation error:", err);
-      socket.emit("error", { message: err.message });
+  // Only the socket that started a job, or a client holding the job's
+  // session (e.g. after a page reload), may watch or cancel it
+  const mayAccess = (job, data) =>
+    startedJobs.has(job.id) ||
+    (Boolean(job.owner) && job.owner === data.sessionId);
+
+  // Re-attach to a job after a page reload or server restart. Jobs of other
+  // sessions are reported as unknown.
+  socket.on("watch-job", (data) => {
+    const job = data && jobQueue.get(data.jobId);
+    if (!job || !mayAccess(job, data)) {
+      socket.emit("job-unknown", { jobId: data && data.jobId });
+      return;
     }
+    socket.join(jobRoom(job));
+    clearOrphanTimer(job.id);
+    sendJobState(socket, job);
   });
 
-  socket.on("start-mixed-generation", async (data) => {
-    const { sessionId, bgVolume, framerate } = data;
-    const sessionDir = path.join(UPLOADS_DIR, sessionId);
-    const audioDir = path.join(sessionDir, "audio");
-    const bgAudioDir = path.join(sessionDir, "bgAudio");
-    const visualDir = path.join(sessionDir, "visual");
-    const outputDir = path.join(__dirname, "output");
-
-    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
-
-    try {
-      if (!fs.existsSync(audioDir) || fs.readdirSync(audioDir).length === 0)
-        throw new Error("Main audio missing");
-      if (!fs.existsSync(bgAudioDir) || fs.readdirSync(bgAudioDir).length === 0)
-        throw new Error("Background audio missing");
-      if (!fs.existsSync(visualDir) || fs.readdirSync(visualDir).length === 0)
-        throw new Error("Visual (Image/Video) missing");
-
-      const mainAudio = path.join(audioDir, fs.readdirSync(audioDir)[0]);
-      const bgAudio = path.join(bgAudioDir, fs.readdirSync(bgAudioDir)[0]);
-      const visualInput = path.join(visualDir, fs.readdirSync(visualDir)[0]);
-
-      const outputName = `mixed_${sessionId}_${Date.now()}.mp4`;
-      const outputPath = path.join(outputDir, outputName);
-
-      socket.emit("progress", {
-        status: "starting",
-        message: "Initializing Mix...",
-      });
-
-      await createMixedVideo({
-        inputPath: visualInput,
-        mainAudioPath: mainAudio,
-        bgAudioPath: bgAudio,
-        outputPath: outputPath,
-        bgVolume: parseFloat(bgVolume) || 0.3,
-        framerate: parseInt(framerate) || 30,
-        onProgress: (p) => {
-          socket.emit("progress", p);
-        },
-      });
-
-      socket.emit("finished", {
-        url: `/output/${outputName}`,
-        filename: outputName,
-      });
-
-      fs.rmSync(sessionDir, { recursive: true, force: true });
-    } catch (err) {
-      console.error("Mixed generation error:", err);
-      socket.emit("error", { message: err.message });
+  socket.on("cancel-generation", (data) => {
+    const jobId = data && data.jobId;
+    const job = jobId && jobQueue.get(jobId);
+    if (!job || !mayAccess(job, data) || !jobQueue.cancel(jobId)) {
+      socket.emit("error", { jobId, message: "No active job to cancel" });
     }
   });
 
   socket.on("disconnect", () => {
     console.log("User disconnected");
+    // Rooms are left by now, so jobs without watchers start their grace timer
+    scheduleOrphanChecks();
   });
 });
 
+// Expired outputs and uploads, and temp dirs of crashed renders. Sessions
+// that queued or running jobs still need, and those owning saved projects
+// or brands, are kept.
+const retention = new Retention({
+  rootDir: __dirname,
+  outputDir: OUTPUT_DIR,
+  uploadsDir: UPLOADS_DIR,
+  usageDirs: {
+    projects: PROJECTS_DIR,
+    brands: BRANDS_DIR,
+    cache: path.join(__dirname, "cache"),
+  },
+  activeSessions: () =>
+    jobQueue
+      .list()
+      .filter((job) => job.status === "queued" || job.status === "running")
+      .map((job) => job.params.sessionId)
+      .concat(projects.list().map((project) => project.owner))
+      .concat(brands.list().map((brand) => brand.owner))
+      .filter(Boolean),
+});
+
+app.use(
+  "/api",
+  createApiRouter({
+    jobQueue,
+    uploadFields,
+    jobParams,
+    validateStorySession,
+    sessions,
+    projects,
+    brands,
+    retention,
+    adminToken: process.env.ADMIN_TOKEN,
+    outputDir: OUTPUT_DIR,
+  })
+);
+
+jobQueue.load();
+retention.start();
+
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
 });
@@ -0,0 +1,410 @@
+const fs = require("fs");
+const path = require("path");
+const { createStoryVideo, readStoryInputs } = require("./script");
+const {
+  loadConfig,
+  isPlainObject,
+  mergeOptions,
+  resolveOptionPaths,
+} = require("./config");
+const { formatFromFilename } = require("./subtitles");
+const { safeFilename } = require("./uploads");
+const { throwIfAborted } = require("./cancel");
+const { writeJsonAtomic } = require("./store");
+
+const AUDIO_FILE = /\.(mp3|wav|m4a|aac|ogg|opus|flac)$/i;
+
+// Plain-text timing is only taken from a folder under this name, other .txt
+// files there are notes
+const TEXT_SUBTITLES = "subtitles.txt";
+
+// Written to the output folder after every episode; a later run of the same
+// batch reads it to resume
+const REPORT_FILE = "batch-report.json";
+
+/**
+ * An episode from its folder: one subtitle file (.srt, .vtt, .ass, .ssa or
+ * subtitles.txt) or scenes.json, one narration audio file and optionally
+ * music.* as background music. Images
+ * come from an images/ subfolder, or else the folder itself. What can't be
+ * found is noted in `problems` by field.
+ */
+function episodeFromFolder(folder) {
+  const episode = { name: path.basename(folder), problems: {} };
+  let files;
+  try {
+    files = fs.readdirSync(folder).filter((file) => !file.startsWith("."));
+  } catch (err) {
+    episode.problems.folder = `folder not found: ${folder}`;
+    return episode;
+  }
+
+  const subtitles = files.filter((file) => {
+    const name = file.toLowerCase();
+    const format = formatFromFilename(name);
+    return (
+      name === "scenes.json" ||
+      name === TEXT_SUBTITLES ||
+      (format !== null && format !== "text")
+    );
+  });
+  const audio = files.filter((file) => AUDIO_FILE.test(file));
+  const music = audio.filter((file) => /^music\./i.test(file));
+  const narration = audio.filter((file) => !music.includes(file));
+
+  for (const [field, what, candidates] of [
+    ["subtitles", "subtitles or scenes.json", subtitles],
+    ["audio", "narration audio", narration],
+    ["music", "music", music],
+  ]) {
+    if (candidates.length === 1) {
+      episode[field] = path.join(folder, candidates[0]);
+    } else if (candidates.length > 1) {
+      episode.problems[field] = `several ${what} files (${candidates.join(
+        ", "
+      )})`;
+    } else if (field !== "music") {
+      episode.problems[field] = `no ${what}`;
+    }
+  }
+
+  const imagesDir = path.join(folder, "images");
+  episode.images = fs.existsSync(imagesDir) ? imagesDir : folder;
+  return episode;
+}
+
+/**
+ * An episode from a manifest entry: a folder path, or an object with
+ * `name`, `folder`, `subtitles` (or `scenes`), `images`, `audio`, `music`,
+ * `output` and `options`. Explicit fields override what the folder holds.
+ */
+function episodeFromEntry(entry, index, baseDir) {
+  const resolve = (file) => path.resolve(baseDir, String(file));
+  if (typeof entry === "string") return episodeFromFolder(resolve(entry));
+  if (!isPlainObject(entry)) {
+    throw new Error(`Episode ${index + 1} must be a folder or an object`);
+  }
+
+  const episode = entry.folder
+    ? episodeFromFolder(resolve(entry.folder))
+    : { problems: {} };
+  const files = {
+    subtitles: entry.subtitles || entry.scenes,
+    images: entry.images,
+    audio: entry.audio,
+    music: entry.music,
+  };
+  for (const [field, file] of Object.entries(files)) {
+    if (!file) continue;
+    episode[field] = resolve(file);
+    delete episode.problems[field];
+  }
+  if (files.subtitles || files.audio) delete episode.problems.folder;
+  if (!episode.subtitles && !episode.problems.subtitles) {
+    episode.problems.subtitles = "no subtitles or scenes.json";
+  }
+  if (!episode.audio && !episode.problems.audio) {
+    episode.problems.audio = "no narration audio";
+  }
+  if (!episode.images && !episode.problems.folder) {
+    episode.problems.images = "no images folder";
+  }
+
+  episode.name = String(
+    entry.name ||
+      episode.name ||
+      path
+        .basename(episode.subtitles || `episode-${index + 1}`)
+        .replace(/\.[^.]+$/, "")
+  );
+  if (entry.output) episode.output = String(entry.output);
+  if (entry.options !== undefined) {
+    if (!isPlainObject(entry.options)) {
+      throw new Error(`Options of episode "${episode.name}" must be an object`);
+    }
+    episode.options = resolveOptionPaths(entry.options, baseDir);
+  }
+  return episode;
+}
+
+/**
+ * Read a batch: every subfolder of a folder (see episodeFromFolder), or a
+ * JSON/YAML manifest with `episodes` and optional shared `options` and
+ * `outputDir`. Returns { episodes, options, outputDir } (outputDir null
+ * when the source doesn't set one). Folders holding a batch report are
+ * earlier outputs and left out.
+ */
+function loadBatch(source) {
+  let batch;
+  if (fs.statSync(source).isDirectory()) {
+    const episodes = fs
+      .readdirSync(source, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+      .map((entry) => path.join(source, entry.name))
+      .filter((folder) => !fs.existsSync(path.join(folder, REPORT_FILE)))
+      .sort()
+      .map(episodeFromFolder);
+    batch = { episodes, options: {}, outputDir: null };
+  } else {
+    const manifest = loadConfig(source);
+    const baseDir = path.dirname(path.resolve(source));
+    if (!Array.isArray(manifest.episodes)) {
+      throw new Error(`Manifest ${source} must list "episodes"`);
+    }
+    if (manifest.options !== undefined && !isPlainObject(manifest.options)) {
+      throw new Error(`"options" in ${source} must be an object`);
+    }
+    batch = {
+      episodes: manifest.episodes.map((entry, index) =>
+        episodeFromEntry(entry, index, baseDir)
+      ),
+      options: resolveOptionPaths(manifest.options || {}, baseDir),
+      outputDir: manifest.outputDir
+        ? path.resolve(baseDir, String(manifest.outputDir))
+        : null,
+    };
+  }
+
+  if (batch.episodes.length === 0) {
+    throw new Error(`No episodes found in ${source}`);
+  }
+  const seen = new Set();
+  for (const episode of batch.episodes) {
+    if (seen.has(episode.name)) {
+      throw new Error(`Two episodes are named "${episode.name}"`);
+    }
+    seen.add(episode.name);
+  }
+  return batch;
+}
+
+/**
+ * Why an episode can't be rendered, or null when all its files are there
+ */
+function episodeProblem(episode) {
+  const problems = Object.values(episode.problems || {});
+  for (const field of ["subtitles", "images", "audio", "music"]) {
+    if (episode[field] && !fs.existsSync(episode[field])) {
+      problems.push(`${field} not found: ${episode[field]}`);
+    }
+  }
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+function readReport(reportPath) {
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeReport(report) {
+  writeJsonAtomic(report.reportPath, report);
+}
+
+function countEpisodes(report) {
+  const counts = { done: 0, failed: 0, pending: 0, resumed: 0 };
+  for (const entry of report.episodes) {
+    counts[entry.status]++;
+    if (entry.resumed) counts.resumed++;
+  }
+  report.counts = counts;
+}
+
+/**
+ * Render the episodes of a batch one after another into `outputDir` with
+ * createStoryVideo. Each episode gets `options` with its own options on
+ * top. The report (batch-report.json in outputDir) is rewritten after
+ * every episode; episodes it lists as done, whose output is still there,
+ * are not rendered again unless `fresh` is set.
+ *
+ * A failed episode is recorded and the batch moves on. Cancelling through
+ * `signal` puts the current episode back to pending, saves the report and
+ * rejects with the cancellation error. Resolves with the report.
+ *
+ * `onEvent` receives { event: "episode", name, status, index, total, ... }
+ * when an episode starts and ends, and { event: "progress", episode, ... }
+ * for createStoryVideo's progress.
+ */
+async function runBatch({
+  source,
+  episodes,
+  outputDir,
+  options = {},
+  fresh = false,
+  signal = null,
+  onEvent = () => {},
+}) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, REPORT_FILE);
+  const previous = fresh ? null : readReport(reportPath);
+  const previousEntries = new Map(
+    previous && Array.isArray(previous.episodes)
+      ? previous.episodes.map((entry) => [entry.name, entry])
+      : []
+  );
+
+  const startedAt = Date.now();
+  const report = {
+    source: path.resolve(source),
+    outputDir: path.resolve(outputDir),
+    reportPath,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: null,
+    durationSeconds: null,
+    counts: null,
+    episodes: episodes.map((episode) => {
+      const output = path.resolve(
+        outputDir,
+        episode.output || `${safeFilename(episode.name)}.mp4`
+      );
+      const before = previousEntries.get(episode.name);
+      if (
+        before &&
+        before.status === "done" &&
+        before.output === output &&
+        fs.existsSync(output)
+      ) {
+        return { ...before, resumed: true };
+      }
+      return { name: episode.name, status: "pending", output };
+    }),
+  };
+  countEpisodes(report);
+  writeReport(report);
+
+  const total = episodes.length;
+  for (const [index, episode] of episodes.entries()) {
+    const entry = report.episodes[index];
+    throwIfAborted(signal);
+    if (entry.status === "done") {
+      onEvent({
+        event: "episode",
+        name: entry.name,
+        status: "resumed",
+        index,
+        total,
+      });
+      continue;
+    }
+
+    const started = Date.now();
+    Object.assign(entry, {
+      status: "pending",
+      startedAt: new Date(started).toISOString(),
+      finishedAt: null,
+      renderSeconds: null,
+      videoSeconds: null,
+      loudness: null,
+      error: null,
+      failedCheck: false,
+    });
+    onEvent({
+      event: "episode",
+      name: entry.name,
+      status: "started",
+      index,
+      total,
+    });
+
+    try {
+      const problem = episodeProblem(episode);
+      if (problem) {
+        const error = new Error(problem);
+        error.failedCheck = true;
+        throw error;
+      }
+      const episodeOptions = mergeOptions(options, episode.options);
+      const result = await createStoryVideo({
+        ...episodeOptions,
+        ...readStoryInputs(episode.subtitles),
+        imageDir: episode.images,
+        audioPath: episode.audio,
+        musicPath: episode.music || episodeOptions.musicPath,
+        outputName: entry.output,
+        signal,
+        onProgress: (update) =>
+          onEvent({ event: "progress", episode: entry.name, ...update }),
+      });
+      entry.status = "done";
+      entry.videoSeconds = result.durationMs / 1000;
+      entry.loudness = result.loudness;
+    } catch (err) {
+      if (err.cancelled) {
+        entry.status = "pending";
+        entry.startedAt = null;
+        countEpisodes(report);
+        writeReport(report);
+        throw err;
+      }
+      entry.status = "failed";
+      entry.error = err.message;
+      entry.failedCheck = Boolean(err.failedCheck || err.report);
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    entry.renderSeconds = Math.round((Date.now() - started) / 100) / 10;
+    report.durationSeconds = Math.round((Date.now() - startedAt) / 100) / 10;
+    countEpisodes(report);
+    writeReport(report);
+    onEvent({
+      event: "episode",
+      name: entry.name,
+      status: entry.status,
+      index,
+      total,
+      output: entry.output,
+      renderSeconds: entry.renderSeconds,
+      error: entry.error,
+    });
+  }
+
+  report.finishedAt = new Date().toISOString();
+  report.durationSeconds = Math.round((Date.now() - startedAt) / 100) / 10;
+  writeReport(report);
+  return report;
+}
+
+const formatSeconds = (seconds) =>
+  seconds >= 60
+    ? `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`
+    : `${seconds}s`;
+
+/**
+ * Human readable summary of a batch report for the CLI
+ */
+function formatBatchReport(report) {
+  const { counts } = report;
+  const lines = [
+    `Batch: ${counts.done} done${
+      counts.resumed ? ` (${counts.resumed} from an earlier run)` : ""
+    }, ${counts.failed} failed, ${counts.pending} pending in ${formatSeconds(
+      report.durationSeconds || 0
+    )}`,
+  ];
+  for (const entry of report.episodes) {
+    if (entry.status === "done") {
+      lines.push(
+        `  ✓ ${entry.name}: ${formatSeconds(entry.videoSeconds)} video, ${
+          entry.resumed
+            ? "rendered earlier"
+            : `rendered in ${formatSeconds(entry.renderSeconds)}`
+        } → ${entry.output}`
+      );
+    } else if (entry.status === "failed") {
+      lines.push(`  ✗ ${entry.name}: ${entry.error}`);
+    } else {
+      lines.push(`  … ${entry.name}: not rendered`);
+    }
+  }
+  lines.push(`Report: ${report.reportPath}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  REPORT_FILE,
+  loadBatch,
+  runBatch,
+  formatBatchReport,
+};
@@ -0,0 +1,457 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_CAPTION_STYLE,
+  writeCaptionsFile,
+  escapeFilterPath,
+} = require("./captions");
+const { killOnAbort, cancelledError } = require("./cancel");
+const { normalizeLoudness, formatLoudness } = require("./loudness");
+
+// Title and end cards: text on a color or an image, with a short fade.
+// Durations in seconds, sizes in output pixels.
+const DEFAULT_CARD = {
+  text: "",
+  duration: 3,
+  background: "#000000",
+  color: "#FFFFFF",
+  font: DEFAULT_CAPTION_STYLE.font,
+  fontSize: 72,
+  fade: 0.5,
+};
+
+// Logo over the whole main video. `scale` is the logo width as a fraction
+// of the video width, `margin` the distance from the edges in pixels.
+const DEFAULT_WATERMARK = {
+  position: "bottom-right",
+  scale: 0.15,
+  opacity: 0.8,
+  margin: 32,
+};
+
+// overlay x:y for each watermark position
+const WATERMARK_POSITIONS = {
+  "top-left": (m) => `${m}:${m}`,
+  "top-right": (m) => `main_w-overlay_w-${m}:${m}`,
+  "bottom-left": (m) => `${m}:main_h-overlay_h-${m}`,
+  "bottom-right": (m) => `main_w-overlay_w-${m}:main_h-overlay_h-${m}`,
+  center: () => "(main_w-overlay_w)/2:(main_h-overlay_h)/2",
+};
+
+// Settings each part takes. Files (card images, the outro clip, the logo)
+// are separate: they come from brand presets, uploads or the CLI.
+const BRANDING_SETTINGS = {
+  titleCard: Object.keys(DEFAULT_CARD),
+  endCard: Object.keys(DEFAULT_CARD),
+  watermark: Object.keys(DEFAULT_WATERMARK),
+};
+const BRANDING_FILES = {
+  titleCard: ["image"],
+  endCard: ["image", "clip"],
+  watermark: ["image"],
+};
+
+// Upload fields / asset folders holding branding files, and the option
+// each one fills. Brand presets and upload sessions use the same folders.
+const BRAND_ASSET_KINDS = {
+  watermark: ["watermark", "image"],
+  titleImage: ["titleCard", "image"],
+  endImage: ["endCard", "image"],
+  outro: ["endCard", "clip"],
+};
+
+const PART_LABELS = {
+  titleCard: "Title card",
+  endCard: "End card",
+  watermark: "Watermark",
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Only the branding settings of `options`, without file paths, so clients
+ * can't point a render at files on the server. A part set to false or null
+ * is kept, it switches that part off.
+ */
+function pickBrandSettings(options = {}) {
+  const settings = {};
+  for (const [part, keys] of Object.entries(BRANDING_SETTINGS)) {
+    const value = options[part];
+    if (value === false || value === null) {
+      settings[part] = value;
+    } else if (value && typeof value === "object") {
+      settings[part] = {};
+      for (const key of keys) {
+        if (value[key] !== undefined) settings[part][key] = value[key];
+      }
+    }
+  }
+  return settings;
+}
+
+function resolveNumber(part, key, value, fallback, min, max) {
+  if (value === undefined || value === "") return fallback;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(
+      `Branding ${part}.${key} must be between ${min} and ${max}`
+    );
+  }
+  return number;
+}
+
+function resolveCard(part, options) {
+  if (!options) return null;
+  const card = { ...DEFAULT_CARD };
+  for (const key of [...BRANDING_SETTINGS[part], ...BRANDING_FILES[part]]) {
+    if (options[key] !== undefined && options[key] !== "") {
+      card[key] = options[key];
+    }
+  }
+  card.text = String(card.text || "").trim();
+  if (!card.text && !card.image && !card.clip) return null;
+
+  for (const key of ["background", "color"]) {
+    if (!HEX_COLOR.test(card[key])) {
+      throw new Error(`Branding ${part}.${key} must be a #RRGGBB color`);
+    }
+  }
+  card.duration = resolveNumber(
+    part,
+    "duration",
+    options.duration,
+    DEFAULT_CARD.duration,
+    0.5,
+    30
+  );
+  card.fontSize = resolveNumber(
+    part,
+    "fontSize",
+    options.fontSize,
+    DEFAULT_CARD.fontSize,
+    8,
+    400
+  );
+  card.fade = Math.min(
+    resolveNumber(part, "fade", options.fade, DEFAULT_CARD.fade, 0, 5),
+    card.duration / 2
+  );
+  return card;
+}
+
+function resolveWatermark(options) {
+  if (!options || !options.image) return null;
+  const watermark = { ...DEFAULT_WATERMARK, image: options.image };
+  if (options.position !== undefined && options.position !== "") {
+    watermark.position = options.position;
+  }
+  if (!WATERMARK_POSITIONS[watermark.position]) {
+    throw new Error(
+      `Unknown watermark position "${
+        watermark.position
+      }". Available: ${Object.keys(WATERMARK_POSITIONS).join(", ")}`
+    );
+  }
+  const { scale, opacity, margin } = DEFAULT_WATERMARK;
+  watermark.scale = resolveNumber(
+    "watermark",
+    "scale",
+    options.scale,
+    scale,
+    0.01,
+    1
+  );
+  watermark.opacity = resolveNumber(
+    "watermark",
+    "opacity",
+    options.opacity,
+    opacity,
+    0,
+    1
+  );
+  watermark.margin = Math.round(
+    resolveNumber("watermark", "margin", options.margin, margin, 0, 1000)
+  );
+  return watermark;
+}
+
+/**
+ * Resolve branding options ({ titleCard, endCard, watermark }) into the
+ * parts to add. A card needs text, an image or (end card) a clip; the
+ * watermark needs an image. Returns null when there is nothing to add.
+ */
+function resolveBranding(options) {
+  if (!options) return null;
+  const branding = {
+    titleCard: resolveCard("titleCard", options.titleCard),
+    endCard: resolveCard("endCard", options.endCard),
+    watermark: resolveWatermark(options.watermark),
+  };
+  if (!branding.titleCard && !branding.endCard && !branding.watermark) {
+    return null;
+  }
+  return branding;
+}
+
+/**
+ * Files a resolved branding needs, as [label, path] pairs
+ */
+function brandingFiles(branding) {
+  if (!branding) return [];
+  const files = [];
+  for (const [part, keys] of Object.entries(BRANDING_FILES)) {
+    for (const key of keys) {
+      if (branding[part] && branding[part][key]) {
+        files.push([`${PART_LABELS[part]} ${key}`, branding[part][key]]);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Branding file options from the asset folders in `dir` (a brand preset or
+ * an upload session), e.g. { watermark: { image: ".../watermark/logo.png" } }
+ */
+function brandAssetOptions(dir) {
+  const options = {};
+  for (const [kind, [part, key]] of Object.entries(BRAND_ASSET_KINDS)) {
+    const kindDir = path.join(dir, kind);
+    const files = fs.existsSync(kindDir) ? fs.readdirSync(kindDir).sort() : [];
+    if (files.length === 0) continue;
+    options[part] = { ...options[part], [key]: path.join(kindDir, files[0]) };
+  }
+  return options;
+}
+
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe ${filePath}: ${err.message}`));
+        return;
+      }
+      const video = metadata.streams.find((s) => s.codec_type === "video");
+      const [num, den] = String(video ? video.avg_frame_rate : "").split("/");
+      resolve({
+        duration: parseFloat(metadata.format.duration) || 0,
+        width: video ? video.width : 0,
+        height: video ? video.height : 0,
+        fps: den > 0 && num > 0 ? num / den : 30,
+        hasAudio: metadata.streams.some((s) => s.codec_type === "audio"),
+      });
+    });
+  });
+}
+
+// Every segment's audio in one format, so concat can join them
+const AUDIO_FORMAT =
+  "aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo";
+
+// Videos handed to applyBranding and the branded video handed on to the
+// loudness pass are Matroska files with FLAC audio, so the sound is only
+// encoded to AAC in the last pass
+const INTERMEDIATE_AUDIO = ["-c:a", "flac"];
+const intermediatePath = (dir, name) => path.join(dir, `${name}.mkv`);
+
+const silence = (duration, label) =>
+  `anullsrc=r=48000:cl=stereo,atrim=duration=${duration},${AUDIO_FORMAT}${label}`;
+
+/**
+ * Add branding to a finished video: the title card before it, the end
+ * card or outro clip after it and the watermark over the video itself.
+ * `branding` is resolved (see resolveBranding). Card text is drawn with
+ * libass like the captions, so Devanagari is shaped properly. Cards are
+ * silent; an outro clip keeps its own sound. `layoutSize` is the size the
+ * font size and margin are meant for ({ width, height }, by default the
+ * video's); previews pass the full output size to get a scaled-down copy.
+ *
+ * With a `loudness` target (see loudness.js) the branded video is corrected
+ * in a last pass, so cards and outro count towards it; until then its audio
+ * stays lossless (INTERMEDIATE_AUDIO). Resolves with
+ * { outputPath, loudness } where loudness is the report, null when off.
+ */
+async function applyBranding(inputPath, outputPath, branding, options = {}) {
+  const {
+    tempDir,
+    encoderPreset = "medium",
+    crf = 23,
+    loudness = null,
+    signal = null,
+  } = options;
+  const main = await probe(inputPath);
+  const { width, height } = main;
+  const layoutSize = options.layoutSize || { width, height };
+  const fps = Math.round(main.fps * 1000) / 1000;
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p`;
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,fps=${fps},format=yuv420p`;
+
+  const command = ffmpeg().input(inputPath);
+  let inputCount = 1;
+  const addInput = (file, inputOptions = []) => {
+    command.input(file);
+    if (inputOptions.length) command.inputOptions(inputOptions);
+    return inputCount++;
+  };
+  const filters = [];
+  const segments = [];
+
+  const addCard = (name, card) => {
+    if (card.image) {
+      const index = addInput(card.image, [
+        "-loop",
+        "1",
+        "-t",
+        `${card.duration}`,
+      ]);
+      filters.push(`[${index}:v]${cover}[${name}bg]`);
+    } else {
+      filters.push(
+        `color=c=${card.background.replace(
+          "#",
+          "0x"
+        )}:s=${width}x${height}:r=${fps}:d=${
+          card.duration
+        },format=yuv420p[${name}bg]`
+      );
+    }
+
+    const steps = [];
+    if (card.text) {
+      const assPath = writeCaptionsFile(
+        [{ text: card.text, start_ms: 0, end_ms: card.duration * 1000 }],
+        {
+          font: card.font,
+          fontSize: card.fontSize,
+          color: card.color,
+          outline: 0,
+          position: "center",
+          marginV: 0,
+          maxLineWidth: 32,
+        },
+        layoutSize,
+        path.join(tempDir, `${name}.ass`)
+      );
+      steps.push(`subtitles=${escapeFilterPath(assPath)}`);
+    }
+    if (card.fade > 0) {
+      steps.push(
+        `fade=t=in:st=0:d=${card.fade}`,
+        `fade=t=out:st=${card.duration - card.fade}:d=${card.fade}`
+      );
+    }
+    filters.push(`[${name}bg]${steps.join(",") || "null"}[${name}v]`);
+    filters.push(silence(card.duration, `[${name}a]`));
+    segments.push(`[${name}v][${name}a]`);
+  };
+
+  if (branding.titleCard) addCard("title", branding.titleCard);
+
+  let mainVideo = "[0:v]";
+  if (branding.watermark) {
+    const { image, scale, opacity, position, margin } = branding.watermark;
+    const index = addInput(image);
+    // Even width keeps the overlay aligned with yuv420p chroma
+    const logoWidth = Math.max(2, Math.round((width * scale) / 2) * 2);
+    const offset = Math.round((margin * width) / layoutSize.width);
+    filters.push(
+      `[${index}:v]scale=${logoWidth}:-2,format=rgba,colorchannelmixer=aa=${opacity}[logo]`,
+      `[0:v][logo]overlay=${WATERMARK_POSITIONS[position](offset)}[marked]`
+    );
+    mainVideo = "[marked]";
+  }
+  filters.push(`${mainVideo}${fit}[mainv]`);
+  filters.push(
+    main.hasAudio
+      ? `[0:a]${AUDIO_FORMAT}[maina]`
+      : silence(main.duration, "[maina]")
+  );
+  segments.push("[mainv][maina]");
+
+  const { endCard } = branding;
+  if (endCard && endCard.clip) {
+    const outro = await probe(endCard.clip);
+    const index = addInput(endCard.clip);
+    filters.push(`[${index}:v]${fit}[endv]`);
+    filters.push(
+      outro.hasAudio
+        ? `[${index}:a]${AUDIO_FORMAT}[enda]`
+        : silence(outro.duration, "[enda]")
+    );
+    segments.push("[endv][enda]");
+  } else if (endCard) {
+    addCard("end", endCard);
+  }
+
+  filters.push(
+    `${segments.join("")}concat=n=${segments.length}:v=1:a=1[vout][aout]`
+  );
+
+  const brandedPath = loudness
+    ? intermediatePath(tempDir, "branded")
+    : outputPath;
+  const audioOptions = loudness
+    ? INTERMEDIATE_AUDIO
+    : ["-c:a", "aac", "-b:a", "192k", "-movflags", "+faststart"];
+  await new Promise((resolve, reject) => {
+    command
+      .complexFilter(filters)
+      .outputOptions([
+        "-map",
+        "[vout]",
+        "-map",
+        "[aout]",
+        "-c:v",
+        "libx264",
+        "-pix_fmt",
+        "yuv420p",
+        "-preset",
+        encoderPreset,
+        "-crf",
+        `${crf}`,
+        ...audioOptions,
+      ])
+      .output(brandedPath);
+
+    killOnAbort(command, signal);
+
+    command
+      .on("start", (cmd) => console.log("FFmpeg command:", cmd))
+      .on("end", () => {
+        console.log(`✓ Added branding to: ${brandedPath}`);
+        resolve();
+      })
+      .on("error", (err) => {
+        fs.rmSync(brandedPath, { force: true });
+        if (signal && signal.aborted) return reject(cancelledError());
+        console.error("✗ Error adding branding:", err.message);
+        reject(new Error("Adding branding failed: " + err.message));
+      })
+      .run();
+  });
+  if (!loudness)
+    return { outputPath: path.resolve(outputPath), loudness: null };
+
+  console.log("  Correcting loudness...");
+  const report = await normalizeLoudness(brandedPath, outputPath, loudness, {
+    signal,
+  });
+  console.log(`  ${formatLoudness(report)}`);
+  return { outputPath: path.resolve(outputPath), loudness: report };
+}
+
+module.exports = {
+  INTERMEDIATE_AUDIO,
+  intermediatePath,
+  DEFAULT_CARD,
+  DEFAULT_WATERMARK,
+  WATERMARK_POSITIONS,
+  BRANDING_SETTINGS,
+  BRAND_ASSET_KINDS,
+  pickBrandSettings,
+  resolveBranding,
+  brandingFiles,
+  brandAssetOptions,
+  applyBranding,
+};
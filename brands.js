@@ -0,0 +1,67 @@
+const { RecordStore } = require("./store");
+const { mergeOptions } = require("./config");
+const {
+  BRAND_ASSET_KINDS,
+  pickBrandSettings,
+  resolveBranding,
+  brandAssetOptions,
+} = require("./branding");
+
+/**
+ * Reusable brand presets: branding settings (see branding.js) with the
+ * files they use. Each brand is a folder <dataDir>/<id>/ with brand.json
+ * and one subfolder per asset kind (watermark, titleImage, endImage,
+ * outro), each holding a single file (see store.js). A brand belongs to
+ * the session that created it (`owner`).
+ */
+class BrandStore extends RecordStore {
+  constructor({ dataDir }) {
+    super({
+      dataDir,
+      kind: "brand",
+      assetKinds: Object.keys(BRAND_ASSET_KINDS),
+    });
+  }
+
+  /**
+   * Create a brand named `name` owned by the session `owner`
+   */
+  create(name, settings = {}, owner = null) {
+    return super.create(name, { owner, settings: cleanSettings(settings) });
+  }
+
+  /**
+   * All brands by name
+   */
+  list() {
+    return super.list().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Branding render options of a brand: its settings with its files
+   */
+  brandingOptions(id) {
+    const brand = this._require(id);
+    return mergeOptions(brand.settings, brandAssetOptions(this.dir(id)));
+  }
+
+  _cleanSettings(settings) {
+    return cleanSettings(settings);
+  }
+}
+
+// Only branding settings are stored, and only valid ones. Every part is
+// checked as if it had its file, which may be uploaded later.
+const PLACEHOLDER_FILES = {
+  titleCard: { image: "-" },
+  endCard: { image: "-" },
+  watermark: { image: "-" },
+};
+
+function cleanSettings(settings) {
+  const clean = pickBrandSettings(settings || {});
+  resolveBranding(mergeOptions(clean, PLACEHOLDER_FILES));
+  return clean;
+}
+
+module.exports = { BrandStore };
@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Rendered scene clips, keyed by everything that goes into them, so a
+// re-render only rebuilds the scenes that changed. Least recently used clips
+// are evicted once the cache grows past its size limit.
+const DEFAULT_CACHE_DIR =
+  process.env.CLIP_CACHE_DIR || path.join(__dirname, "cache", "clips");
+const DEFAULT_MAX_BYTES =
+  (parseInt(process.env.CLIP_CACHE_MAX_MB) || 2048) * 1024 * 1024;
+
+// Bump when clip rendering changes so older clips are not reused
+const CACHE_VERSION = 2;
+
+// Content hashes of source files by path, size and modification time, least
+// recently used first. Only the newest MAX_FILE_HASHES are kept so a
+// long-running server doesn't collect hashes of every upload it has seen.
+const MAX_FILE_HASHES = 10000;
+const fileHashes = new Map();
+
+/**
+ * SHA-256 of a file's content, remembered until the file changes
+ */
+function hashFile(filePath) {
+  const stat = fs.statSync(filePath);
+  const id = `${path.resolve(filePath)}:${stat.size}:${stat.mtimeMs}`;
+  if (fileHashes.has(id)) {
+    const digest = fileHashes.get(id);
+    fileHashes.delete(id);
+    fileHashes.set(id, digest);
+    return Promise.resolve(digest);
+  }
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => {
+        const digest = hash.digest("hex");
+        fileHashes.set(id, digest);
+        if (fileHashes.size > MAX_FILE_HASHES) {
+          fileHashes.delete(fileHashes.keys().next().value);
+        }
+        resolve(digest);
+      });
+  });
+}
+
+/**
+ * Cache key of a scene clip: the source content, the scene length and
+ * transition tail, its camera move, the video scene settings (`video`, null
+ * for images) and the output settings that shape the frames
+ */
+async function sceneClipKey(scene, settings, tailDuration, video = null) {
+  const parts = {
+    version: CACHE_VERSION,
+    source: scene.filler ? null : await hashFile(scene.image),
+    color: scene.filler ? scene.color : null,
+    durationMs: scene.end_ms - scene.start_ms,
+    tail: tailDuration,
+    motion: scene.motion,
+    focus: [scene.focus_x, scene.focus_y],
+    video,
+    output: [
+      settings.width,
+      settings.height,
+      settings.fps,
+      settings.zoomRate,
+      settings.encoderPreset,
+      settings.crf,
+    ],
+  };
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex");
+}
+
+// Hard link when possible (same filesystem), copy otherwise
+function linkOrCopy(from, to) {
+  fs.rmSync(to, { force: true });
+  try {
+    fs.linkSync(from, to);
+  } catch (err) {
+    fs.copyFileSync(from, to);
+  }
+}
+
+/**
+ * Directory of cached clips named <key>.mp4. A clip's modification time is
+ * its last use, which drives the LRU eviction.
+ */
+class ClipCache {
+  constructor({ dir = DEFAULT_CACHE_DIR, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+  }
+
+  pathFor(key) {
+    return path.join(this.dir, `${key}.mp4`);
+  }
+
+  /**
+   * Put the cached clip for `key` at `targetPath`. Returns false on a miss.
+   */
+  fetch(key, targetPath) {
+    const cached = this.pathFor(key);
+    if (!fs.existsSync(cached)) return false;
+
+    const now = new Date();
+    fs.utimesSync(cached, now, now);
+    linkOrCopy(cached, targetPath);
+    return true;
+  }
+
+  /**
+   * Add a freshly rendered clip, then evict down to the size limit
+   */
+  store(key, clipPath) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Written under a temporary name so readers never see half a clip
+    const partial = path.join(this.dir, `${key}.${process.pid}.partial`);
+    linkOrCopy(clipPath, partial);
+    fs.renameSync(partial, this.pathFor(key));
+    this.evict();
+  }
+
+  /**
+   * Cached clips, most recently used first: { key, file, bytes, lastUsed }
+   */
+  entries() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith(".mp4"))
+      .map((file) => {
+        const stat = fs.statSync(path.join(this.dir, file));
+        return {
+          key: file.slice(0, -4),
+          file: path.join(this.dir, file),
+          bytes: stat.size,
+          lastUsed: stat.mtime,
+        };
+      })
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+  }
+
+  stats() {
+    const entries = this.entries();
+    return {
+      dir: this.dir,
+      clips: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      maxBytes: this.maxBytes,
+    };
+  }
+
+  /**
+   * Remove least recently used clips until the cache fits its size limit.
+   * Returns the number of clips removed.
+   */
+  evict() {
+    const entries = this.entries();
+    let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    let removed = 0;
+    while (bytes > this.maxBytes && entries.length > 0) {
+      const oldest = entries.pop();
+      fs.rmSync(oldest.file, { force: true });
+      bytes -= oldest.bytes;
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every cached clip. Returns the number removed.
+   */
+  clear() {
+    const entries = this.entries();
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    return entries.length;
+  }
+}
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Inspect or clear the cache: node cache.js [stats|list|clear]
+if (require.main === module) {
+  const cache = new ClipCache();
+  const command = process.argv[2] || "stats";
+
+  if (command === "stats") {
+    const stats = cache.stats();
+    console.log(`Clip cache: ${stats.dir}`);
+    console.log(
+      `  ${stats.clips} clip(s), ${formatMB(stats.bytes)} of ${formatMB(
+        stats.maxBytes
+      )}`
+    );
+  } else if (command === "list") {
+    for (const entry of cache.entries()) {
+      console.log(
+        `${entry.key.slice(0, 16)}  ${formatMB(entry.bytes).padStart(
+          10
+        )}  ${entry.lastUsed.toISOString()}`
+      );
+    }
+  } else if (command === "clear") {
+    console.log(`Removed ${cache.clear()} cached clip(s)`);
+  } else {
+    console.log(
+      "Usage: node cache.js [stats|list|clear]\n" +
+        "  stats  Size and location of the clip cache (default)\n" +
+        "  list   Cached clips, most recently used first\n" +
+        "  clear  Remove every cached clip\n" +
+        "Environment: CLIP_CACHE_DIR, CLIP_CACHE_MAX_MB (default: 2048)"
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MAX_FILE_HASHES,
+  ClipCache,
+  sceneClipKey,
+  hashFile,
+  fileHashes,
+};
@@ -0,0 +1,34 @@
+/**
+ * Kill a fluent-ffmpeg command when `signal` aborts. The listener is
+ * removed again once the command ends or fails.
+ */
+function killOnAbort(command, signal) {
+  if (!signal) return;
+
+  const onAbort = () => command.kill("SIGKILL");
+  signal.addEventListener("abort", onAbort, { once: true });
+
+  const detach = () => signal.removeEventListener("abort", onAbort);
+  command.on("end", detach);
+  command.on("error", detach);
+}
+
+/**
+ * Error used to reject work that was stopped through an AbortSignal
+ */
+function cancelledError(what = "Render") {
+  const error = new Error(`${what} cancelled`);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Throw a cancellation error if `signal` has already been aborted. Call it
+ * before starting each FFmpeg step, since killOnAbort only reacts to aborts
+ * that happen while the command runs.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+module.exports = { killOnAbort, cancelledError, throwIfAborted };
@@ -0,0 +1,287 @@
+const fs = require("fs");
+
+// Default caption style. Sizes are in output pixels (PlayRes matches the video).
+const DEFAULT_CAPTION_STYLE = {
+  font: "Noto Sans Devanagari",
+  fontSize: 64,
+  color: "#FFFFFF",
+  outlineColor: "#000000",
+  outline: 4,
+  box: false,
+  boxColor: "#000000",
+  boxOpacity: 0.6,
+  position: "bottom", // top | center | bottom
+  marginV: 160,
+  maxLineWidth: 28, // characters (grapheme clusters) per line
+};
+
+// Accepted range of maxLineWidth
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 200;
+
+// ASS numpad alignment for each supported position
+const ALIGNMENT = { top: 8, center: 5, bottom: 2 };
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "grapheme",
+});
+
+// <b>, <i>, <u> markup kept from the subtitle source (see subtitles.js)
+const FORMAT_TAG = /^<\/?[biu]>$/;
+
+/**
+ * Split a string into user-perceived characters, so Devanagari conjuncts
+ * and matras (e.g. "स्ते") are never torn apart. Format tags stay whole.
+ */
+function graphemes(str) {
+  return str
+    .split(/(<\/?[biu]>)/)
+    .filter(Boolean)
+    .flatMap((part) =>
+      FORMAT_TAG.test(part)
+        ? [part]
+        : Array.from(graphemeSegmenter.segment(part), (s) => s.segment)
+    );
+}
+
+/**
+ * Visible width of a list of graphemes (format tags take no space)
+ */
+function visibleWidth(chars) {
+  return chars.filter((c) => !FORMAT_TAG.test(c)).length;
+}
+
+/**
+ * Number of leading graphemes that fill `width` visible characters
+ */
+function sliceIndex(chars, width) {
+  let index = 0;
+  for (let seen = 0; seen < width; index++) {
+    if (!FORMAT_TAG.test(chars[index])) seen++;
+  }
+  return index;
+}
+
+/**
+ * Merge user supplied caption options over the defaults
+ */
+function resolveCaptionStyle(options = {}) {
+  const style = { ...DEFAULT_CAPTION_STYLE };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== "") {
+      style[key] = value;
+    }
+  }
+
+  if (!ALIGNMENT[style.position]) {
+    throw new Error(
+      `Invalid caption position "${style.position}" (use top, center or bottom)`
+    );
+  }
+  style.fontSize = parseInt(style.fontSize) || DEFAULT_CAPTION_STYLE.fontSize;
+  style.outline = Math.max(0, parseFloat(style.outline) || 0);
+  style.marginV = Math.max(0, parseInt(style.marginV) || 0);
+  style.maxLineWidth = parseInt(style.maxLineWidth);
+  if (
+    !Number.isInteger(style.maxLineWidth) ||
+    style.maxLineWidth < MIN_LINE_WIDTH ||
+    style.maxLineWidth > MAX_LINE_WIDTH
+  ) {
+    throw new Error(
+      `Invalid caption maxLineWidth "${options.maxLineWidth}" (use ${MIN_LINE_WIDTH} to ${MAX_LINE_WIDTH} characters)`
+    );
+  }
+  const opacity = parseFloat(style.boxOpacity);
+  style.boxOpacity = Number.isFinite(opacity)
+    ? Math.min(1, Math.max(0, opacity))
+    : DEFAULT_CAPTION_STYLE.boxOpacity;
+  style.box = style.box === true || style.box === "true";
+  return style;
+}
+
+/**
+ * Word-wrap caption text to at most `maxWidth` grapheme clusters per line.
+ * Existing line breaks are kept; words longer than a line are split on
+ * grapheme boundaries. Every line takes at least one grapheme, whatever
+ * `maxWidth` is.
+ */
+function wrapCaptionText(text, maxWidth) {
+  maxWidth = Math.max(1, maxWidth);
+  const lines = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    const words = paragraph.trim().split(/\s+/).filter(Boolean);
+    let current = [];
+    let currentWidth = 0;
+
+    for (const word of words) {
+      let chars = graphemes(word);
+
+      // Flush the line if the word does not fit after a space
+      if (
+        currentWidth > 0 &&
+        currentWidth + 1 + visibleWidth(chars) > maxWidth
+      ) {
+        lines.push(current.join(""));
+        current = [];
+        currentWidth = 0;
+      }
+
+      // Hard-break words that are longer than a whole line
+      while (visibleWidth(chars) > maxWidth) {
+        const index = Math.max(1, sliceIndex(chars, maxWidth));
+        lines.push(chars.slice(0, index).join(""));
+        chars = chars.slice(index);
+      }
+
+      if (currentWidth > 0) {
+        current.push(" ");
+        currentWidth += 1;
+      }
+      current.push(...chars);
+      currentWidth += visibleWidth(chars);
+    }
+
+    if (currentWidth > 0) lines.push(current.join(""));
+  }
+
+  return lines;
+}
+
+/**
+ * Convert "#RRGGBB" and an opacity (0-1) to ASS "&HAABBGGRR"
+ */
+function toAssColor(hex, opacity = 1) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) throw new Error(`Invalid caption color "${hex}"`);
+  const [r, g, b] = [0, 2, 4].map((i) => match[1].slice(i, i + 2));
+  const alpha = Math.round((1 - opacity) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Format milliseconds as an ASS timestamp (H:MM:SS.cc)
+ */
+function msToAssTime(ms) {
+  const cs = Math.round(ms / 10);
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  const c = cs % 100;
+  return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(
+    2,
+    "0"
+  )}.${String(c).padStart(2, "0")}`;
+}
+
+/**
+ * Make cue text safe for an ASS Dialogue line: drop markup tags other than
+ * <b>, <i>, <u> and escape override braces.
+ */
+function escapeAssText(text) {
+  return text
+    .replace(/<(?!\/?[biu]>)\/?[a-z][^>]*>/gi, "")
+    .replace(/\{/g, "\\{")
+    .replace(/\}/g, "\\}");
+}
+
+/**
+ * Turn the <b>, <i>, <u> markup left by escapeAssText into ASS overrides
+ */
+function toAssOverrides(line) {
+  return line.replace(
+    /<(\/?)([biu])>/gi,
+    (tag, close, name) => `{\\${name.toLowerCase()}${close ? 0 : 1}}`
+  );
+}
+
+/**
+ * Build an ASS subtitle document for the given scenes. Each scene's `text`
+ * is shown during its cue (cue_start_ms/cue_end_ms when timing stretched the
+ * scene, see timing.js), otherwise from its start_ms to end_ms. A scene's
+ * `caption_position` overrides the style position for that cue.
+ */
+function buildAssSubtitles(scenes, styleOptions, size) {
+  const style = resolveCaptionStyle(styleOptions);
+  const primary = toAssColor(style.color);
+  // BorderStyle 3 draws an opaque box behind the text using OutlineColour
+  const outline = style.box
+    ? toAssColor(style.boxColor, style.boxOpacity)
+    : toAssColor(style.outlineColor);
+  const back = style.box
+    ? toAssColor(style.boxColor, style.boxOpacity)
+    : toAssColor("#000000", 0.5);
+  const borderStyle = style.box ? 3 : 1;
+  const outlineWidth = style.box ? Math.max(style.outline, 8) : style.outline;
+
+  const header = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${size.width}`,
+    `PlayResY: ${size.height}`,
+    "WrapStyle: 2", // We wrap ourselves, disable libass auto-wrapping
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Default,${style.font},${
+      style.fontSize
+    },${primary},${primary},${outline},${back},0,0,0,0,100,100,0,0,${borderStyle},${outlineWidth},0,${
+      ALIGNMENT[style.position]
+    },60,60,${style.marginV},1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  const events = scenes
+    .filter((scene) => scene.text && scene.text.trim())
+    .map((scene) => {
+      const lines = wrapCaptionText(
+        escapeAssText(scene.text),
+        style.maxLineWidth
+      ).map(toAssOverrides);
+      const placement = ALIGNMENT[scene.caption_position]
+        ? `{\\an${ALIGNMENT[scene.caption_position]}}`
+        : "";
+      const stretched = scene.cue_start_ms !== undefined;
+      const start = stretched ? scene.cue_start_ms : scene.start_ms;
+      const end = stretched ? scene.cue_end_ms : scene.end_ms;
+      return `Dialogue: 0,${msToAssTime(start)},${msToAssTime(
+        end
+      )},Default,,0,0,0,,${placement}${lines.join("\\N")}`;
+    });
+
+  return header.concat(events).join("\n") + "\n";
+}
+
+/**
+ * Write the ASS file for the scenes and return its path
+ */
+function writeCaptionsFile(scenes, styleOptions, size, outputPath) {
+  fs.writeFileSync(outputPath, buildAssSubtitles(scenes, styleOptions, size));
+  return outputPath;
+}
+
+/**
+ * Escape a file path for use as an FFmpeg filter option value. Characters
+ * special to the option parser (":" and "'") need escaping at both the
+ * option and the filtergraph level, graph separators only at the latter.
+ */
+function escapeFilterPath(filePath) {
+  return filePath
+    .replace(/\\/g, "/")
+    .replace(/([:'])/g, "\\\\\\$1")
+    .replace(/([\[\],;])/g, "\\$1");
+}
+
+module.exports = {
+  DEFAULT_CAPTION_STYLE,
+  resolveCaptionStyle,
+  wrapCaptionText,
+  buildAssSubtitles,
+  writeCaptionsFile,
+  escapeFilterPath,
+};
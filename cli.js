@@ -0,0 +1,1068 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const ffmpeg = require("fluent-ffmpeg");
+const { createStoryVideo, readStoryInputs } = require("./script");
+const {
+  createMixedVideo,
+  resolvePlaylist,
+  resolveBackground,
+} = require("./mixer");
+const {
+  loadConfig,
+  isPlainObject,
+  mergeOptions,
+  resolveOptionPaths,
+} = require("./config");
+const { loadBatch, runBatch, formatBatchReport } = require("./batch");
+const { validateStoryInputs, formatReport } = require("./validate");
+const { resolveCaptionStyle } = require("./captions");
+const {
+  OUTPUT_PRESETS,
+  resolveOutputSettings,
+  resolvePreviewSettings,
+} = require("./presets");
+const { MOTIONS, resolveMotion } = require("./motion");
+const { VIDEO_FITS, CLIP_AUDIO_MODES, resolveVideoScenes } = require("./media");
+const { resolveMusicSettings } = require("./music");
+const { LOUDNESS_PRESETS, resolveLoudness } = require("./loudness");
+const { TIMING_MODES, GAP_FILLS, resolveTiming } = require("./timing");
+const { TRANSITIONS, resolveTransition } = require("./transitions");
+const {
+  WATERMARK_POSITIONS,
+  resolveBranding,
+  brandingFiles,
+} = require("./branding");
+
+// Exit codes, so scripts can tell bad input from a failed render
+const EXIT_CODES = {
+  ok: 0,
+  usage: 2, // Bad arguments, config or option values, missing files
+  validation: 3, // The pre-flight check found errors
+  render: 4, // FFmpeg or the render failed
+  cancelled: 130, // Interrupted (Ctrl+C)
+};
+
+// Options shared by both renders
+const LOUDNESS_FLAGS = [
+  {
+    flag: "loudness",
+    to: "loudness.preset",
+    arg: "preset",
+    help: `Normalize loudness: ${Object.keys(LOUDNESS_PRESETS).join(
+      ", "
+    )}, custom, off (default: off)`,
+  },
+  {
+    flag: "lufs",
+    to: "loudness.integrated",
+    arg: "n",
+    help: "Integrated loudness target, overrides the preset",
+  },
+  {
+    flag: "true-peak",
+    to: "loudness.truePeak",
+    arg: "dB",
+    help: "True-peak limit, overrides the preset (default: -1)",
+  },
+  {
+    flag: "lra",
+    to: "loudness.lra",
+    arg: "LU",
+    help: "Loudness range, overrides the preset",
+  },
+];
+
+const BRANDING_FLAGS = [
+  {
+    flag: "title-text",
+    to: "branding.titleCard.text",
+    arg: "text",
+    help: "Title card before the video with this text",
+  },
+  {
+    flag: "title-image",
+    to: "branding.titleCard.image",
+    arg: "path",
+    help: "Title card background image",
+  },
+  {
+    flag: "title-duration",
+    to: "branding.titleCard.duration",
+    arg: "s",
+    help: "Title card length (default: 3)",
+  },
+  {
+    flag: "title-background",
+    to: "branding.titleCard.background",
+    arg: "#hex",
+    help: "Title card color without an image (default: #000000)",
+  },
+  {
+    flag: "title-color",
+    to: "branding.titleCard.color",
+    arg: "#hex",
+    help: "Title card text color (default: #FFFFFF)",
+  },
+  {
+    flag: "end-text",
+    to: "branding.endCard.text",
+    arg: "text",
+    help: "End card after the video with this text",
+  },
+  {
+    flag: "end-image",
+    to: "branding.endCard.image",
+    arg: "path",
+    help: "End card background image",
+  },
+  {
+    flag: "end-duration",
+    to: "branding.endCard.duration",
+    arg: "s",
+    help: "End card length (default: 3)",
+  },
+  {
+    flag: "end-background",
+    to: "branding.endCard.background",
+    arg: "#hex",
+    help: "End card color without an image (default: #000000)",
+  },
+  {
+    flag: "end-color",
+    to: "branding.endCard.color",
+    arg: "#hex",
+    help: "End card text color (default: #FFFFFF)",
+  },
+  {
+    flag: "outro-clip",
+    to: "branding.endCard.clip",
+    arg: "path",
+    help: "Video played after the main video instead of an end card",
+  },
+  {
+    flag: "watermark",
+    to: "branding.watermark.image",
+    arg: "path",
+    help: "Logo image shown over the whole video",
+  },
+  {
+    flag: "watermark-position",
+    to: "branding.watermark.position",
+    arg: "where",
+    help: `${Object.keys(WATERMARK_POSITIONS).join(
+      ", "
+    )} (default: bottom-right)`,
+  },
+  {
+    flag: "watermark-scale",
+    to: "branding.watermark.scale",
+    arg: "n",
+    help: "Logo width as a fraction of the video width (default: 0.15)",
+  },
+  {
+    flag: "watermark-opacity",
+    to: "branding.watermark.opacity",
+    arg: "n",
+    help: "Logo opacity, 0-1 (default: 0.8)",
+  },
+  {
+    flag: "watermark-margin",
+    to: "branding.watermark.margin",
+    arg: "px",
+    help: "Logo distance from the edges (default: 32)",
+  },
+];
+
+// Story render flags. `to` is the createStoryVideo option they set, flags
+// without `arg` are switches that set `value`.
+const STORY_FLAGS = [
+  {
+    flag: "preset",
+    to: "output.preset",
+    arg: "name",
+    help: `Output preset: ${Object.keys(OUTPUT_PRESETS).join(
+      ", "
+    )}, custom (default: reels)`,
+  },
+  { flag: "width", to: "output.width", arg: "px", help: "Custom output width" },
+  {
+    flag: "height",
+    to: "output.height",
+    arg: "px",
+    help: "Custom output height",
+  },
+  { flag: "fps", to: "output.fps", arg: "n", help: "Frame rate (default: 60)" },
+  {
+    flag: "transition",
+    to: "transition",
+    arg: "name",
+    help: `Transition between scenes: ${Object.keys(TRANSITIONS).join(
+      ", "
+    )} (default: crossfade)`,
+  },
+  {
+    flag: "transition-duration",
+    to: "output.transitionDuration",
+    arg: "s",
+    help: "Overlap between scenes (default: 0.3)",
+  },
+  {
+    flag: "zoom-rate",
+    to: "output.zoomRate",
+    arg: "n",
+    help: "Ken Burns zoom per second (default: 0.08)",
+  },
+  {
+    flag: "motion",
+    to: "motion",
+    arg: "name",
+    help: `Ken Burns move: auto, ${MOTIONS.join(", ")} (default: auto)`,
+  },
+  {
+    flag: "video-fit",
+    to: "videoScenes.fit",
+    arg: "how",
+    help: `Fill scenes longer than their video: ${VIDEO_FITS.join(
+      ", "
+    )} (default: loop)`,
+  },
+  {
+    flag: "clip-audio",
+    to: "videoScenes.audio",
+    arg: "mode",
+    help: `Sound of video scenes: ${CLIP_AUDIO_MODES.join(
+      ", "
+    )} (default: mute)`,
+  },
+  {
+    flag: "clip-volume",
+    to: "videoScenes.volume",
+    arg: "n",
+    help: "Volume of mixed video sound, 0-1 (default: 0.5)",
+  },
+  {
+    flag: "captions",
+    to: "captions",
+    value: {},
+    help: "Burn the subtitles into the video",
+  },
+  {
+    flag: "caption-font",
+    to: "captions.font",
+    arg: "name",
+    help: "Caption font (default: Noto Sans Devanagari)",
+  },
+  {
+    flag: "caption-size",
+    to: "captions.fontSize",
+    arg: "px",
+    help: "Caption font size (default: 64)",
+  },
+  {
+    flag: "caption-color",
+    to: "captions.color",
+    arg: "#hex",
+    help: "Caption text color (default: #FFFFFF)",
+  },
+  {
+    flag: "caption-outline-color",
+    to: "captions.outlineColor",
+    arg: "#hex",
+    help: "Caption outline color (default: #000000)",
+  },
+  {
+    flag: "caption-position",
+    to: "captions.position",
+    arg: "where",
+    help: "top, center, bottom (default: bottom)",
+  },
+  {
+    flag: "caption-width",
+    to: "captions.maxLineWidth",
+    arg: "n",
+    help: "Characters per caption line, 1 to 200 (default: 28)",
+  },
+  {
+    flag: "caption-box",
+    to: "captions.box",
+    value: true,
+    help: "Draw a box behind the captions",
+  },
+  {
+    flag: "music",
+    to: "musicPath",
+    arg: "path",
+    help: "Background music, ducked under the narration",
+  },
+  {
+    flag: "music-volume",
+    to: "music.volume",
+    arg: "n",
+    help: "Music level before ducking, 0-1 (default: 0.3)",
+  },
+  {
+    flag: "duck-db",
+    to: "music.duckDb",
+    arg: "dB",
+    help: "How far the music drops under speech (default: 12)",
+  },
+  {
+    flag: "duck-attack",
+    to: "music.attack",
+    arg: "ms",
+    help: "Time to duck when speech starts (default: 20)",
+  },
+  {
+    flag: "duck-release",
+    to: "music.release",
+    arg: "ms",
+    help: "Time to recover after speech (default: 400)",
+  },
+  {
+    flag: "music-fade-in",
+    to: "music.fadeIn",
+    arg: "s",
+    help: "Music fade-in (default: 2)",
+  },
+  {
+    flag: "music-fade-out",
+    to: "music.fadeOut",
+    arg: "s",
+    help: "Music fade-out at the end (default: 3)",
+  },
+  {
+    flag: "music-once",
+    to: "music.loop",
+    value: false,
+    help: "Play the music once instead of looping it",
+  },
+  ...LOUDNESS_FLAGS,
+  {
+    flag: "timing",
+    to: "timing.mode",
+    arg: "mode",
+    help: `Scene timing: ${TIMING_MODES.join(
+      ", "
+    )} (default: cues, audio covers the whole narration)`,
+  },
+  {
+    flag: "gap-fill",
+    to: "timing.gapFill",
+    arg: "how",
+    help: `Fill gaps in audio timing with: ${GAP_FILLS.join(
+      ", "
+    )} (default: previous)`,
+  },
+  {
+    flag: "filler-color",
+    to: "timing.fillerColor",
+    arg: "#hex",
+    help: "Color of filler cards (default: #000000)",
+  },
+  ...BRANDING_FLAGS,
+  {
+    flag: "workers",
+    to: "workers",
+    arg: "n",
+    help: "Clips rendered in parallel (default: $CLIP_WORKERS or half the CPU cores)",
+  },
+  {
+    flag: "preview",
+    to: "preview",
+    value: {},
+    help: "Fast low-resolution render for checking timing",
+  },
+  {
+    flag: "preview-scale",
+    to: "preview.scale",
+    arg: "n",
+    help: "Preview size as a fraction of the output (default: 0.33)",
+  },
+  {
+    flag: "preview-fps",
+    to: "preview.fps",
+    arg: "n",
+    help: "Preview frame rate (default: 15)",
+  },
+  {
+    flag: "from",
+    to: "preview.start",
+    arg: "s",
+    help: "Preview only from this point of the video",
+  },
+  { flag: "to", to: "preview.end", arg: "s", help: "...and up to this point" },
+  {
+    flag: "no-cache",
+    to: "cache",
+    value: false,
+    help: "Render every clip instead of reusing cached ones",
+  },
+  {
+    flag: "force",
+    to: "force",
+    value: true,
+    help: "Render even if the pre-flight check finds errors",
+  },
+];
+
+// Mixer flags, `to` is the createMixedVideo option they set
+const MIX_FLAGS = [
+  {
+    flag: "visual",
+    to: "inputPaths",
+    arg: "path",
+    multiple: true,
+    help: "Image or video, repeat for a playlist",
+  },
+  {
+    flag: "bg",
+    to: "bgAudioPaths",
+    arg: "path",
+    multiple: true,
+    help: "Background track, repeat for a playlist",
+  },
+  {
+    flag: "bg-volume",
+    to: "bgVolume",
+    arg: "n",
+    help: "Background level under the narration, 0-1 (default: 0.3)",
+  },
+  {
+    flag: "framerate",
+    to: "framerate",
+    arg: "n",
+    help: "Frame rate (default: 30)",
+  },
+  {
+    flag: "visual-duration",
+    to: "playlist.visualDuration",
+    arg: "s",
+    help: "Seconds per visual (default: spread over the audio)",
+  },
+  {
+    flag: "transition",
+    to: "playlist.transition",
+    arg: "name",
+    help: `Transition between visuals: ${Object.keys(TRANSITIONS).join(
+      ", "
+    )} (default: crossfade)`,
+  },
+  {
+    flag: "transition-duration",
+    to: "playlist.transitionDuration",
+    arg: "s",
+    help: "Overlap between visuals (default: 1)",
+  },
+  {
+    flag: "bg-crossfade",
+    to: "playlist.bgCrossfade",
+    arg: "s",
+    help: "Overlap between background tracks (default: 3)",
+  },
+  {
+    flag: "bg-fade-in",
+    to: "background.fadeIn",
+    arg: "s",
+    help: "Background fade-in (default: 0)",
+  },
+  {
+    flag: "bg-fade-out",
+    to: "background.fadeOut",
+    arg: "s",
+    help: "Background fade-out at the end (default: 0)",
+  },
+  {
+    flag: "bg-offset",
+    to: "background.offset",
+    arg: "s",
+    help: "Start this far into the first background track",
+  },
+  {
+    flag: "intro",
+    to: "background.intro",
+    arg: "s",
+    help: "Music alone at full volume before the narration",
+  },
+  {
+    flag: "narration-delay",
+    to: "background.narrationDelay",
+    arg: "s",
+    help: "Music at bed level before the narration starts",
+  },
+  {
+    flag: "outro",
+    to: "background.outro",
+    arg: "s",
+    help: "Music alone at full volume after the narration",
+  },
+  ...LOUDNESS_FLAGS,
+  ...BRANDING_FLAGS,
+];
+
+const VALIDATE_FLAGS = [
+  {
+    flag: "timing",
+    to: "timing.mode",
+    arg: "mode",
+    help: `Scene timing to check against: ${TIMING_MODES.join(
+      ", "
+    )} (default: cues)`,
+  },
+];
+
+const COMMON_FLAGS = {
+  config: { type: "string", short: "c" },
+  json: { type: "boolean" },
+  output: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = {
+  story: {
+    usage:
+      "kahani story <subtitles_or_scenes_json> <image_dir> <audio> [-o output.mp4]",
+    summary: "Render a story video from subtitles or a scenes manifest",
+    flags: STORY_FLAGS,
+    config: "story",
+    output: "Output file (default: output.mp4)",
+  },
+  mix: {
+    usage:
+      "kahani mix <narration> --visual <path>... --bg <path>... [-o output.mp4]",
+    summary: "Render a narration over visuals and background music",
+    flags: MIX_FLAGS,
+    config: "mix",
+    output: "Output file (default: output.mp4)",
+  },
+  batch: {
+    usage: "kahani batch <episodes_dir_or_manifest> [-o output_dir]",
+    summary: "Render many stories, one per episode folder or manifest entry",
+    flags: STORY_FLAGS,
+    config: "story",
+    output: "Folder for the videos and batch-report.json (default: renders)",
+    switches: {
+      fresh: "Render every episode again instead of resuming",
+    },
+  },
+  validate: {
+    usage: "kahani validate <subtitles_or_scenes_json> <image_dir>",
+    summary: "Run the pre-flight check without rendering",
+    flags: VALIDATE_FLAGS,
+  },
+  probe: {
+    usage: "kahani probe <file>...",
+    summary: "Show the format, duration and streams of media files",
+    flags: [],
+  },
+};
+
+// Config keys each render accepts, the createStoryVideo/createMixedVideo
+// option names
+const CONFIG_KEYS = {
+  story: [
+    "output",
+    "transition",
+    "motion",
+    "videoScenes",
+    "captions",
+    "musicPath",
+    "music",
+    "loudness",
+    "timing",
+    "branding",
+    "workers",
+    "preview",
+    "cache",
+    "force",
+  ],
+  mix: [
+    "inputPaths",
+    "bgAudioPaths",
+    "bgVolume",
+    "framerate",
+    "playlist",
+    "background",
+    "loudness",
+    "branding",
+  ],
+};
+
+/**
+ * Error for bad arguments, config or option values (exit code 2)
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function exitCodeFor(error) {
+  if (error.usage) return EXIT_CODES.usage;
+  if (error.report) return EXIT_CODES.validation;
+  if (error.cancelled) return EXIT_CODES.cancelled;
+  return EXIT_CODES.render;
+}
+
+function formatHelp(name) {
+  const command = COMMANDS[name];
+  const lines = [`Usage: ${command.usage} [options]`, `  ${command.summary}`];
+  const options = [
+    ...command.flags.map(({ flag, arg, help }) => [
+      `--${flag}${arg ? ` <${arg}>` : ""}`,
+      help,
+    ]),
+    ...Object.entries(command.switches || {}).map(([flag, help]) => [
+      `--${flag}`,
+      help,
+    ]),
+    ...(command.output ? [["-o, --output <path>", command.output]] : []),
+    ...(command.config
+      ? [["-c, --config <file>", "JSON or YAML file with default options"]]
+      : []),
+    ["--json", "Machine-readable output: one JSON event per line on stdout"],
+    ["-h, --help", "Show this help"],
+  ];
+  for (const [flag, help] of options) {
+    lines.push(`  ${flag.padEnd(28)} ${help}`);
+  }
+  return lines.join("\n");
+}
+
+function formatUsage() {
+  const lines = ["Usage: kahani <command> [options]", "Commands:"];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    lines.push(`  ${name.padEnd(9)} ${command.summary}`);
+  }
+  lines.push(
+    "Run kahani <command> --help for its options.",
+    "Exit codes: 0 done, 2 bad usage or options, 3 pre-flight check failed,",
+    "  4 render failed, 130 cancelled"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Set `value` at a dotted option path. Object values (switches such as
+ * --captions) only create the object, so they keep what other flags or the
+ * config put there.
+ */
+function setOption(options, optionPath, value) {
+  const keys = optionPath.split(".");
+  const last = keys.pop();
+  let target = options;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (!target[last] || typeof target[last] !== "object") {
+      target[last] = { ...value };
+    }
+  } else {
+    target[last] = value;
+  }
+}
+
+/**
+ * Options for one kind of render from a config file: its `story` / `mix`
+ * section, or the top level when the file has no sections. Unknown keys
+ * are rejected so typos don't pass silently.
+ */
+function configOptions(configPath, command) {
+  let config;
+  try {
+    config = loadConfig(configPath);
+  } catch (err) {
+    throw usageError(`Cannot read config ${configPath}: ${err.message}`);
+  }
+  const hasSections = Object.keys(CONFIG_KEYS).some((key) => key in config);
+  const section = hasSections ? config[command] || {} : config;
+  if (!isPlainObject(section)) {
+    throw usageError(`Config section "${command}" must be an object`);
+  }
+
+  for (const key of Object.keys(section)) {
+    if (!CONFIG_KEYS[command].includes(key)) {
+      throw usageError(
+        `Unknown ${command} option "${key}" in ${configPath}. Known: ${CONFIG_KEYS[
+          command
+        ].join(", ")}`
+      );
+    }
+  }
+  return resolveOptionPaths(section, path.dirname(path.resolve(configPath)));
+}
+
+/**
+ * Parse a subcommand's arguments into { positionals, options, common }:
+ * render options from the config file with the flags on top
+ */
+function parseCommand(name, argv) {
+  const command = COMMANDS[name];
+  const parserOptions = { ...COMMON_FLAGS };
+  for (const { flag, arg, multiple } of command.flags) {
+    parserOptions[flag] = { type: arg ? "string" : "boolean" };
+    if (multiple) parserOptions[flag].multiple = true;
+  }
+  for (const flag of Object.keys(command.switches || {})) {
+    parserOptions[flag] = { type: "boolean" };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: parserOptions,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  const options =
+    values.config && command.config && !values.help
+      ? configOptions(values.config, command.config)
+      : {};
+  for (const { flag, to, arg, value } of command.flags) {
+    if (values[flag] === undefined) continue;
+    if (arg) {
+      setOption(options, to, values[flag]);
+    } else if (values[flag]) {
+      setOption(options, to, value);
+    }
+  }
+  // A target without a preset is a custom one
+  if (options.loudness && !options.loudness.preset) {
+    options.loudness.preset = "custom";
+  }
+  return { positionals, options, common: values };
+}
+
+/**
+ * Run each option through the resolver the render uses, so bad values are
+ * reported as usage errors before any work starts
+ */
+function checkOptions(name, options) {
+  try {
+    resolveLoudness(options.loudness);
+    resolveBranding(options.branding);
+    if (name === "story") {
+      const settings = resolveOutputSettings(options.output);
+      if (options.preview) resolvePreviewSettings(settings, options.preview);
+      resolveTiming(options.timing);
+      resolveVideoScenes(options.videoScenes);
+      if (options.musicPath) resolveMusicSettings(options.music);
+      if (options.captions) resolveCaptionStyle(options.captions);
+      resolveTransition(options.transition);
+      resolveMotion(options.motion);
+    } else {
+      resolvePlaylist(options.playlist);
+      resolveBackground(options.background);
+      for (const [key, min, max] of [
+        ["bgVolume", 0, 1],
+        ["framerate", 1, 120],
+      ]) {
+        if (options[key] === undefined) continue;
+        const value = Number(options[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+          throw new Error(`${key} must be between ${min} and ${max}`);
+        }
+        options[key] = value;
+      }
+    }
+  } catch (err) {
+    throw usageError(err.message);
+  }
+}
+
+function requireFiles(files) {
+  for (const [label, file] of files) {
+    if (!file) throw usageError(`Missing ${label.toLowerCase()}`);
+    if (!fs.existsSync(file)) {
+      throw usageError(`${label} not found: ${path.resolve(file)}`);
+    }
+  }
+}
+
+async function runStory({ positionals, options, common }, context) {
+  const [inputPath, imageDir, audioPath] = positionals;
+  const outputName = common.output || positionals[3] || "output.mp4";
+  requireFiles([
+    ["Subtitles or scenes file", inputPath],
+    ["Image directory", imageDir],
+    ["Audio file", audioPath],
+    ...(options.musicPath ? [["Music file", options.musicPath]] : []),
+  ]);
+  checkOptions("story", options);
+  requireFiles(brandingFiles(resolveBranding(options.branding)));
+
+  const result = await createStoryVideo({
+    ...options,
+    ...readStoryInputs(inputPath),
+    imageDir,
+    audioPath,
+    outputName,
+    signal: context.signal,
+    onProgress: context.onProgress,
+  });
+  return { output: path.resolve(result.outputPath), loudness: result.loudness };
+}
+
+async function runMix({ positionals, options, common }, context) {
+  const [mainAudioPath] = positionals;
+  const outputPath = path.resolve(common.output || "output.mp4");
+  const inputPaths = options.inputPaths || [];
+  const bgAudioPaths = options.bgAudioPaths || [];
+  if (inputPaths.length === 0) throw usageError("Missing --visual");
+  if (bgAudioPaths.length === 0) throw usageError("Missing --bg");
+  requireFiles([
+    ["Narration audio", mainAudioPath],
+    ...inputPaths.map((file) => ["Visual", file]),
+    ...bgAudioPaths.map((file) => ["Background audio", file]),
+  ]);
+  checkOptions("mix", options);
+  requireFiles(brandingFiles(resolveBranding(options.branding)));
+
+  const result = await createMixedVideo({
+    ...options,
+    mainAudioPath,
+    outputPath,
+    signal: context.signal,
+    onProgress: context.onProgress,
+  });
+  return { output: result.outputPath, loudness: result.loudness };
+}
+
+async function runValidate({ positionals, options }, context) {
+  const [inputPath, imageDir] = positionals;
+  requireFiles([["Subtitles or scenes file", inputPath]]);
+  const report = validateStoryInputs({
+    ...readStoryInputs(inputPath),
+    imageDir,
+    timingMode: options.timing && options.timing.mode,
+  });
+  if (context.json) {
+    context.emit({ event: "report", ...report });
+  } else {
+    console.log(formatReport(report));
+  }
+  return report.ok ? EXIT_CODES.ok : EXIT_CODES.validation;
+}
+
+function probeFile(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe ${file}: ${err.message}`));
+        return;
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+/**
+ * The parts of ffprobe's output worth showing for a media file
+ */
+function summarizeProbe(file, metadata) {
+  const { format } = metadata;
+  return {
+    file,
+    format: format.format_name,
+    duration: parseFloat(format.duration) || null,
+    bytes: parseInt(format.size) || null,
+    streams: metadata.streams.map((stream) => {
+      const summary = { type: stream.codec_type, codec: stream.codec_name };
+      if (stream.codec_type === "video") {
+        const [num, den] = String(stream.avg_frame_rate).split("/");
+        summary.width = stream.width;
+        summary.height = stream.height;
+        summary.fps = den > 0 ? Math.round((num / den) * 100) / 100 : null;
+      } else if (stream.codec_type === "audio") {
+        summary.sampleRate = parseInt(stream.sample_rate) || null;
+        summary.channels = stream.channels;
+      }
+      return summary;
+    }),
+  };
+}
+
+function formatProbe(info) {
+  const duration =
+    info.duration === null ? "unknown length" : `${info.duration.toFixed(3)}s`;
+  const lines = [`${info.file}: ${info.format}, ${duration}`];
+  for (const stream of info.streams) {
+    const details =
+      stream.type === "video"
+        ? `${stream.width}x${stream.height} @ ${stream.fps} fps`
+        : stream.type === "audio"
+        ? `${stream.sampleRate} Hz, ${stream.channels} channel(s)`
+        : "";
+    lines.push(`  ${stream.type}: ${stream.codec}${details && `, ${details}`}`);
+  }
+  return lines.join("\n");
+}
+
+async function runProbe({ positionals }, context) {
+  if (positionals.length === 0) throw usageError("Missing file to probe");
+  requireFiles(positionals.map((file) => ["File", file]));
+  for (const file of positionals) {
+    const info = summarizeProbe(file, await probeFile(file));
+    if (context.json) {
+      context.emit({ event: "probe", ...info });
+    } else {
+      console.log(formatProbe(info));
+    }
+  }
+  return EXIT_CODES.ok;
+}
+
+async function runBatchCommand({ positionals, options, common }, context) {
+  const [source] = positionals;
+  requireFiles([["Episodes folder or manifest", source]]);
+  let batch;
+  try {
+    batch = loadBatch(source);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  // Flags and --config override the manifest's shared options
+  const shared = mergeOptions(batch.options, options);
+  if (shared.musicPath) requireFiles([["Music file", shared.musicPath]]);
+  checkOptions("story", shared);
+  requireFiles(brandingFiles(resolveBranding(shared.branding)));
+
+  const report = await runBatch({
+    source,
+    episodes: batch.episodes,
+    outputDir: path.resolve(common.output || batch.outputDir || "renders"),
+    options: shared,
+    fresh: common.fresh,
+    signal: context.signal,
+    onEvent: (event) => {
+      if (context.json) {
+        context.emit(event);
+        return;
+      }
+      if (event.event !== "episode") return;
+      const position = `[${event.index + 1}/${event.total}] ${event.name}`;
+      if (event.status === "started") console.log(`\n▶ ${position}`);
+      if (event.status === "resumed")
+        console.log(`⏭ ${position}: done earlier`);
+      if (event.status === "failed") {
+        console.error(`✗ ${position} failed: ${event.error}`);
+      }
+    },
+  });
+
+  if (context.json) {
+    context.emit({
+      event: "done",
+      command: "batch",
+      report: report.reportPath,
+      ...report.counts,
+    });
+  } else {
+    console.log("\n" + formatBatchReport(report));
+  }
+  const failed = report.episodes.filter((entry) => entry.status === "failed");
+  if (failed.length === 0) return EXIT_CODES.ok;
+  return failed.every((entry) => entry.failedCheck)
+    ? EXIT_CODES.validation
+    : EXIT_CODES.render;
+}
+
+const RUNNERS = {
+  story: runStory,
+  mix: runMix,
+  batch: runBatchCommand,
+  validate: runValidate,
+  probe: runProbe,
+};
+
+/**
+ * Run the CLI with `argv` (without node and the script). Resolves with the
+ * exit code. With --json, stdout carries one JSON event per line
+ * ({ event: "progress" | "done" | "error" | "report" | "probe", ... }) and
+ * all logging goes to stderr.
+ */
+async function run(argv) {
+  const [name, ...rest] = argv;
+  const emit = (event) => process.stdout.write(JSON.stringify(event) + "\n");
+  const json = rest.includes("--json");
+
+  if (!name || name === "-h" || name === "--help" || name === "help") {
+    console.log(formatUsage());
+    return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+  if (!COMMANDS[name]) {
+    console.error(`Unknown command "${name}"\n${formatUsage()}`);
+    return EXIT_CODES.usage;
+  }
+  if (json) {
+    // Keep stdout for events; the renderers log with console.log
+    console.log = console.error;
+  }
+
+  const controller = new AbortController();
+  const onSignal = () => {
+    console.error("\nCancelling...");
+    controller.abort();
+  };
+  process.once("SIGINT", onSignal);
+  process.once("SIGTERM", onSignal);
+
+  const context = {
+    json,
+    emit,
+    signal: controller.signal,
+    onProgress: (update) => {
+      if (json) emit({ event: "progress", ...update });
+    },
+  };
+
+  try {
+    const parsed = parseCommand(name, rest);
+    if (parsed.common.help) {
+      console.log(formatHelp(name));
+      return EXIT_CODES.ok;
+    }
+    const result = await RUNNERS[name](parsed, context);
+    if (typeof result === "number") return result;
+
+    if (json) {
+      emit({ event: "done", command: name, ...result });
+    } else {
+      console.log(`Output: ${result.output}`);
+    }
+    return EXIT_CODES.ok;
+  } catch (err) {
+    const exitCode = exitCodeFor(err);
+    if (json) {
+      emit({
+        event: "error",
+        exitCode,
+        message: err.message,
+        ...(err.report ? { report: err.report } : {}),
+      });
+    } else {
+      console.error(`Error: ${err.message}`);
+      if (err.usage) console.error(`Run kahani ${name} --help for options.`);
+    }
+    return exitCode;
+  } finally {
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { EXIT_CODES, run };
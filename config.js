@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+/**
+ * Parse the YAML of a config file or batch manifest. An empty document is
+ * an empty object.
+ */
+function parseYaml(text) {
+  return YAML.parse(text) ?? {};
+}
+
+/**
+ * Read a JSON (.json) or YAML (.yaml, .yml) config file into an object
+ */
+function loadConfig(filePath) {
+  const text = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+  const ext = path.extname(filePath).toLowerCase();
+  let config;
+  if (ext === ".json") {
+    config = JSON.parse(text);
+  } else if (ext === ".yaml" || ext === ".yml") {
+    config = parseYaml(text);
+  } else {
+    throw new Error(`Config must be .json, .yaml or .yml: ${filePath}`);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Config ${filePath} must hold an object of options`);
+  }
+  return config;
+}
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Deep merge of render options, `overrides` win
+ */
+function mergeOptions(base = {}, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeOptions(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+// Render options that hold file paths (dotted for nested options)
+const PATH_OPTIONS = [
+  "musicPath",
+  "inputPaths",
+  "bgAudioPaths",
+  "branding.titleCard.image",
+  "branding.endCard.image",
+  "branding.endCard.clip",
+  "branding.watermark.image",
+];
+
+/**
+ * Copy of `options` with the file paths in it resolved against `baseDir`,
+ * the folder of the config file or manifest they came from
+ */
+function resolveOptionPaths(options, baseDir) {
+  const resolved = mergeOptions({}, options);
+  for (const optionPath of PATH_OPTIONS) {
+    const keys = optionPath.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce(
+      (target, key) => (isPlainObject(target) ? target[key] : undefined),
+      resolved
+    );
+    if (!isPlainObject(parent) || !parent[last]) continue;
+    const value = parent[last];
+    parent[last] = Array.isArray(value)
+      ? value.map((file) => path.resolve(baseDir, String(file)))
+      : path.resolve(baseDir, String(value));
+  }
+  return resolved;
+}
+
+module.exports = {
+  loadConfig,
+  parseYaml,
+  isPlainObject,
+  mergeOptions,
+  resolveOptionPaths,
+};
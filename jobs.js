@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { writeJsonAtomic } = require("./store");
+
+const JOB_STATES = ["queued", "running", "done", "failed", "cancelled"];
+
+/**
+ * Render job queue with a concurrency limit. Every job is persisted as
+ * <dataDir>/<id>.json so the queue (and finished results) survive a restart.
+ *
+ * `runners` maps a job type to `async (job, onProgress, signal) => result`;
+ * the AbortSignal fires when the job is cancelled.
+ *
+ * Events: "queued" (job, position), "started" (job), "progress" (job, p),
+ * "done" (job), "failed" (job), "cancelled" (job)
+ */
+class JobQueue extends EventEmitter {
+  constructor({ dataDir, maxConcurrent = 1, runners = {} }) {
+    super();
+    this.dataDir = dataDir;
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.runners = runners;
+    this.jobs = new Map();
+    this.pending = []; // ids of queued jobs, in order
+    this.running = new Map(); // id -> AbortController
+    this.removing = new Set(); // running ids to delete once they stop
+    // Every SSE stream / socket relay listens for job events
+    this.setMaxListeners(0);
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were queued or running when the server
+   * stopped are queued again, oldest first.
+   */
+  load() {
+    const records = fs
+      .readdirSync(this.dataDir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => {
+        try {
+          return JSON.parse(
+            fs.readFileSync(path.join(this.dataDir, f), "utf8")
+          );
+        } catch (err) {
+          console.error(`[Jobs] Skipping unreadable job record ${f}:`, err);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const job of records) {
+      this.jobs.set(job.id, job);
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "queued";
+        job.progress = 0;
+        job.message = "Re-queued after server restart";
+        this._save(job);
+        this.pending.push(job.id);
+      }
+    }
+
+    console.log(
+      `[Jobs] Loaded ${records.length} job(s), ${this.pending.length} queued`
+    );
+    this._pump();
+  }
+
+  /**
+   * Queue a new job and return its record. `owner` is the upload session
+   * the job belongs to, if any.
+   */
+  add(type, params, owner = null) {
+    if (!this.runners[type]) throw new Error(`Unknown job type "${type}"`);
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      owner,
+      status: "queued",
+      progress: 0,
+      message: "Waiting in queue...",
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this._save(job);
+
+    this._pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Cancel a queued or running job. Returns false if it already finished.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    if (job.status === "queued") {
+      this.pending = this.pending.filter((pendingId) => pendingId !== id);
+      this._finishCancelled(job);
+      this._broadcastPositions();
+      return true;
+    }
+    if (job.status === "running") {
+      job.message = "Cancelling...";
+      // _run marks the job cancelled once the runner has stopped
+      this.running.get(id).abort();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Delete a job record. An active job is cancelled first; a running one is
+   * deleted as soon as its runner has stopped.
+   */
+  remove(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    this.cancel(id);
+    if (this.running.has(id)) {
+      this.removing.add(id);
+    } else {
+      this._delete(job);
+    }
+    return true;
+  }
+
+  /**
+   * 1-based position of a queued job, or 0 if it is not waiting
+   */
+  positionOf(id) {
+    return this.pending.indexOf(id) + 1;
+  }
+
+  _broadcastPositions() {
+    this.pending.forEach((id, index) => {
+      this.emit("queued", this.jobs.get(id), index + 1);
+    });
+  }
+
+  _pump() {
+    while (this.running.size < this.maxConcurrent && this.pending.length) {
+      const job = this.jobs.get(this.pending.shift());
+      this._run(job);
+    }
+    this._broadcastPositions();
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    job.status = "running";
+    job.startedAt = Date.now();
+    job.message = "Starting...";
+    this._save(job);
+    this.emit("started", job);
+
+    try {
+      job.result = await this.runners[job.type](
+        job,
+        (p) => {
+          if (controller.signal.aborted) return;
+          if (typeof p.progress === "number") job.progress = p.progress;
+          if (p.message) job.message = p.message;
+          this.emit("progress", job, p);
+        },
+        controller.signal
+      );
+      // A runner that finished anyway after a cancel still ends cancelled
+      if (controller.signal.aborted) {
+        this._finishCancelled(job);
+        return;
+      }
+      job.status = "done";
+      job.progress = 100;
+      job.message = "Done";
+      job.finishedAt = Date.now();
+      this._save(job);
+      this.emit("done", job);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        this._finishCancelled(job);
+        return;
+      }
+      console.error(`[Jobs] Job ${job.id} failed:`, err);
+      job.status = "failed";
+      job.error = err.message;
+      job.message = err.message;
+      job.finishedAt = Date.now();
+      this._save(job);
+      this.emit("failed", job);
+    } finally {
+      this.running.delete(job.id);
+      if (this.removing.delete(job.id)) this._delete(job);
+      this._pump();
+    }
+  }
+
+  _finishCancelled(job) {
+    console.log(`[Jobs] Job ${job.id} cancelled`);
+    job.status = "cancelled";
+    job.message = "Cancelled";
+    job.finishedAt = Date.now();
+    this._save(job);
+    this.emit("cancelled", job);
+  }
+
+  _delete(job) {
+    this.jobs.delete(job.id);
+    fs.rmSync(path.join(this.dataDir, `${job.id}.json`), { force: true });
+  }
+
+  _save(job) {
+    writeJsonAtomic(path.join(this.dataDir, `${job.id}.json`), job);
+  }
+}
+
+module.exports = { JobQueue, JOB_STATES };
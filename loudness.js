@@ -0,0 +1,260 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const { killOnAbort, cancelledError } = require("./cancel");
+
+// Loudness targets (EBU R128 measurement). integrated is in LUFS, truePeak
+// in dBTP, lra is the loudness range the correction may keep.
+const LOUDNESS_PRESETS = {
+  streaming: {
+    label: "YouTube / Spotify (-14 LUFS)",
+    integrated: -14,
+    truePeak: -1,
+    lra: 11,
+  },
+  podcast: {
+    label: "Podcast (-16 LUFS)",
+    integrated: -16,
+    truePeak: -1,
+    lra: 11,
+  },
+  broadcast: {
+    label: "Broadcast EBU R128 (-23 LUFS)",
+    integrated: -23,
+    truePeak: -1,
+    lra: 15,
+  },
+};
+
+// loudnorm works at 192kHz internally, resample back for the AAC encoder
+const OUTPUT_SAMPLE_RATE = 48000;
+
+/**
+ * Resolve loudness options ({ preset, integrated, truePeak, lra }) into a
+ * target. Custom values override the preset. Returns null when loudness
+ * correction is off (no options or preset "off").
+ */
+function resolveLoudness(options) {
+  if (!options || options.preset === "off") return null;
+
+  const presetName = options.preset || "streaming";
+  let base;
+  if (presetName === "custom") {
+    base = LOUDNESS_PRESETS.streaming;
+  } else {
+    base = LOUDNESS_PRESETS[presetName];
+    if (!base) {
+      throw new Error(
+        `Unknown loudness preset "${presetName}". Available: ${Object.keys(
+          LOUDNESS_PRESETS
+        ).join(", ")}, custom, off`
+      );
+    }
+  }
+
+  const value = (key, min, max) => {
+    if (options[key] === undefined || options[key] === "") return base[key];
+    const number = parseFloat(options[key]);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      throw new Error(`Loudness ${key} must be between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  return {
+    preset: presetName,
+    integrated: value("integrated", -70, -5),
+    truePeak: value("truePeak", -9, 0),
+    lra: value("lra", 1, 50),
+  };
+}
+
+/**
+ * Pull the JSON block loudnorm prints (print_format=json) out of FFmpeg's
+ * stderr. Returns the parsed numbers, or null when none is found.
+ */
+function parseLoudnormStats(stderr) {
+  const blocks = String(stderr || "").match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) return null;
+
+  const raw = JSON.parse(blocks[blocks.length - 1]);
+  const stats = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const number = parseFloat(value);
+    stats[key] = Number.isNaN(number) ? value : number;
+  }
+  return stats;
+}
+
+const loudnormTarget = (target) =>
+  `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+
+/**
+ * First pass: run an audio graph ({ filters, outputLabel }) through loudnorm
+ * without writing anything and return the measured stats. `command` must
+ * already have the graph's inputs; `duration` (seconds) bounds graphs that
+ * loop or pad forever.
+ */
+function measureLoudness(command, graph, target, { duration, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    command
+      .complexFilter([
+        ...graph.filters,
+        `${graph.outputLabel}${loudnormTarget(
+          target
+        )}:print_format=json[measured]`,
+      ])
+      .outputOptions(["-map", "[measured]"])
+      .format("null");
+    if (duration) command.outputOptions(["-t", duration.toFixed(6)]);
+    command.output("-");
+
+    killOnAbort(command, signal);
+
+    command
+      .on("end", (stdout, stderr) => {
+        const stats = parseLoudnormStats(stderr);
+        if (!stats) {
+          reject(new Error("Loudness analysis returned no measurement"));
+          return;
+        }
+        resolve(stats);
+      })
+      .on("error", (err) => {
+        if (signal && signal.aborted) return reject(cancelledError());
+        reject(new Error("Loudness analysis failed: " + err.message));
+      })
+      .run();
+  });
+}
+
+/**
+ * Second pass: append loudnorm with the first pass measurement to an audio
+ * graph. Silent audio (-inf LUFS) can't be corrected and is left unchanged.
+ * Returns { filters, outputLabel }.
+ */
+function applyLoudness(graph, target, measured) {
+  if (!Number.isFinite(measured.input_i)) return graph;
+
+  const filter = [
+    loudnormTarget(target),
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    "linear=true",
+    "print_format=json",
+  ].join(":");
+
+  return {
+    filters: [
+      ...graph.filters,
+      `${graph.outputLabel}${filter},aresample=${OUTPUT_SAMPLE_RATE}[loud]`,
+    ],
+    outputLabel: "[loud]",
+  };
+}
+
+/**
+ * Before/after values for the job result. `after` comes from the stats the
+ * second pass printed; it is null when the audio was left unchanged.
+ */
+function loudnessReport(target, measured, stderr) {
+  const corrected = Number.isFinite(measured.input_i)
+    ? parseLoudnormStats(stderr)
+    : null;
+
+  return {
+    target: {
+      preset: target.preset,
+      integrated: target.integrated,
+      truePeak: target.truePeak,
+      lra: target.lra,
+    },
+    before: {
+      integrated: measured.input_i,
+      truePeak: measured.input_tp,
+      lra: measured.input_lra,
+    },
+    after: corrected && {
+      integrated: corrected.output_i,
+      truePeak: corrected.output_tp,
+      lra: corrected.output_lra,
+      // "linear" keeps the dynamics; loudnorm falls back to "dynamic" when
+      // the target can't be reached without breaking the true-peak limit
+      normalization: corrected.normalization_type,
+    },
+  };
+}
+
+/**
+ * Correct the loudness of a finished video: measure its audio, then write
+ * `outputPath` with the corrected audio and the video stream copied.
+ * Resolves with the before/after report.
+ */
+async function normalizeLoudness(inputPath, outputPath, target, options = {}) {
+  const { signal = null } = options;
+  const graph = { filters: ["[0:a]anull[main]"], outputLabel: "[main]" };
+  const measured = await measureLoudness(
+    ffmpeg().input(inputPath),
+    graph,
+    target,
+    { signal }
+  );
+  const corrected = applyLoudness(graph, target, measured);
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(inputPath)
+      .complexFilter(corrected.filters)
+      .outputOptions([
+        "-map",
+        "0:v",
+        "-map",
+        corrected.outputLabel,
+        "-c:v",
+        "copy",
+        "-c:a",
+        "aac",
+        "-b:a",
+        "192k",
+        "-movflags",
+        "+faststart",
+      ])
+      .output(outputPath);
+
+    killOnAbort(command, signal);
+
+    command
+      .on("end", (stdout, stderr) => {
+        resolve(loudnessReport(target, measured, stderr));
+      })
+      .on("error", (err) => {
+        fs.rmSync(outputPath, { force: true });
+        if (signal && signal.aborted) return reject(cancelledError());
+        reject(new Error("Loudness correction failed: " + err.message));
+      })
+      .run();
+  });
+}
+
+/**
+ * One line summary of a loudness report for the logs
+ */
+function formatLoudness(report) {
+  const fmt = (stats) =>
+    `${stats.integrated} LUFS, ${stats.truePeak} dBTP, LRA ${stats.lra}`;
+  const after = report.after ? fmt(report.after) : "unchanged (silent audio)";
+  return `Loudness: ${fmt(report.before)} -> ${after}`;
+}
+
+module.exports = {
+  LOUDNESS_PRESETS,
+  resolveLoudness,
+  parseLoudnormStats,
+  measureLoudness,
+  applyLoudness,
+  loudnessReport,
+  normalizeLoudness,
+  formatLoudness,
+};
@@ -0,0 +1,134 @@
+// File types a story scene can use as its source
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "webp"];
+const VIDEO_EXTENSIONS = ["mp4", "mov", "m4v", "webm", "mkv", "gif"];
+
+// How a video shorter than its scene fills the rest:
+// - loop: play it again from the start
+// - slow: slow it down to last exactly as long as the scene
+// Longer videos are always trimmed.
+const VIDEO_FITS = ["loop", "slow"];
+
+// What happens to a video's own sound: dropped, or mixed under the narration
+const CLIP_AUDIO_MODES = ["mute", "mix"];
+
+const DEFAULT_VIDEO_SCENES = {
+  fit: "loop",
+  audio: "mute",
+  volume: 0.5, // Volume of mixed clip audio (0-1)
+};
+
+/**
+ * Whether a scene source file is a video or animated GIF
+ */
+function isVideoSource(file) {
+  const match = /\.([a-z0-9]+)$/i.exec(file || "");
+  return Boolean(match && VIDEO_EXTENSIONS.includes(match[1].toLowerCase()));
+}
+
+/**
+ * Whether a file can be used as a scene source at all
+ */
+function isSceneSource(file) {
+  const match = /\.([a-z0-9]+)$/i.exec(file || "");
+  const ext = match ? match[1].toLowerCase() : "";
+  return IMAGE_EXTENSIONS.includes(ext) || VIDEO_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Merge video scene options ({ fit, audio, volume }) with the defaults and
+ * validate them
+ */
+function resolveVideoScenes(options = {}) {
+  const settings = { ...DEFAULT_VIDEO_SCENES };
+  for (const key of Object.keys(DEFAULT_VIDEO_SCENES)) {
+    if (options[key] !== undefined && options[key] !== "") {
+      settings[key] = options[key];
+    }
+  }
+
+  if (!VIDEO_FITS.includes(settings.fit)) {
+    throw new Error(
+      `Unknown video fit "${settings.fit}". Available: ${VIDEO_FITS.join(", ")}`
+    );
+  }
+  if (!CLIP_AUDIO_MODES.includes(settings.audio)) {
+    throw new Error(
+      `Unknown clip audio mode "${
+        settings.audio
+      }". Available: ${CLIP_AUDIO_MODES.join(", ")}`
+    );
+  }
+  const volume = parseFloat(settings.volume);
+  settings.volume = Number.isFinite(volume)
+    ? Math.min(1, Math.max(0, volume))
+    : DEFAULT_VIDEO_SCENES.volume;
+
+  return settings;
+}
+
+/**
+ * Settings for one video scene: its own fit/clip_audio/clip_volume fields
+ * (scenes manifest) override the story-wide settings
+ */
+function sceneVideoSettings(scene, defaults) {
+  return {
+    fit: scene.fit || defaults.fit,
+    audio: scene.clip_audio || defaults.audio,
+    volume:
+      scene.clip_volume !== undefined ? scene.clip_volume : defaults.volume,
+  };
+}
+
+/**
+ * atempo only accepts 0.5-2.0, so larger changes are chained
+ */
+function atempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining < 0.5) {
+    filters.push("atempo=0.5");
+    remaining /= 0.5;
+  }
+  filters.push(`atempo=${remaining.toFixed(6)}`);
+  return filters.join(",");
+}
+
+/**
+ * Mix the sound of video scenes into one track laid out on the story
+ * timeline. `tracks` are { input, start, duration, volume } with `input` the
+ * ffmpeg input index and times in seconds. Returns { filters, outputLabel }.
+ */
+function buildSceneAudioGraph(tracks) {
+  const filters = tracks.map((track, i) => {
+    const delayMs = Math.round(track.start * 1000);
+    return `[${track.input}:a]atrim=0:${track.duration.toFixed(
+      6
+    )},asetpts=PTS-STARTPTS,adelay=${delayMs}:all=1,volume=${
+      track.volume
+    }[sa${i}]`;
+  });
+
+  if (tracks.length === 1) {
+    return { filters, outputLabel: "[sa0]" };
+  }
+  filters.push(
+    `${tracks.map((t, i) => `[sa${i}]`).join("")}amix=inputs=${
+      tracks.length
+    }:duration=longest:normalize=0[sceneaudio]`
+  );
+  return { filters, outputLabel: "[sceneaudio]" };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  VIDEO_EXTENSIONS,
+  VIDEO_FITS,
+  CLIP_AUDIO_MODES,
+  DEFAULT_VIDEO_SCENES,
+  isVideoSource,
+  isSceneSource,
+  resolveVideoScenes,
+  sceneVideoSettings,
+  atempoChain,
+  buildSceneAudioGraph,
+};
@@ -1,109 +1,669 @@
 const ffmpeg = require("fluent-ffmpeg");
 const path = require("path");
 const fs = require("fs");
+const { killOnAbort, cancelledError, throwIfAborted } = require("./cancel");
+const {
+  resolveLoudness,
+  measureLoudness,
+  applyLoudness,
+  loudnessReport,
+  formatLoudness,
+} = require("./loudness");
+const {
+  resolveTransition,
+  planTransitions,
+  buildTransitionGraph,
+} = require("./transitions");
+const {
+  INTERMEDIATE_AUDIO,
+  intermediatePath,
+  resolveBranding,
+  brandingFiles,
+  applyBranding,
+} = require("./branding");
+
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|bmp|gif|webp)$/i;
+
+const DEFAULT_PLAYLIST = {
+  visualDuration: 0, // seconds per visual, 0 spreads them evenly over the audio
+  transition: "crossfade", // between visuals, see transitions.js
+  transitionDuration: 1, // seconds
+  bgCrossfade: 3, // seconds of overlap between background tracks
+};
+
+// Shaping of the background track around the narration. All in seconds.
+const DEFAULT_BACKGROUND = {
+  fadeIn: 0,
+  fadeOut: 0, // ends with the video
+  offset: 0, // Where to start in the (first) background track
+  intro: 0, // Music alone at full volume before the narration
+  narrationDelay: 0, // Music at bed level before the narration starts
+  outro: 0, // Music alone at full volume after the narration
+};
+
+// Seconds the background takes to move between full volume and bed level
+// around the intro and outro
+const VOLUME_RAMP = 1;
+
+// Background playlists are repeated as separate inputs until they cover the
+// main audio; this caps how many that may take
+const MAX_BG_INPUTS = 100;
+
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe ${filePath}: ${err.message}`));
+        return;
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+/**
+ * Merge playlist options with the defaults and validate them
+ */
+function resolvePlaylist(options = {}) {
+  const playlist = { ...DEFAULT_PLAYLIST };
+  for (const key of Object.keys(DEFAULT_PLAYLIST)) {
+    if (options[key] !== undefined && options[key] !== "") {
+      playlist[key] = options[key];
+    }
+  }
+
+  playlist.transition = resolveTransition(playlist.transition);
+  for (const key of ["visualDuration", "transitionDuration", "bgCrossfade"]) {
+    const value = parseFloat(playlist[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Playlist ${key} must be a positive number of seconds`);
+    }
+    playlist[key] = value;
+  }
+  if (playlist.visualDuration > 0 && playlist.visualDuration < 1) {
+    throw new Error("Playlist visualDuration must be at least 1 second");
+  }
+
+  return playlist;
+}
+
+/**
+ * Merge background options with the defaults and validate them
+ */
+function resolveBackground(options = {}) {
+  const background = { ...DEFAULT_BACKGROUND };
+  for (const key of Object.keys(DEFAULT_BACKGROUND)) {
+    if (options[key] !== undefined && options[key] !== "") {
+      const value = parseFloat(options[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 600) {
+        throw new Error(`Background ${key} must be between 0 and 600 seconds`);
+      }
+      background[key] = value;
+    }
+  }
+  return background;
+}
+
+/**
+ * Background volume over time as a volume filter: full volume during the
+ * intro and outro, `bgVolume` under the narration (which runs from
+ * `narrationStart` to `narrationEnd`), with short ramps in between.
+ */
+function backgroundVolumeFilter(
+  bgVolume,
+  background,
+  narrationStart,
+  narrationEnd
+) {
+  const points = [];
+  if (background.intro > 0) {
+    const ramp = Math.min(VOLUME_RAMP, background.intro);
+    points.push({ t: background.intro - ramp, v: 1 });
+  }
+  points.push({
+    t: Math.max(0, narrationStart - background.narrationDelay),
+    v: bgVolume,
+  });
+  if (background.outro > 0) {
+    const ramp = Math.min(VOLUME_RAMP, background.outro);
+    points.push(
+      { t: narrationEnd, v: bgVolume },
+      { t: narrationEnd + ramp, v: 1 }
+    );
+  }
+  if (points.length === 1) return `volume=${bgVolume}`;
+
+  // Piecewise linear between the points, held before the first and after
+  // the last
+  const f = (n) => Number(n.toFixed(6));
+  let expr = `${points[points.length - 1].v}`;
+  for (let i = points.length - 2; i >= 0; i--) {
+    const a = points[i];
+    const b = points[i + 1];
+    const segment =
+      b.t > a.t && b.v !== a.v
+        ? `${a.v}+(${f(b.v - a.v)})*(t-${f(a.t)})/${f(b.t - a.t)}`
+        : `${b.v}`;
+    expr = `if(lt(t,${f(b.t)}),${segment},${expr})`;
+  }
+  return `volume='if(lt(t,${f(points[0].t)}),${
+    points[0].v
+  },${expr})':eval=frame`;
+}
+
+/**
+ * Lay out the visual playlist over `duration` seconds. With a
+ * `visualDuration` every visual is shown that long and the list cycles;
+ * otherwise each visual is shown once for an equal share.
+ *
+ * Returns { slots: [{ visual, duration }], loops }. A looping playlist ends
+ * with a short head of the first visual so the transition back into it is
+ * part of the cycle.
+ */
+function planVisualSlots(count, duration, settings) {
+  const { visualDuration, transitionDuration } = settings;
+  if (!visualDuration) {
+    const share = duration / count;
+    return {
+      slots: Array.from({ length: count }, (_, visual) => ({
+        visual,
+        duration: share,
+      })),
+      loops: false,
+    };
+  }
+
+  const slots = Array.from({ length: count }, (_, visual) => ({
+    visual,
+    duration: visualDuration,
+  }));
+  const loops = count * visualDuration < duration;
+  if (loops && transitionDuration > 0) {
+    // Twice the overlap, as transitions take at most half of a slot
+    slots.push({ visual: 0, duration: transitionDuration * 2 });
+  }
+  return { slots, loops };
+}
+
+/**
+ * Order in which background tracks play so that, crossfaded back to back,
+ * they cover `duration` seconds. The first track starts `offset` seconds in.
+ * Returns { order, crossfade } where the crossfade is capped at half of the
+ * shortest track.
+ */
+function planBackgroundPlaylist(
+  trackDurations,
+  duration,
+  bgCrossfade,
+  offset = 0
+) {
+  const crossfade = Math.max(
+    0,
+    Math.min(bgCrossfade, Math.min(...trackDurations) / 2)
+  );
+  const order = [];
+  let covered = 0;
+  while (covered < duration) {
+    if (order.length >= MAX_BG_INPUTS) {
+      throw new Error(
+        "Background tracks are too short to cover the main audio"
+      );
+    }
+    const track = order.length % trackDurations.length;
+    covered +=
+      order.length > 0
+        ? trackDurations[track] - crossfade
+        : trackDurations[track] - offset;
+    order.push(track);
+  }
+  return { order, crossfade };
+}
+
+/**
+ * Render one visual of the playlist as a clip of `duration` seconds at the
+ * playlist size. Images are held, videos loop. Letterboxed to keep the
+ * aspect ratio.
+ */
+function renderVisualClip(
+  inputPath,
+  outputPath,
+  duration,
+  size,
+  framerate,
+  signal
+) {
+  return new Promise((resolve, reject) => {
+    const { width, height } = size;
+    const command = ffmpeg()
+      .input(inputPath)
+      .inputOptions(
+        IMAGE_PATTERN.test(inputPath) ? ["-loop", "1"] : ["-stream_loop", "-1"]
+      )
+      .videoFilters(
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${framerate}`
+      )
+      .noAudio()
+      .outputOptions([
+        "-t",
+        duration.toFixed(6),
+        "-c:v",
+        "libx264",
+        "-pix_fmt",
+        "yuv420p",
+      ])
+      .output(outputPath);
+
+    killOnAbort(command, signal);
+
+    command
+      .on("end", () => resolve(outputPath))
+      .on("error", (err) => {
+        if (signal && signal.aborted) return reject(cancelledError());
+        reject(new Error(`Failed to prepare ${inputPath}: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Join the clips of the visual playlist with transitions into one video
+ */
+function joinVisualClips(clipPaths, durations, plan, outputPath, signal) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    clipPaths.forEach((clip) => command.input(clip));
+
+    const { filters, outputLabel } = buildTransitionGraph(durations, plan);
+    if (filters.length > 0) command.complexFilter(filters);
+
+    command
+      .outputOptions([
+        "-map",
+        clipPaths.length > 1 ? outputLabel : "0:v",
+        "-c:v",
+        "libx264",
+        "-pix_fmt",
+        "yuv420p",
+      ])
+      .output(outputPath);
+
+    killOnAbort(command, signal);
+
+    command
+      .on("end", () => resolve(outputPath))
+      .on("error", (err) => {
+        if (signal && signal.aborted) return reject(cancelledError());
+        reject(new Error("Failed to join visuals: " + err.message));
+      })
+      .run();
+  });
+}
+
+/**
+ * Render the visual playlist to a single video in `tempDir`. A looping
+ * playlist renders one cycle, which the final mix repeats.
+ */
+async function renderVisualPlaylist(
+  visuals,
+  duration,
+  settings,
+  framerate,
+  tempDir,
+  signal,
+  onProgress
+) {
+  // Every visual is fitted into the size of the first one
+  const first = (await probe(visuals[0])).streams.find(
+    (s) => s.codec_type === "video"
+  );
+  if (!first) throw new Error(`No picture in ${visuals[0]}`);
+  const size = {
+    width: first.width - (first.width % 2),
+    height: first.height - (first.height % 2),
+  };
+
+  const { slots, loops } = planVisualSlots(visuals.length, duration, settings);
+  let elapsed = 0;
+  const timeline = slots.map((slot) => {
+    const scene = {
+      start_ms: elapsed * 1000,
+      end_ms: (elapsed + slot.duration) * 1000,
+    };
+    elapsed += slot.duration;
+    return scene;
+  });
+  const plan = planTransitions(
+    timeline,
+    settings.transition,
+    settings.transitionDuration
+  );
+  console.log(
+    `  Visual playlist: ${slots.length} slot(s)${loops ? ", looping" : ""}, ${
+      size.width
+    }x${size.height}`
+  );
+
+  const clipPaths = [];
+  for (let i = 0; i < slots.length; i++) {
+    throwIfAborted(signal);
+    onProgress({
+      status: "mixing",
+      message: `Preparing visuals ${i + 1}/${slots.length}...`,
+      progress: 10 + (i / slots.length) * 20,
+    });
+    // Each clip runs into the next one for the length of the transition
+    clipPaths.push(
+      await renderVisualClip(
+        visuals[slots[i].visual],
+        path.join(tempDir, `visual_${i}.mp4`),
+        slots[i].duration + plan[i].duration,
+        size,
+        framerate,
+        signal
+      )
+    );
+  }
+
+  return joinVisualClips(
+    clipPaths,
+    slots.map((slot) => slot.duration),
+    plan,
+    path.join(tempDir, "visuals.mp4"),
+    signal
+  );
+}
+
+/**
+ * Audio filters for the background playlist (inputs from 2 on, in `order`),
+ * crossfaded back to back, then shaped by `volumeFilter` and `fades`.
+ * Returns the filters; the result is labelled [bg].
+ */
+function buildBackgroundGraph(order, crossfade, volumeFilter, fades) {
+  const shape = [volumeFilter, ...fades].join(",");
+  if (order.length === 1) return [`[2:a]${shape}[bg]`];
+
+  const filters = [];
+  let current = "[2:a]";
+  for (let i = 1; i < order.length; i++) {
+    const label = `[bgx${i}]`;
+    filters.push(
+      crossfade > 0
+        ? `${current}[${i + 2}:a]acrossfade=d=${crossfade.toFixed(
+            6
+          )}:c1=tri:c2=tri${label}`
+        : `${current}[${i + 2}:a]concat=n=2:v=0:a=1${label}`
+    );
+    current = label;
+  }
+  filters.push(`${current}${shape}[bg]`);
+  return filters;
+}
 
 /**
  * Mix main audio with background audio and apply to a video or image
  * Based on the shell script provided.
+ *
+ * `inputPaths` and `bgAudioPaths` take playlists: visuals cycle with
+ * transitions, background tracks play back to back with crossfades until
+ * the main audio ends. A single `inputPath`/`bgAudioPath` still works.
+ * `background` adds fades, a start offset and music-only intro/outro
+ * sections; the video then runs from the intro to the end of the outro.
+ * Resolves with { outputPath, loudness } (see loudness.js; null when off).
  */
 async function createMixedVideo(options) {
   const {
     inputPath,
+    inputPaths = inputPath ? [inputPath] : [],
     mainAudioPath,
     bgAudioPath,
+    bgAudioPaths = bgAudioPath ? [bgAudioPath] : [],
     outputPath,
     bgVolume = 0.3,
     framerate = 30,
+    playlist: playlistOptions = {}, // { visualDuration, transition, transitionDuration, bgCrossfade }
+    background: backgroundOptions = {}, // { fadeIn, fadeOut, offset, intro, narrationDelay, outro }
+    loudness: loudnessOptions = null, // { preset, integrated, truePeak, lra }, see loudness.js
+    branding: brandingOptions = null, // { titleCard, endCard, watermark }, see branding.js
+    signal = null, // AbortSignal that cancels the render
     onProgress = () => {},
   } = options;
 
-  return new Promise(async (resolve, reject) => {
-    try {
-      const isImage = /\.(jpg|jpeg|png|bmp|gif|webp)$/i.test(inputPath);
-
-      // Get duration of main audio
-      ffmpeg.ffprobe(mainAudioPath, async (err, metadata) => {
-        if (err)
-          return reject(
-            new Error("Failed to probe main audio: " + err.message)
-          );
-        const duration = metadata.format.duration;
-
-        onProgress({
-          status: "mixing",
-          message: "Analyzing media...",
-          progress: 10,
-        });
-
-        let command = ffmpeg();
-
-        // Input 0: Image or Video
-        if (isImage) {
-          command = command.input(inputPath).inputOptions(["-loop", "1"]);
-        } else {
-          command = command
-            .input(inputPath)
-            .inputOptions(["-stream_loop", "-1"]);
-        }
-
-        // Input 1: Main Audio
-        command = command.input(mainAudioPath);
-
-        // Input 2: Background Audio
+  if (inputPaths.length === 0) throw new Error("No visual given");
+  if (bgAudioPaths.length === 0) throw new Error("No background audio given");
+  const loudness = resolveLoudness(loudnessOptions);
+  const playlist = resolvePlaylist(playlistOptions);
+  const background = resolveBackground(backgroundOptions);
+  const branding = resolveBranding(brandingOptions);
+  for (const [label, file] of brandingFiles(branding)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${label} not found: ${path.resolve(file)}`);
+    }
+  }
+
+  // Get duration of main audio
+  const mainDuration = (await probe(mainAudioPath)).format.duration;
+  throwIfAborted(signal);
+
+  // Output timeline: intro, delay, narration, outro
+  const narrationStart = background.intro + background.narrationDelay;
+  const narrationEnd = narrationStart + mainDuration;
+  const duration = narrationEnd + background.outro;
+
+  onProgress({
+    status: "mixing",
+    message: "Analyzing media...",
+    progress: 10,
+  });
+
+  const tempDir = path.join(__dirname, "temp_mix_" + Date.now());
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    let visualPath = inputPaths[0];
+    if (inputPaths.length > 1) {
+      visualPath = await renderVisualPlaylist(
+        inputPaths,
+        duration,
+        playlist,
+        framerate,
+        tempDir,
+        signal,
+        onProgress
+      );
+    }
+    const isImage = IMAGE_PATTERN.test(visualPath);
+
+    const trackDurations = [];
+    for (const track of bgAudioPaths) {
+      trackDurations.push((await probe(track)).format.duration);
+    }
+    if (background.offset >= trackDurations[0]) {
+      throw new Error(
+        `Background offset ${
+          background.offset
+        }s is past the end of ${path.basename(bgAudioPaths[0])}`
+      );
+    }
+    let bgOrder = [0];
+    let bgCrossfade = 0;
+    if (bgAudioPaths.length > 1) {
+      ({ order: bgOrder, crossfade: bgCrossfade } = planBackgroundPlaylist(
+        trackDurations,
+        duration,
+        playlist.bgCrossfade,
+        background.offset
+      ));
+    }
+
+    const fades = [];
+    if (background.fadeIn > 0) {
+      fades.push(`afade=t=in:st=0:d=${background.fadeIn}`);
+    }
+    if (background.fadeOut > 0) {
+      const start = Math.max(0, duration - background.fadeOut);
+      fades.push(`afade=t=out:st=${start.toFixed(6)}:d=${background.fadeOut}`);
+    }
+
+    // The loudness analysis runs the same inputs, so build them twice
+    const withInputs = () => {
+      let command = ffmpeg();
+
+      // Input 0: Image or Video
+      if (isImage) {
+        command = command.input(visualPath).inputOptions(["-loop", "1"]);
+      } else {
         command = command
-          .input(bgAudioPath)
+          .input(visualPath)
           .inputOptions(["-stream_loop", "-1"]);
+      }
+
+      // Input 1: Main Audio
+      command = command.input(mainAudioPath);
 
-        const filterComplex = [
-          // [2:a] is background audio
-          `[2:a]volume=${bgVolume}[bg]`,
-          // [1:a] is main audio, [bg] is adjusted background
-          `[1:a][bg]amix=inputs=2:normalize=1[a]`,
-        ];
-
-        command
-          .complexFilter(filterComplex)
-          .outputOptions([
-            "-map 0:v", // Use video from input 0
-            "-map [a]", // Use mixed audio
-            "-c:v libx264",
-            "-c:a aac",
-            "-shortest", // Stop when the shortest stream (video loop usually) ends - but we set -t
-            `-t ${duration}`, // Set duration to main audio length
-            `-r ${framerate}`,
-            "-pix_fmt yuv420p",
-          ])
-          .output(outputPath)
-          .on("start", (cmd) => console.log("FFmpeg command:", cmd))
-          .on("progress", (progress) => {
-            if (progress.percent) {
-              onProgress({
-                status: "rendering",
-                message: `Rendering mixed video... ${Math.round(
-                  progress.percent
-                )}%`,
-                progress: 10 + progress.percent * 0.85,
-              });
-            }
-          })
-          .on("end", () => {
+      // Input 2 on: Background Audio, a single track loops. The offset only
+      // applies to the first play, loops start from the beginning.
+      const seek = background.offset > 0 ? ["-ss", `${background.offset}`] : [];
+      if (bgOrder.length === 1) {
+        return command
+          .input(bgAudioPaths[0])
+          .inputOptions([...seek, "-stream_loop", "-1"]);
+      }
+      bgOrder.forEach((track, i) => {
+        command.input(bgAudioPaths[track]);
+        if (i === 0 && seek.length) command.inputOptions(seek);
+      });
+      return command;
+    };
+
+    const narrationDelayMs = Math.round(narrationStart * 1000);
+    let graph = {
+      filters: [
+        ...buildBackgroundGraph(
+          bgOrder,
+          bgCrossfade,
+          backgroundVolumeFilter(
+            bgVolume,
+            background,
+            narrationStart,
+            narrationEnd
+          ),
+          fades
+        ),
+        narrationDelayMs > 0
+          ? `[1:a]adelay=${narrationDelayMs}:all=1[main]`
+          : "[1:a]anull[main]",
+        // [main] is main audio, [bg] is adjusted background. normalize=0
+        // keeps the narration at full level instead of halving it
+        `[main][bg]amix=inputs=2:normalize=0[a]`,
+      ],
+      outputLabel: "[a]",
+    };
+
+    // Branded videos are corrected once the cards and outro are added
+    let measured = null;
+    if (loudness && !branding) {
+      onProgress({
+        status: "mixing",
+        message: "Measuring loudness...",
+        progress: 30,
+      });
+      measured = await measureLoudness(withInputs(), graph, loudness, {
+        duration,
+        signal,
+      });
+      graph = applyLoudness(graph, loudness, measured);
+    }
+
+    // With branding the mix is an intermediate file, branded into outputPath.
+    // Its video is encoded at high quality rather than losslessly, which
+    // would fill the disk for hour-long mixes; its audio stays lossless.
+    const mixPath = branding ? intermediatePath(tempDir, "main") : outputPath;
+    const renderShare = branding ? 0.5 : 0.65;
+    const result = await new Promise((resolve, reject) => {
+      const command = withInputs();
+      command
+        .complexFilter(graph.filters)
+        .outputOptions([
+          "-map 0:v", // Use video from input 0
+          `-map ${graph.outputLabel}`, // Use mixed audio
+          "-c:v libx264",
+          ...(branding
+            ? ["-preset veryfast", "-crf 16", ...INTERMEDIATE_AUDIO]
+            : ["-c:a aac"]),
+          "-shortest", // Stop when the shortest stream (video loop usually) ends - but we set -t
+          `-t ${duration}`, // Main audio length plus intro, delay and outro
+          `-r ${framerate}`,
+          "-pix_fmt yuv420p",
+        ])
+        .output(mixPath);
+
+      killOnAbort(command, signal);
+
+      command
+        .on("start", (cmd) => console.log("FFmpeg command:", cmd))
+        .on("progress", (progress) => {
+          if (progress.percent) {
             onProgress({
-              status: "done",
-              message: "Mixed video created successfully!",
-              progress: 100,
+              status: "rendering",
+              message: `Rendering mixed video... ${Math.round(
+                progress.percent
+              )}%`,
+              progress: 30 + progress.percent * renderShare,
             });
-            resolve(outputPath);
-          })
-          .on("error", (err) => {
-            console.error("FFmpeg error:", err);
-            reject(new Error("FFmpeg processing failed: " + err.message));
-          })
-          .run();
+          }
+        })
+        .on("end", (stdout, stderr) => {
+          const report = measured
+            ? loudnessReport(loudness, measured, stderr)
+            : null;
+          if (report) console.log(formatLoudness(report));
+          resolve({ outputPath, loudness: report });
+        })
+        .on("error", (err) => {
+          // Remove the partially written output
+          fs.rmSync(mixPath, { force: true });
+          if (signal && signal.aborted) {
+            console.log("Mixed render cancelled");
+            return reject(cancelledError());
+          }
+          console.error("FFmpeg error:", err);
+          reject(new Error("FFmpeg processing failed: " + err.message));
+        })
+        .run();
+    });
+
+    if (branding) {
+      throwIfAborted(signal);
+      onProgress({
+        status: "branding",
+        message: "Adding branding...",
+        progress: 85,
       });
-    } catch (error) {
-      reject(error);
+      Object.assign(
+        result,
+        await applyBranding(mixPath, outputPath, branding, {
+          tempDir,
+          loudness,
+          signal,
+        })
+      );
     }
-  });
+
+    onProgress({
+      status: "done",
+      message: "Mixed video created successfully!",
+      progress: 100,
+    });
+    return result;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
 }
 
-module.exports = { createMixedVideo };
+module.exports = {
+  DEFAULT_PLAYLIST,
+  DEFAULT_BACKGROUND,
+  resolvePlaylist,
+  resolveBackground,
+  createMixedVideo,
+};
@@ -0,0 +1,185 @@
+// Ken Burns camera moves a scene can use. "auto" picks one per scene.
+const MOTIONS = [
+  "zoomin",
+  "zoomout",
+  "panleft",
+  "panright",
+  "panup",
+  "pandown",
+  "static",
+];
+
+const DEFAULT_MOTION = "auto";
+
+// Moves "auto" chooses from, and the ones it avoids right after each other
+const AUTO_MOTIONS = ["zoomin", "zoomout", "panleft", "panright", "panup"];
+const OPPOSITES = {
+  zoomin: "zoomout",
+  zoomout: "zoomin",
+  panleft: "panright",
+  panright: "panleft",
+  panup: "pandown",
+  pandown: "panup",
+};
+// Scenes shorter than this only get a gentle zoom in
+const AUTO_MIN_PAN_MS = 2000;
+
+// Zoom kept during pans so the frame has room to travel
+const MIN_PAN_ZOOM = 1.1;
+
+// zoompan rounds the crop position to whole pixels. Rendering the move at
+// up to this multiple of the output size makes each step a fraction of an
+// output pixel, which removes the visible jitter on slow moves.
+const MAX_MOTION_SUPERSAMPLE = 4;
+
+// Pixels of a supersampled work frame, 8K UHD. The largest preset (1080x1920)
+// still gets the full factor; larger custom sizes get less.
+const MAX_MOTION_PIXELS = 7680 * 4320;
+
+/**
+ * Multiple of the output size to render motion at: as close to
+ * MAX_MOTION_SUPERSAMPLE as MAX_MOTION_PIXELS allows, at least 1
+ */
+function motionSupersample(width, height) {
+  const fit = Math.floor(Math.sqrt(MAX_MOTION_PIXELS / (width * height)));
+  return Math.max(1, Math.min(MAX_MOTION_SUPERSAMPLE, fit));
+}
+
+/**
+ * Validate a motion name, falling back to the default when empty
+ */
+function resolveMotion(name) {
+  const motion = name || DEFAULT_MOTION;
+  if (motion !== "auto" && !MOTIONS.includes(motion)) {
+    throw new Error(
+      `Unknown motion "${motion}". Available: auto, ${MOTIONS.join(", ")}`
+    );
+  }
+  return motion;
+}
+
+/**
+ * Small deterministic hash so "auto" picks the same moves on every render
+ * of the same story
+ */
+function hashString(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick the motion of every scene. A scene's own `motion` wins, then the
+ * `defaultMotion`. "auto" varies the moves without repeating or reversing
+ * the previous one, and keeps short scenes to a zoom in.
+ */
+function planMotions(scenes, defaultMotion) {
+  const fallback = resolveMotion(defaultMotion);
+  let previous = null;
+
+  return scenes.map((scene, index) => {
+    let motion = resolveMotion(scene.motion || fallback);
+    if (motion === "auto") {
+      if (scene.end_ms - scene.start_ms < AUTO_MIN_PAN_MS) {
+        motion = "zoomin";
+      } else {
+        const choices = AUTO_MOTIONS.filter(
+          (m) => m !== previous && m !== OPPOSITES[previous]
+        );
+        const seed = hashString(`${index}:${scene.image || ""}`);
+        motion = choices[seed % choices.length];
+      }
+    }
+    previous = motion;
+    return motion;
+  });
+}
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Describe a move as start/end zoom and start/end offset of the visible
+ * window: 0 puts it against the left/top edge of the image, 1 against the
+ * right/bottom edge. Because the offset scales with the free space, the
+ * image point at the same normalized position stays put on screen, so
+ * zooming with offset = focus closes in on the focal point.
+ *
+ * `focus` is { x, y } (0-1) or null; zooms head toward it and pans travel
+ * toward it along their axis.
+ */
+function describeMotion(motion, duration, zoomRate, focus) {
+  const zoom = 1.0 + duration * zoomRate;
+  const fx = focus && Number.isFinite(focus.x) ? clamp01(focus.x) : null;
+  const fy = focus && Number.isFinite(focus.y) ? clamp01(focus.y) : null;
+  const center = { x: 0.5, y: 0.5 };
+  const target = { x: fx === null ? 0.5 : fx, y: fy === null ? 0.5 : fy };
+  const panZoom = Math.max(zoom, MIN_PAN_ZOOM);
+
+  switch (motion) {
+    case "zoomin":
+      return { startZoom: 1.0, endZoom: zoom, from: center, to: target };
+    case "zoomout":
+      return { startZoom: zoom, endZoom: 1.0, from: target, to: center };
+    case "panleft":
+      return {
+        startZoom: panZoom,
+        endZoom: panZoom,
+        from: { x: 1, y: target.y },
+        to: { x: fx === null ? 0 : fx, y: target.y },
+      };
+    case "panright":
+      return {
+        startZoom: panZoom,
+        endZoom: panZoom,
+        from: { x: 0, y: target.y },
+        to: { x: fx === null ? 1 : fx, y: target.y },
+      };
+    case "panup":
+      return {
+        startZoom: panZoom,
+        endZoom: panZoom,
+        from: { x: target.x, y: 1 },
+        to: { x: target.x, y: fy === null ? 0 : fy },
+      };
+    case "pandown":
+      return {
+        startZoom: panZoom,
+        endZoom: panZoom,
+        from: { x: target.x, y: 0 },
+        to: { x: target.x, y: fy === null ? 1 : fy },
+      };
+    default:
+      return { startZoom: 1.0, endZoom: 1.0, from: center, to: center };
+  }
+}
+
+/**
+ * zoompan filter for a move over `frames` output frames. The input must
+ * already be scaled to motionSupersample() times the output size.
+ */
+function buildZoompanFilter(move, frames, totalFrames, width, height, fps) {
+  const f = (n) => n.toFixed(6);
+  const progress = `min(on/${Math.max(1, frames - 1)},1)`;
+  const lerp = (a, b) =>
+    `(${f(a)}${b < a ? "-" : "+"}${f(Math.abs(b - a))}*${progress})`;
+
+  const z = lerp(move.startZoom, move.endZoom);
+  const x = `${lerp(move.from.x, move.to.x)}*(iw-iw/zoom)`;
+  const y = `${lerp(move.from.y, move.to.y)}*(ih-ih/zoom)`;
+
+  return `zoompan=z='${z}':d=${totalFrames}:x='${x}':y='${y}':s=${width}x${height}:fps=${fps}`;
+}
+
+module.exports = {
+  MOTIONS,
+  DEFAULT_MOTION,
+  MAX_MOTION_PIXELS,
+  motionSupersample,
+  resolveMotion,
+  planMotions,
+  describeMotion,
+  buildZoompanFilter,
+};
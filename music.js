@@ -0,0 +1,110 @@
+// Background music bed for Story mode, ducked under the narration
+const DEFAULT_MUSIC = {
+  volume: 0.3, // Music level before ducking (0-1)
+  duckDb: 12, // How far the music drops while the narration speaks
+  attack: 20, // ms for the music to duck once speech starts
+  release: 400, // ms for the music to come back after speech stops
+  fadeIn: 2, // seconds
+  fadeOut: 3, // seconds, ends with the video
+  loop: true, // Repeat the track to the video length
+};
+
+// Sidechain compressor settings. The compressor itself ducks hard; the
+// `mix` parameter then blends the dry signal back in, which sets the depth.
+const DUCK_THRESHOLD = 0.015; // ~-36dB, any speech triggers it
+const DUCK_RATIO = 20;
+
+/**
+ * Merge music options with the defaults and validate them
+ */
+function resolveMusicSettings(options = {}) {
+  const music = { ...DEFAULT_MUSIC };
+  for (const key of Object.keys(DEFAULT_MUSIC)) {
+    if (options[key] !== undefined && options[key] !== "") {
+      music[key] = options[key];
+    }
+  }
+
+  const number = (key, min, max) => {
+    const value = parseFloat(music[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Music ${key} must be between ${min} and ${max}`);
+    }
+    music[key] = value;
+  };
+  number("volume", 0, 1);
+  number("duckDb", 0, 40);
+  number("attack", 0.01, 2000);
+  number("release", 0.01, 9000);
+  number("fadeIn", 0, 30);
+  number("fadeOut", 0, 30);
+  music.loop = music.loop !== false && music.loop !== "false";
+
+  return music;
+}
+
+/**
+ * Audio filter graph for the final story mix. Inputs are fixed: 0 is the
+ * video (its audio is the sound of video scenes when `sceneAudio` is set),
+ * 1 the narration, 2 the music track when `music` is given.
+ *
+ * The music is trimmed to `duration` seconds, faded, and ducked by a
+ * sidechain compressor keyed by the narration. With `padNarration` the
+ * narration is padded with silence so it never ends before the picture.
+ *
+ * Returns { filters, outputLabel }.
+ */
+function buildStoryAudioGraph({ padNarration, sceneAudio, music, duration }) {
+  const filters = [];
+  const mixInputs = ["[narr]"];
+  const pad = padNarration ? "apad" : "anull";
+
+  if (music) {
+    filters.push(
+      "[1:a:0]asplit=2[narrsrc][keysrc]",
+      `[narrsrc]${pad}[narr]`,
+      // The key never runs out, so the compressor lasts as long as the bed
+      "[keysrc]apad[key]"
+    );
+
+    const bed = [
+      `atrim=0:${duration.toFixed(6)}`,
+      "asetpts=PTS-STARTPTS",
+      `volume=${music.volume}`,
+    ];
+    if (music.fadeIn > 0) bed.push(`afade=t=in:st=0:d=${music.fadeIn}`);
+    if (music.fadeOut > 0) {
+      const start = Math.max(0, duration - music.fadeOut);
+      bed.push(`afade=t=out:st=${start.toFixed(6)}:d=${music.fadeOut}`);
+    }
+    filters.push(`[2:a:0]${bed.join(",")}[bed]`);
+
+    // mix = share of the ducked signal; the rest stays at full level, so
+    // the floor is 10^(-duckDb/20) of the music volume
+    const mix = 1 - Math.pow(10, -music.duckDb / 20);
+    filters.push(
+      `[bed][key]sidechaincompress=threshold=${DUCK_THRESHOLD}:ratio=${DUCK_RATIO}:attack=${
+        music.attack
+      }:release=${music.release}:mix=${mix.toFixed(4)}[ducked]`
+    );
+    mixInputs.push("[ducked]");
+  } else {
+    filters.push(`[1:a:0]${pad}[narr]`);
+  }
+
+  if (sceneAudio) mixInputs.push("[0:a:0]");
+  if (mixInputs.length === 1) return { filters, outputLabel: "[narr]" };
+
+  filters.push(
+    `${mixInputs.join("")}amix=inputs=${
+      mixInputs.length
+    }:duration=first:normalize=0[aout]`
+  );
+  return { filters, outputLabel: "[aout]" };
+}
+
+module.exports = {
+  DEFAULT_MUSIC,
+  resolveMusicSettings,
+  buildStoryAudioGraph,
+};
@@ -0,0 +1,53 @@
+const { cancelledError } = require("./cancel");
+
+/**
+ * Run `worker(item, index, signal)` over all items with at most `limit`
+ * running at once. Results keep the order of `items`.
+ *
+ * On the first failure no new work is started, the shared AbortSignal is
+ * aborted so in-flight workers can stop early, and once everything has
+ * settled the original error is rethrown. Aborting the optional outer
+ * `signal` behaves the same way and rejects with a cancellation error.
+ */
+async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+  if (signal && signal.aborted) throw cancelledError();
+
+  const controller = new AbortController();
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+  let firstError = null;
+
+  const onOuterAbort = () => {
+    if (!failed) {
+      failed = true;
+      firstError = cancelledError();
+      controller.abort();
+    }
+  };
+  if (signal) signal.addEventListener("abort", onOuterAbort, { once: true });
+
+  async function lane() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index, controller.signal);
+      } catch (err) {
+        if (!failed) {
+          failed = true;
+          firstError = err;
+          controller.abort();
+        }
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  if (signal) signal.removeEventListener("abort", onOuterAbort);
+
+  if (failed) throw firstError;
+  return results;
+}
+
+module.exports = { runWithConcurrency };
@@ -0,0 +1,117 @@
+// Named output formats for Story mode
+const OUTPUT_PRESETS = {
+  reels: { label: "Reels / Shorts (9:16)", width: 1080, height: 1920 },
+  youtube: { label: "YouTube (16:9)", width: 1920, height: 1080 },
+  square: { label: "Feed Square (1:1)", width: 1080, height: 1080 },
+  portrait: { label: "Feed Portrait (4:5)", width: 1080, height: 1350 },
+};
+
+const DEFAULT_OUTPUT = {
+  preset: "reels",
+  fps: 60,
+  transitionDuration: 0.3, // seconds of overlap between scenes
+  zoomRate: 0.08, // Ken Burns zoom rate
+};
+
+// libx264 settings for final renders and previews
+const FINAL_ENCODER = { encoderPreset: "medium", crf: 23 };
+const PREVIEW_ENCODER = { encoderPreset: "ultrafast", crf: 32 };
+
+// Preview renders: a fraction of the output size at a low frame rate
+const DEFAULT_PREVIEW = {
+  scale: 1 / 3,
+  fps: 15,
+};
+
+/**
+ * Resolve output settings from a preset name and/or custom values.
+ * Custom width/height/fps override the preset. Returns
+ * { preset, width, height, fps, transitionDuration, zoomRate, encoderPreset,
+ * crf }.
+ */
+function resolveOutputSettings(options = {}) {
+  const presetName = options.preset || DEFAULT_OUTPUT.preset;
+  let base;
+  if (presetName === "custom") {
+    base = {};
+  } else {
+    base = OUTPUT_PRESETS[presetName];
+    if (!base) {
+      throw new Error(
+        `Unknown output preset "${presetName}". Available: ${Object.keys(
+          OUTPUT_PRESETS
+        ).join(", ")}, custom`
+      );
+    }
+  }
+
+  const width = parseInt(options.width) || base.width;
+  const height = parseInt(options.height) || base.height;
+  const fps = parseFloat(options.fps) || DEFAULT_OUTPUT.fps;
+  const transitionDuration = parseFloat(options.transitionDuration);
+  const zoomRate = parseFloat(options.zoomRate);
+
+  if (!width || !height) {
+    throw new Error("Custom output needs both width and height");
+  }
+  // libx264 with yuv420p needs even dimensions
+  if (width % 2 || height % 2 || width < 16 || height < 16) {
+    throw new Error(
+      `Invalid output size ${width}x${height} (must be even and at least 16px)`
+    );
+  }
+  if (width > 4096 || height > 4096) {
+    throw new Error(`Output size ${width}x${height} exceeds 4096px`);
+  }
+  if (fps < 1 || fps > 120) {
+    throw new Error(`Invalid frame rate ${fps} (must be 1-120)`);
+  }
+
+  return {
+    preset: presetName,
+    width,
+    height,
+    fps,
+    transitionDuration: Number.isFinite(transitionDuration)
+      ? Math.max(0, transitionDuration)
+      : DEFAULT_OUTPUT.transitionDuration,
+    zoomRate: Number.isFinite(zoomRate)
+      ? Math.max(0, zoomRate)
+      : DEFAULT_OUTPUT.zoomRate,
+    ...FINAL_ENCODER,
+  };
+}
+
+/**
+ * Scale resolved output settings down for a preview render ({ scale, fps }).
+ * The layout (transitions, zoom) stays the same, only size, frame rate and
+ * encoder speed change.
+ */
+function resolvePreviewSettings(settings, options = {}) {
+  const scale = parseFloat(options.scale) || DEFAULT_PREVIEW.scale;
+  const fps = parseFloat(options.fps) || DEFAULT_PREVIEW.fps;
+  if (scale < 0.1 || scale > 1) {
+    throw new Error(`Invalid preview scale ${scale} (must be 0.1-1)`);
+  }
+  if (fps < 1) {
+    throw new Error(`Invalid preview frame rate ${fps}`);
+  }
+
+  // Even dimensions for yuv420p
+  const even = (size) => Math.max(16, Math.round((size * scale) / 2) * 2);
+  return {
+    ...settings,
+    width: even(settings.width),
+    height: even(settings.height),
+    fps: Math.min(fps, settings.fps),
+    ...PREVIEW_ENCODER,
+  };
+}
+
+module.exports = {
+  OUTPUT_PRESETS,
+  DEFAULT_OUTPUT,
+  DEFAULT_PREVIEW,
+  resolveOutputSettings,
+  resolvePreviewSettings,
+};
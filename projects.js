@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { RecordStore } = require("./store");
+const { BRAND_ASSET_KINDS } = require("./branding");
+
+// Asset folders of a project, laid out like an upload session so the story
+// renderer reads both the same way. Kinds that hold a single file replace
+// the old one on upload; images accumulate. The branding kinds (see
+// branding.js) override the files of the project's brand.
+const BRANDING_KINDS = Object.keys(BRAND_ASSET_KINDS);
+const ASSET_KINDS = ["audio", "srt", "scenes", "images", "music"].concat(
+  BRANDING_KINDS
+);
+const SINGLE_FILE_KINDS = ["audio", "srt", "scenes", "music"].concat(
+  BRANDING_KINDS
+);
+
+/**
+ * Named story projects that keep their assets, render settings and the
+ * history of their outputs on disk. Each project is a folder
+ * <dataDir>/<id>/ with project.json and one subfolder per asset kind (see
+ * store.js). A project belongs to the session that created it (`owner`).
+ * Removing a project leaves its rendered outputs alone.
+ */
+class ProjectStore extends RecordStore {
+  constructor({ dataDir }) {
+    super({
+      dataDir,
+      kind: "project",
+      assetKinds: ASSET_KINDS,
+      singleFileKinds: SINGLE_FILE_KINDS,
+    });
+  }
+
+  /**
+   * Create a project named `name` owned by the session `owner`
+   */
+  create(name, owner) {
+    return super.create(name, { owner, settings: {}, renders: [] });
+  }
+
+  /**
+   * All projects, most recently changed first
+   */
+  list() {
+    return super.list().sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Add an output to the project's render history. The settings it was
+   * rendered with become the project's current settings.
+   */
+  addRender(id, render) {
+    const project = this._require(id);
+    project.renders.unshift({ ...render, createdAt: Date.now() });
+    if (render.settings) project.settings = render.settings;
+    project.updatedAt = Date.now();
+    this._save(project);
+    return project;
+  }
+
+  replaceAssets(id, files) {
+    // A new subtitle file wins over an old manifest and vice versa
+    const dir = this.dir(id);
+    if (files.srt && files.srt.length) {
+      fs.rmSync(path.join(dir, "scenes"), { recursive: true, force: true });
+    }
+    if (files.scenes && files.scenes.length) {
+      fs.rmSync(path.join(dir, "srt"), { recursive: true, force: true });
+    }
+    super.replaceAssets(id, files);
+  }
+
+  /**
+   * The project's subtitle file or scenes manifest as { kind, name, content },
+   * or null when it has neither
+   */
+  readTimingFile(id) {
+    const assets = this.assets(id);
+    const kind = assets.scenes.length ? "scenes" : "srt";
+    if (assets[kind].length === 0) return null;
+    const name = assets[kind][0];
+    return {
+      kind,
+      name,
+      content: fs.readFileSync(path.join(this.dir(id), kind, name), "utf8"),
+    };
+  }
+
+  /**
+   * Overwrite the subtitle file or scenes manifest with edited text
+   */
+  writeTimingFile(id, content) {
+    const current = this.readTimingFile(id);
+    if (!current) throw new Error("Project has no subtitles to edit");
+    fs.writeFileSync(
+      path.join(this.dir(id), current.kind, current.name),
+      content
+    );
+    this._assetsChanged(id);
+    return { ...current, content };
+  }
+
+  // A preview's saved scene layout no longer matches changed assets
+  _assetsChanged(id) {
+    fs.rmSync(path.join(this.dir(id), "layout.json"), { force: true });
+    super._assetsChanged(id);
+  }
+}
+
+module.exports = { ProjectStore, ASSET_KINDS };
@@ -1,8 +1,17 @@
 const socket = io();
 
 // State management
-let sessionId = Math.random().toString(36).substring(7);
+let sessionId = null; // Upload session issued by the server, see uploadFiles
 let currentMode = "story"; // 'story' or 'mixer'
+let currentJobId = localStorage.getItem("kahani:jobId");
+// Session owning the current job, needed to cancel it after a reload
+let currentJobSession = localStorage.getItem("kahani:jobSession");
+let manifestScenes = null; // Parsed scenes.json when one is used instead of SRT
+// Session owning the saved projects and brands, issued with the first one
+let librarySessionId = localStorage.getItem("kahani:librarySession");
+let projectId = localStorage.getItem("kahani:projectId");
+let projectAssets = null; // File names saved in the open project, by kind
+let brandId = localStorage.getItem("kahani:brandId");
 
 // Elements - Shared
 const progressContainer = document.getElementById("progress-container");
@@ -11,6 +20,7 @@ const statusText = document.getElementById("status-text");
 const resultContainer = document.getElementById("result-container");
 const downloadLink = document.getElementById("download-link");
 const resetBtn = document.getElementById("reset-btn");
+const cancelBtn = document.getElementById("cancel-btn");
 
 // Elements - Story Mode
 const sectionStory = document.getElementById("section-story");
@@ -18,9 +28,83 @@ const audioInput = document.getElementById("audio");
 const srtInput = document.getElementById("srt");
 const imagesInput = document.getElementById("images");
 const generateStoryBtn = document.getElementById("generate-story-btn");
+const previewStoryBtn = document.getElementById("preview-story-btn");
+const previewFrom = document.getElementById("preview-from");
+const previewTo = document.getElementById("preview-to");
+const previewPlayer = document.getElementById("preview-player");
+const renderFullBtn = document.getElementById("render-full-btn");
 const previewContainer = document.getElementById("preview-container");
 const previewGrid = document.getElementById("preview-grid");
 const imageCount = document.getElementById("image-count");
+const validationContainer = document.getElementById("validation-container");
+const validationSummary = document.getElementById("validation-summary");
+const validationList = document.getElementById("validation-list");
+const forceRenderBtn = document.getElementById("force-render-btn");
+const outputPreset = document.getElementById("output-preset");
+const outputFps = document.getElementById("output-fps");
+const customSize = document.getElementById("custom-size");
+const outputWidth = document.getElementById("output-width");
+const outputHeight = document.getElementById("output-height");
+const transitionSelect = document.getElementById("transition");
+const transitionDuration = document.getElementById("transition-duration");
+const motionSelect = document.getElementById("motion");
+const videoFit = document.getElementById("video-fit");
+const clipAudio = document.getElementById("clip-audio");
+const musicInput = document.getElementById("music");
+const musicOptions = document.getElementById("music-options");
+const musicVolume = document.getElementById("music-volume");
+const duckDb = document.getElementById("duck-db");
+const musicFadeIn = document.getElementById("music-fade-in");
+const musicFadeOut = document.getElementById("music-fade-out");
+const musicLoop = document.getElementById("music-loop");
+const loudnessSelect = document.getElementById("loudness");
+const mixerLoudness = document.getElementById("mixer-loudness");
+const loudnessResult = document.getElementById("loudness-result");
+const timingGapFill = document.getElementById("timing-gap-fill");
+const fillerOptions = document.getElementById("filler-options");
+const fillerColor = document.getElementById("filler-color");
+const captionsEnabled = document.getElementById("captions-enabled");
+const captionsOptions = document.getElementById("captions-options");
+const captionFont = document.getElementById("caption-font");
+const captionSize = document.getElementById("caption-size");
+const captionColor = document.getElementById("caption-color");
+const captionOutlineColor = document.getElementById("caption-outline-color");
+const captionStyle = document.getElementById("caption-style");
+const captionPosition = document.getElementById("caption-position");
+const captionWidth = document.getElementById("caption-width");
+
+// Elements - Projects
+const projectSelect = document.getElementById("project-select");
+const projectName = document.getElementById("project-name");
+const saveProjectBtn = document.getElementById("save-project-btn");
+const deleteProjectBtn = document.getElementById("delete-project-btn");
+const projectAssetsText = document.getElementById("project-assets");
+const projectSubtitles = document.getElementById("project-subtitles");
+const subtitleEditor = document.getElementById("subtitle-editor");
+const saveSubtitlesBtn = document.getElementById("save-subtitles-btn");
+const projectHistory = document.getElementById("project-history");
+const renderHistory = document.getElementById("render-history");
+
+// Elements - Branding
+const brandingSection = document.getElementById("branding-section");
+const brandSelect = document.getElementById("brand-select");
+const brandName = document.getElementById("brand-name");
+const saveBrandBtn = document.getElementById("save-brand-btn");
+const deleteBrandBtn = document.getElementById("delete-brand-btn");
+const brandAssetsText = document.getElementById("brand-assets");
+const titleText = document.getElementById("title-text");
+const titleDuration = document.getElementById("title-duration");
+const titleBackground = document.getElementById("title-background");
+const titleColor = document.getElementById("title-color");
+const titleImage = document.getElementById("title-image");
+const endText = document.getElementById("end-text");
+const endDuration = document.getElementById("end-duration");
+const outroFile = document.getElementById("outro-file");
+const watermarkFile = document.getElementById("watermark-file");
+const watermarkPosition = document.getElementById("watermark-position");
+const watermarkScale = document.getElementById("watermark-scale");
+const watermarkOpacity = document.getElementById("watermark-opacity");
+const watermarkMargin = document.getElementById("watermark-margin");
 
 // Elements - Mixer Mode
 const sectionMixer = document.getElementById("section-mixer");
@@ -28,6 +112,15 @@ const mixerMainAudio = document.getElementById("mixer-main-audio");
 const mixerBgAudio = document.getElementById("mixer-bg-audio");
 const mixerVisual = document.getElementById("mixer-visual");
 const mixerBgVol = document.getElementById("mixer-bg-vol");
+const mixerVisualDuration = document.getElementById("mixer-visual-duration");
+const mixerTransition = document.getElementById("mixer-transition");
+const mixerBgCrossfade = document.getElementById("mixer-bg-crossfade");
+const mixerBgFadeIn = document.getElementById("mixer-bg-fade-in");
+const mixerBgFadeOut = document.getElementById("mixer-bg-fade-out");
+const mixerBgOffset = document.getElementById("mixer-bg-offset");
+const mixerIntro = document.getElementById("mixer-intro");
+const mixerNarrationDelay = document.getElementById("mixer-narration-delay");
+const mixerOutro = document.getElementById("mixer-outro");
 const generateMixerBtn = document.getElementById("generate-mixer-btn");
 
 // Tabs
@@ -44,6 +137,12 @@ function switchMode(mode) {
   tabMixer.classList.toggle("active", mode === "mixer");
   sectionStory.classList.toggle("hidden", mode !== "story");
   sectionMixer.classList.toggle("hidden", mode !== "mixer");
+  // Branding applies to both modes, show it above the active render button
+  if (mode === "story") {
+    sectionStory.insertBefore(brandingSection, generateStoryBtn);
+  } else {
+    sectionMixer.insertBefore(brandingSection, generateMixerBtn);
+  }
 
   // Hide preview/results when switching
   previewContainer.classList.add("hidden");
@@ -59,70 +158,756 @@ srtInput.addEventListener("change", async (e) => {
 
   const reader = new FileReader();
   reader.onload = (e) => {
-    const content = e.target.result;
-    const blocks = parseSRT(content);
-
-    previewGrid.innerHTML = "";
-    blocks.forEach((block, i) => {
-      const item = document.createElement("div");
-      item.className = "preview-item";
-      item.innerHTML = `<span class="time-tag">${block.startTime}</span>`;
-      item.style.backgroundColor = "rgba(255,255,255,0.05)";
-      previewGrid.appendChild(item);
-    });
-
-    previewContainer.classList.remove("hidden");
-    imagesInput.disabled = false;
-    imagesInput.nextElementSibling.textContent = `Select ${blocks.length} images`;
+    try {
+      showStoryboard(e.target.result, file.name);
+    } catch (err) {
+      alert("Invalid scenes manifest: " + err.message);
+      srtInput.value = "";
+    }
   };
   reader.readAsText(file);
 });
 
+// Storyboard placeholders, one per cue or manifest scene
+function showStoryboard(content, filename) {
+  let blocks;
+  manifestScenes = null;
+
+  if (/\.json$/i.test(filename)) {
+    const scenes = JSON.parse(content);
+    if (!Array.isArray(scenes)) throw new Error("not an array");
+    manifestScenes = scenes;
+    blocks = manifestScenes.map((scene) => ({
+      startTime: formatMs(scene.start_ms),
+      image: scene.image,
+    }));
+  } else {
+    const { cues, rejected } = Subtitles.parseSubtitles(content, {
+      filename,
+    });
+    if (rejected.length) {
+      console.warn(`Skipped ${rejected.length} untimed subtitle block(s)`);
+    }
+    blocks = cues.map((cue) => ({ startTime: formatMs(cue.start_ms) }));
+  }
+
+  previewGrid.innerHTML = "";
+  blocks.forEach((block, i) => {
+    const item = document.createElement("div");
+    item.className = "preview-item";
+    if (block.image) item.dataset.image = block.image;
+    item.innerHTML = `<span class="time-tag">${block.startTime}</span>`;
+    item.style.backgroundColor = "rgba(255,255,255,0.05)";
+    previewGrid.appendChild(item);
+  });
+
+  previewContainer.classList.remove("hidden");
+  imagesInput.disabled = false;
+  imagesInput.nextElementSibling.textContent = `Select ${blocks.length} images`;
+}
+
 imagesInput.addEventListener("change", (e) => {
   const files = Array.from(e.target.files);
   imageCount.textContent = `${files.length} images selected`;
 
   const previews = previewGrid.querySelectorAll(".preview-item");
-  files.slice(0, previews.length).forEach((file, i) => {
-    const url = URL.createObjectURL(file);
-    previews[i].style.backgroundImage = `url(${url})`;
-  });
+  if (manifestScenes) {
+    // Manifest scenes name their image explicitly
+    const byName = new Map(files.map((f) => [f.name, f]));
+    previews.forEach((preview) => {
+      const file = byName.get(preview.dataset.image);
+      if (file) showSourcePreview(preview, file);
+    });
+    return;
+  }
+  files
+    .slice(0, previews.length)
+    .forEach((file, i) => showSourcePreview(previews[i], file));
 });
 
-generateStoryBtn.addEventListener("click", async () => {
-  if (
-    !audioInput.files[0] ||
-    !srtInput.files[0] ||
-    imagesInput.files.length === 0
-  ) {
-    alert("Please select audio, SRT, and images.");
+function getOutputSize() {
+  if (outputPreset.value === "custom") {
+    return { width: outputWidth.value, height: outputHeight.value };
+  }
+  const [width, height] = outputPreset.selectedOptions[0].dataset.size
+    .split("x")
+    .map(Number);
+  return { width, height };
+}
+
+function updatePreviewAspect() {
+  const { width, height } = getOutputSize();
+  if (width > 0 && height > 0) {
+    previewGrid.style.setProperty("--preview-aspect", `${width}/${height}`);
+  }
+}
+
+outputPreset.addEventListener("change", () => {
+  customSize.classList.toggle("hidden", outputPreset.value !== "custom");
+  updatePreviewAspect();
+});
+outputWidth.addEventListener("input", updatePreviewAspect);
+outputHeight.addEventListener("input", updatePreviewAspect);
+
+function getOutputOptions() {
+  const output = {
+    preset: outputPreset.value,
+    fps: outputFps.value,
+    transitionDuration: transitionDuration.value,
+  };
+  if (outputPreset.value === "custom") {
+    output.width = outputWidth.value;
+    output.height = outputHeight.value;
+  }
+  return output;
+}
+
+musicInput.addEventListener("change", () => {
+  musicOptions.classList.toggle("hidden", !musicInput.files[0]);
+});
+
+function getMusicOptions() {
+  return {
+    volume: musicVolume.value,
+    duckDb: duckDb.value,
+    fadeIn: musicFadeIn.value,
+    fadeOut: musicFadeOut.value,
+    loop: musicLoop.checked,
+  };
+}
+
+function getLoudnessOptions(select) {
+  return select.value === "off" ? null : { preset: select.value };
+}
+
+timingGapFill.addEventListener("change", () => {
+  fillerOptions.classList.toggle("hidden", timingGapFill.value !== "filler");
+});
+
+function getTimingOptions() {
+  if (timingGapFill.value === "cues") return { mode: "cues" };
+  return {
+    mode: "audio",
+    gapFill: timingGapFill.value,
+    fillerColor: fillerColor.value,
+  };
+}
+
+captionsEnabled.addEventListener("change", () => {
+  captionsOptions.classList.toggle("hidden", !captionsEnabled.checked);
+});
+
+function getCaptionOptions() {
+  if (!captionsEnabled.checked) return null;
+  const box = captionStyle.value === "box";
+  return {
+    font: captionFont.value,
+    fontSize: captionSize.value,
+    color: captionColor.value,
+    outlineColor: captionOutlineColor.value,
+    boxColor: captionOutlineColor.value,
+    box,
+    position: captionPosition.value,
+    maxLineWidth: captionWidth.value,
+  };
+}
+
+// Preview options of the story render being prepared, null for a full one
+let pendingPreview = null;
+let forcedRender = false;
+
+generateStoryBtn.addEventListener("click", () => prepareStory(null));
+previewStoryBtn.addEventListener("click", () =>
+  prepareStory({ start: previewFrom.value, end: previewTo.value })
+);
+
+// Story files chosen in the form; an open project already holds the rest
+function storyFormData() {
+  const formData = new FormData();
+  if (audioInput.files[0]) formData.append("audio", audioInput.files[0]);
+  if (srtInput.files[0]) {
+    formData.append(manifestScenes ? "scenes" : "srt", srtInput.files[0]);
+  }
+  Array.from(imagesInput.files).forEach((f) => formData.append("images", f));
+  if (musicInput.files[0]) formData.append("music", musicInput.files[0]);
+  appendBrandingFiles(formData);
+  return formData;
+}
+
+function hasStoryInputs() {
+  const saved = projectAssets || { audio: [], srt: [], scenes: [], images: [] };
+  return Boolean(
+    (audioInput.files[0] || saved.audio.length) &&
+      (srtInput.files[0] || saved.srt.length || saved.scenes.length) &&
+      (imagesInput.files.length || saved.images.length)
+  );
+}
+
+async function prepareStory(preview) {
+  if (!hasStoryInputs()) {
+    alert("Please select audio, subtitles or scenes manifest, and images.");
     return;
   }
 
   setProcessing(true);
 
   try {
-    const formData = new FormData();
-    formData.append("audio", audioInput.files[0]);
-    formData.append("srt", srtInput.files[0]);
-    Array.from(imagesInput.files).forEach((f) => formData.append("images", f));
-    formData.append("sessionId", sessionId);
-
     statusText.textContent = "Uploading files...";
-    const res = await fetch(`/upload?sessionId=${sessionId}`, {
+    let validateUrl;
+    if (projectId) {
+      await uploadProjectFiles();
+      validateUrl = projectUrl(projectId, "/validate");
+    } else {
+      await uploadFiles(storyFormData());
+      validateUrl = `/api/sessions/${sessionId}/validate`;
+    }
+
+    statusText.textContent = "Checking files...";
+    const reportUrl = new URL(validateUrl, location.href);
+    reportUrl.searchParams.set("timing", getTimingOptions().mode);
+    const reportRes = await fetch(reportUrl);
+    if (!reportRes.ok) throw new Error("Pre-flight check failed");
+    const report = await reportRes.json();
+    showValidation(report);
+
+    if (!report.ok) {
+      // Blocking errors: let the user fix the files or override explicitly
+      setProcessing(false);
+      progressContainer.classList.add("hidden");
+      return;
+    }
+
+    pendingPreview = preview;
+    startStoryGeneration(false);
+  } catch (err) {
+    alert(err.message);
+    setProcessing(false);
+  }
+}
+
+forceRenderBtn.addEventListener("click", () => {
+  setProcessing(true);
+  forceRenderBtn.classList.add("hidden");
+  startStoryGeneration(true);
+});
+
+// The full render after a preview reuses its uploads and scene layout
+renderFullBtn.addEventListener("click", () => {
+  pendingPreview = null;
+  setProcessing(true);
+  startStoryGeneration(forcedRender, true);
+});
+
+// Render settings of the story form, as saved with a project
+function getStoryOptions() {
+  return {
+    captions: getCaptionOptions(),
+    output: getOutputOptions(),
+    transition: transitionSelect.value,
+    motion: motionSelect.value,
+    videoScenes: { fit: videoFit.value, audio: clipAudio.value },
+    music: getMusicOptions(),
+    loudness: getLoudnessOptions(loudnessSelect),
+    timing: getTimingOptions(),
+    branding: getBrandingOptions(),
+    brandId: brandId || undefined,
+  };
+}
+
+// Fill the story form from saved settings (the reverse of getStoryOptions)
+function applyStoryOptions(settings) {
+  const set = (input, value) => {
+    if (value !== undefined && value !== null) input.value = value;
+  };
+  const output = settings.output || {};
+  set(outputPreset, output.preset);
+  set(outputFps, output.fps);
+  set(transitionDuration, output.transitionDuration);
+  set(outputWidth, output.width);
+  set(outputHeight, output.height);
+  customSize.classList.toggle("hidden", outputPreset.value !== "custom");
+  updatePreviewAspect();
+
+  set(transitionSelect, settings.transition);
+  set(motionSelect, settings.motion);
+  const videoScenes = settings.videoScenes || {};
+  set(videoFit, videoScenes.fit);
+  set(clipAudio, videoScenes.audio);
+
+  const captions = settings.captions;
+  captionsEnabled.checked = Boolean(captions);
+  captionsOptions.classList.toggle("hidden", !captions);
+  if (captions) {
+    set(captionFont, captions.font);
+    set(captionSize, captions.fontSize);
+    set(captionColor, captions.color);
+    set(captionOutlineColor, captions.outlineColor);
+    captionStyle.value = captions.box ? "box" : "outline";
+    set(captionPosition, captions.position);
+    set(captionWidth, captions.maxLineWidth);
+  }
+
+  const music = settings.music || {};
+  set(musicVolume, music.volume);
+  set(duckDb, music.duckDb);
+  set(musicFadeIn, music.fadeIn);
+  set(musicFadeOut, music.fadeOut);
+  if (music.loop !== undefined) musicLoop.checked = music.loop;
+
+  if (settings.loudness !== undefined) {
+    loudnessSelect.value = settings.loudness ? settings.loudness.preset : "off";
+  }
+
+  const timing = settings.timing || {};
+  if (timing.mode === "audio") {
+    timingGapFill.value = timing.gapFill || "previous";
+  } else if (settings.timing) {
+    timingGapFill.value = "cues";
+  }
+  set(fillerColor, timing.fillerColor);
+  fillerOptions.classList.toggle("hidden", timingGapFill.value !== "filler");
+
+  if (settings.brandId && settings.brandId !== brandId) {
+    openBrand(settings.brandId, false);
+  }
+  if (settings.branding) applyBrandingOptions(settings.branding);
+}
+
+function startStoryGeneration(force, reuseLayout = false) {
+  forcedRender = force;
+  socket.emit("start-generation", {
+    ...(projectId ? { projectId } : { sessionId }),
+    librarySessionId,
+    ...getStoryOptions(),
+    force,
+    preview: pendingPreview,
+    reuseLayout,
+  });
+}
+
+function showValidation(report) {
+  validationList.innerHTML = "";
+  if (report.issues.length === 0) {
+    validationContainer.classList.add("hidden");
+    return;
+  }
+
+  validationSummary.textContent = `${report.sceneCount} scenes, ${report.imageCount} images — ${report.errorCount} error(s), ${report.warningCount} warning(s)`;
+  report.issues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.className = `validation-item ${issue.severity}`;
+    item.textContent = issue.message;
+    validationList.appendChild(item);
+  });
+  forceRenderBtn.classList.toggle("hidden", report.ok);
+  validationContainer.classList.remove("hidden");
+}
+
+// --- Projects ---
+
+// URL of a project route, with the session that owns the project
+function projectUrl(id, route = "") {
+  return `/api/projects/${id}${route}?sessionId=${librarySessionId}`;
+}
+
+/**
+ * Create a saved project or brand in the library session. The first one
+ * gets a new session from the server, and so does one whose session has
+ * expired.
+ */
+async function createInLibrary(url, body) {
+  const post = () =>
+    fetch(librarySessionId ? `${url}?sessionId=${librarySessionId}` : url, {
       method: "POST",
-      body: formData,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  let res = await post();
+  if (res.status === 400 && librarySessionId) {
+    const error = await responseError(res.clone(), "");
+    if (/session/i.test(error)) {
+      librarySessionId = null;
+      res = await post();
+    }
+  }
+  const record = await res.json();
+  if (!res.ok) throw new Error(record.error);
+  librarySessionId = record.sessionId;
+  localStorage.setItem("kahani:librarySession", librarySessionId);
+  return record;
+}
+
+async function loadProjects() {
+  if (!librarySessionId) return;
+  const res = await fetch(`/api/projects?sessionId=${librarySessionId}`);
+  if (!res.ok) return;
+  const projects = await res.json();
+
+  projectSelect.innerHTML = '<option value="">New (not saved)</option>';
+  projects.forEach((project) => {
+    const option = document.createElement("option");
+    option.value = project.id;
+    option.textContent = project.name;
+    projectSelect.appendChild(option);
+  });
+  projectSelect.value = projectId || "";
+}
+
+// Open a saved project; `restoreSettings` fills the form from its settings
+async function openProject(id, restoreSettings = true) {
+  const res = await fetch(projectUrl(id));
+  if (!res.ok) {
+    closeProject();
+    return;
+  }
+  const project = await res.json();
+
+  projectId = project.id;
+  localStorage.setItem("kahani:projectId", project.id);
+  projectSelect.value = project.id;
+  if (restoreSettings) {
+    clearStoryFiles();
+    applyStoryOptions(project.settings);
+  }
+  showProject(project);
+  await loadProjectSubtitles();
+}
+
+function closeProject() {
+  projectId = null;
+  projectAssets = null;
+  localStorage.removeItem("kahani:projectId");
+  projectSelect.value = "";
+  projectName.value = "";
+  projectAssetsText.textContent = "";
+  deleteProjectBtn.classList.add("hidden");
+  projectSubtitles.classList.add("hidden");
+  projectHistory.classList.add("hidden");
+  clearStoryFiles();
+  previewGrid.innerHTML = "";
+  previewContainer.classList.add("hidden");
+}
+
+function showProject(project) {
+  const assets = project.assets;
+  projectAssets = assets;
+  projectName.value = project.name;
+  deleteProjectBtn.classList.remove("hidden");
+
+  projectAssetsText.textContent = [
+    `Audio: ${assets.audio[0] || "none"}`,
+    `Subtitles: ${assets.scenes[0] || assets.srt[0] || "none"}`,
+    `${assets.images.length} image(s)`,
+    `Music: ${assets.music[0] || "none"}`,
+  ].join(" · ");
+  // Files picked now replace the saved ones
+  if (assets.audio.length) setFileLabel(audioInput, `${assets.audio[0]} ✓`);
+  if (assets.music.length) setFileLabel(musicInput, `${assets.music[0]} ✓`);
+  musicOptions.classList.toggle(
+    "hidden",
+    !assets.music.length && !musicInput.files[0]
+  );
+  if (assets.images.length) {
+    imageCount.textContent = `${assets.images.length} images saved in the project`;
+  }
+
+  renderHistory.innerHTML = "";
+  project.renders.forEach((render) => {
+    const item = document.createElement("li");
+    item.className = "validation-item history-item";
+    const link = document.createElement("a");
+    link.href = render.url;
+    link.target = "_blank";
+    link.textContent = render.filename;
+    const when = document.createElement("span");
+    when.textContent = `${render.preview ? "Preview · " : ""}${new Date(
+      render.createdAt
+    ).toLocaleString()}`;
+    item.append(link, when);
+    renderHistory.appendChild(item);
+  });
+  projectHistory.classList.toggle("hidden", project.renders.length === 0);
+}
+
+async function loadProjectSubtitles() {
+  const res = await fetch(projectUrl(projectId, "/subtitles"));
+  if (!res.ok) {
+    projectSubtitles.classList.add("hidden");
+    return;
+  }
+  const timing = await res.json();
+  subtitleEditor.value = timing.content;
+  subtitleEditor.dataset.filename = timing.name;
+  setFileLabel(srtInput, `${timing.name} ✓`);
+  projectSubtitles.classList.remove("hidden");
+  try {
+    showStoryboard(timing.content, timing.name);
+  } catch (err) {
+    console.warn("Saved scenes manifest is invalid:", err.message);
+  }
+}
+
+// Send newly chosen story files to the open project
+async function uploadProjectFiles() {
+  const formData = storyFormData();
+  if ([...formData.keys()].length === 0) return;
+  const res = await fetch(projectUrl(projectId, "/files"), {
+    method: "POST",
+    body: formData,
+  });
+  if (!res.ok) throw new Error(await responseError(res, "Upload failed"));
+  clearStoryFiles();
+  showProject(await res.json());
+  await loadProjectSubtitles();
+}
+
+projectSelect.addEventListener("change", () => {
+  if (projectSelect.value) {
+    openProject(projectSelect.value);
+  } else {
+    closeProject();
+  }
+});
+
+saveProjectBtn.addEventListener("click", async () => {
+  const name = projectName.value.trim();
+  if (!name) {
+    alert("Please enter a project name.");
+    return;
+  }
+
+  saveProjectBtn.disabled = true;
+  try {
+    const body = { name, settings: getStoryOptions() };
+    let project;
+    if (projectId) {
+      const res = await fetch(projectUrl(projectId), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      project = await res.json();
+      if (!res.ok) throw new Error(project.error);
+    } else {
+      project = await createInLibrary("/api/projects", body);
+    }
+
+    projectId = project.id;
+    localStorage.setItem("kahani:projectId", project.id);
+    await uploadProjectFiles();
+    await loadProjects();
+    await openProject(project.id, false);
+  } catch (err) {
+    alert(err.message);
+  } finally {
+    saveProjectBtn.disabled = false;
+  }
+});
+
+deleteProjectBtn.addEventListener("click", async () => {
+  if (!projectId) return;
+  if (!confirm(`Delete project "${projectName.value}" and its files?`)) return;
+  await fetch(projectUrl(projectId), { method: "DELETE" });
+  closeProject();
+  loadProjects();
+});
+
+saveSubtitlesBtn.addEventListener("click", async () => {
+  saveSubtitlesBtn.disabled = true;
+  try {
+    const res = await fetch(projectUrl(projectId, "/subtitles"), {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ content: subtitleEditor.value }),
     });
+    const timing = await res.json();
+    if (!res.ok) throw new Error(timing.error);
+    showStoryboard(timing.content, timing.name);
+    statusText.textContent = "Subtitles saved.";
+  } catch (err) {
+    alert(err.message);
+  } finally {
+    saveSubtitlesBtn.disabled = false;
+  }
+});
+
+// --- Branding ---
+
+// Branding settings of the form. The files (title image, outro clip,
+// watermark) are uploaded with the render's other files.
+function getBrandingOptions() {
+  return {
+    titleCard: {
+      text: titleText.value,
+      duration: titleDuration.value,
+      background: titleBackground.value,
+      color: titleColor.value,
+    },
+    endCard: { text: endText.value, duration: endDuration.value },
+    watermark: {
+      position: watermarkPosition.value,
+      scale: watermarkScale.value,
+      opacity: watermarkOpacity.value,
+      margin: watermarkMargin.value,
+    },
+  };
+}
+
+// Fill the branding form from saved settings
+function applyBrandingOptions(branding) {
+  const set = (input, value) => {
+    if (value !== undefined && value !== null) input.value = value;
+  };
+  const titleCard = branding.titleCard || {};
+  set(titleText, titleCard.text);
+  set(titleDuration, titleCard.duration);
+  set(titleBackground, titleCard.background);
+  set(titleColor, titleCard.color);
+  const endCard = branding.endCard || {};
+  set(endText, endCard.text);
+  set(endDuration, endCard.duration);
+  const watermark = branding.watermark || {};
+  set(watermarkPosition, watermark.position);
+  set(watermarkScale, watermark.scale);
+  set(watermarkOpacity, watermark.opacity);
+  set(watermarkMargin, watermark.margin);
+}
+
+function appendBrandingFiles(formData) {
+  if (titleImage.files[0]) formData.append("titleImage", titleImage.files[0]);
+  if (outroFile.files[0]) formData.append("outro", outroFile.files[0]);
+  if (watermarkFile.files[0]) {
+    formData.append("watermark", watermarkFile.files[0]);
+  }
+}
+
+function clearBrandingFiles() {
+  [titleImage, outroFile, watermarkFile].forEach((input) => {
+    input.value = "";
+    setFileLabel(input, input.nextElementSibling.dataset.default);
+  });
+}
+
+// URL of a brand route, with the session that owns the brand
+function brandUrl(id, route = "") {
+  return `/api/brands/${id}${route}?sessionId=${librarySessionId}`;
+}
+
+async function loadBrands() {
+  if (!librarySessionId) return;
+  const res = await fetch(`/api/brands?sessionId=${librarySessionId}`);
+  if (!res.ok) return;
+  const brands = await res.json();
+
+  brandSelect.innerHTML = '<option value="">None</option>';
+  brands.forEach((brand) => {
+    const option = document.createElement("option");
+    option.value = brand.id;
+    option.textContent = brand.name;
+    brandSelect.appendChild(option);
+  });
+  brandSelect.value = brandId || "";
+}
+
+// Select a brand preset; `restoreSettings` fills the form from its settings
+async function openBrand(id, restoreSettings = true) {
+  const res = await fetch(brandUrl(id));
+  if (!res.ok) {
+    closeBrand();
+    return;
+  }
+  const brand = await res.json();
+
+  brandId = brand.id;
+  localStorage.setItem("kahani:brandId", brand.id);
+  brandSelect.value = brand.id;
+  brandName.value = brand.name;
+  deleteBrandBtn.classList.remove("hidden");
+  if (restoreSettings) {
+    clearBrandingFiles();
+    applyBrandingOptions(brand.settings);
+  }
+
+  const assets = brand.assets;
+  brandAssetsText.textContent = [
+    `Watermark: ${assets.watermark[0] || "none"}`,
+    `Title image: ${assets.titleImage[0] || "none"}`,
+    `Outro: ${assets.outro[0] || "none"}`,
+  ].join(" · ");
+}
+
+function closeBrand() {
+  brandId = null;
+  localStorage.removeItem("kahani:brandId");
+  brandSelect.value = "";
+  brandName.value = "";
+  brandAssetsText.textContent = "";
+  deleteBrandBtn.classList.add("hidden");
+}
+
+brandSelect.addEventListener("change", () => {
+  if (brandSelect.value) {
+    openBrand(brandSelect.value);
+  } else {
+    closeBrand();
+  }
+});
+
+// Save the branding form, with any files chosen, as a brand preset
+saveBrandBtn.addEventListener("click", async () => {
+  const name = brandName.value.trim();
+  if (!name) {
+    alert("Please enter a brand name.");
+    return;
+  }
+
+  saveBrandBtn.disabled = true;
+  try {
+    const body = { name, settings: getBrandingOptions() };
+    let brand;
+    if (brandId) {
+      const res = await fetch(brandUrl(brandId), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      brand = await res.json();
+      if (!res.ok) throw new Error(brand.error);
+    } else {
+      brand = await createInLibrary("/api/brands", body);
+    }
 
-    if (!res.ok) throw new Error("Upload failed");
+    const formData = new FormData();
+    appendBrandingFiles(formData);
+    if ([...formData.keys()].length) {
+      const filesRes = await fetch(brandUrl(brand.id, "/files"), {
+        method: "POST",
+        body: formData,
+      });
+      if (!filesRes.ok) {
+        throw new Error(await responseError(filesRes, "Upload failed"));
+      }
+    }
 
-    socket.emit("start-generation", { sessionId });
+    brandId = brand.id;
+    await loadBrands();
+    await openBrand(brand.id);
   } catch (err) {
     alert(err.message);
-    setProcessing(false);
+  } finally {
+    saveBrandBtn.disabled = false;
   }
 });
 
+deleteBrandBtn.addEventListener("click", async () => {
+  if (!brandId) return;
+  if (!confirm(`Delete brand "${brandName.value}" and its files?`)) return;
+  await fetch(brandUrl(brandId), { method: "DELETE" });
+  closeBrand();
+  loadBrands();
+});
+
 // --- Mixer Mode Logic ---
 
 generateMixerBtn.addEventListener("click", async () => {
@@ -140,22 +925,36 @@ generateMixerBtn.addEventListener("click", async () => {
   try {
     const formData = new FormData();
     formData.append("audio", mixerMainAudio.files[0]);
-    formData.append("bgAudio", mixerBgAudio.files[0]);
-    formData.append("visual", mixerVisual.files[0]);
-    formData.append("sessionId", sessionId);
+    Array.from(mixerBgAudio.files).forEach((f) =>
+      formData.append("bgAudio", f)
+    );
+    Array.from(mixerVisual.files).forEach((f) => formData.append("visual", f));
+    appendBrandingFiles(formData);
 
     statusText.textContent = "Uploading files...";
-    const res = await fetch(`/upload?sessionId=${sessionId}`, {
-      method: "POST",
-      body: formData,
-    });
-
-    if (!res.ok) throw new Error("Upload failed");
+    await uploadFiles(formData);
 
     socket.emit("start-mixed-generation", {
       sessionId,
+      librarySessionId,
       bgVolume: mixerBgVol.value,
       framerate: 30,
+      playlist: {
+        visualDuration: mixerVisualDuration.value,
+        transition: mixerTransition.value,
+        bgCrossfade: mixerBgCrossfade.value,
+      },
+      background: {
+        fadeIn: mixerBgFadeIn.value,
+        fadeOut: mixerBgFadeOut.value,
+        offset: mixerBgOffset.value,
+        intro: mixerIntro.value,
+        narrationDelay: mixerNarrationDelay.value,
+        outro: mixerOutro.value,
+      },
+      loudness: getLoudnessOptions(mixerLoudness),
+      branding: getBrandingOptions(),
+      brandId: brandId || undefined,
     });
   } catch (err) {
     alert(err.message);
@@ -165,6 +964,59 @@ generateMixerBtn.addEventListener("click", async () => {
 
 // --- Shared Socket Events ---
 
+// Re-attach to a running job after a reload or reconnect
+socket.on("connect", () => {
+  if (currentJobId) {
+    setProcessing(true);
+    cancelBtn.classList.remove("hidden");
+    socket.emit("watch-job", {
+      jobId: currentJobId,
+      sessionId: currentJobSession,
+    });
+  }
+});
+
+socket.on("job-created", (data) => {
+  currentJobId = data.jobId;
+  localStorage.setItem("kahani:jobId", data.jobId);
+  currentJobSession = data.sessionId;
+  localStorage.setItem("kahani:jobSession", data.sessionId);
+  cancelBtn.classList.remove("hidden");
+  cancelBtn.disabled = false;
+});
+
+cancelBtn.addEventListener("click", () => {
+  if (!currentJobId) return;
+  cancelBtn.disabled = true;
+  statusText.textContent = "Cancelling...";
+  socket.emit("cancel-generation", {
+    jobId: currentJobId,
+    sessionId: currentJobSession,
+  });
+});
+
+socket.on("cancelled", () => {
+  clearJob();
+  setProcessing(false);
+  progressFill.style.width = "0%";
+  statusText.textContent = "Render cancelled.";
+});
+
+socket.on("job-unknown", () => {
+  clearJob();
+  setProcessing(false);
+  progressContainer.classList.add("hidden");
+});
+
+socket.on("queued", (data) => {
+  progressContainer.classList.remove("hidden");
+  progressFill.style.width = "0%";
+  statusText.textContent =
+    data.position > 1
+      ? `Queued — ${data.position - 1} job(s) ahead of you`
+      : "Queued — starting next...";
+});
+
 socket.on("progress", (data) => {
   progressContainer.classList.remove("hidden");
   progressFill.style.width = `${data.progress || 0}%`;
@@ -172,41 +1024,139 @@ socket.on("progress", (data) => {
 });
 
 socket.on("finished", (data) => {
+  clearJob();
   setProcessing(false);
   resultContainer.classList.remove("hidden");
   downloadLink.href = data.url;
   downloadLink.download = data.filename;
+  showLoudness(data.loudness);
+  // Show the new render in the project's history
+  if (projectId) openProject(projectId, false);
+
+  // Previews play inline and offer the full render instead of a download
+  const isPreview = Boolean(data.preview);
+  downloadLink.classList.toggle("hidden", isPreview);
+  renderFullBtn.classList.toggle("hidden", !isPreview);
+  previewPlayer.classList.toggle("hidden", !isPreview);
+  if (isPreview) {
+    previewPlayer.src = data.url;
+  } else {
+    previewPlayer.removeAttribute("src");
+  }
 });
 
+function showLoudness(report) {
+  if (!report) {
+    loudnessResult.classList.add("hidden");
+    return;
+  }
+  const before = `${report.before.integrated} LUFS`;
+  loudnessResult.textContent = report.after
+    ? `Loudness ${before} → ${report.after.integrated} LUFS (true peak ${report.after.truePeak} dBTP)`
+    : `Loudness ${before}, left unchanged`;
+  loudnessResult.classList.remove("hidden");
+}
+
 socket.on("error", (data) => {
+  clearJob();
   alert("Error: " + data.message);
   setProcessing(false);
 });
 
 resetBtn.addEventListener("click", () => {
-  sessionId = Math.random().toString(36).substring(7);
+  sessionId = null;
   resultContainer.classList.add("hidden");
   progressContainer.classList.add("hidden");
   progressFill.style.width = "0%";
   statusText.textContent = "Ready to start...";
 
   // Reset forms
-  audioInput.value = "";
-  srtInput.value = "";
-  imagesInput.value = "";
-  imagesInput.disabled = true;
-  imageCount.textContent = "";
+  clearStoryFiles();
+  captionsEnabled.checked = false;
+  captionsOptions.classList.add("hidden");
+  pendingPreview = null;
+  previewPlayer.removeAttribute("src");
   previewGrid.innerHTML = "";
   previewContainer.classList.add("hidden");
+  validationContainer.classList.add("hidden");
 
   mixerMainAudio.value = "";
   mixerBgAudio.value = "";
   mixerVisual.value = "";
+  clearBrandingFiles();
+
+  // An open project stays open with its saved files
+  if (projectId) openProject(projectId, false);
 });
 
 // Utilities
+// Show an image, or a muted looping video for video/GIF scene sources
+function showSourcePreview(preview, file) {
+  const url = URL.createObjectURL(file);
+  preview.querySelector("video")?.remove();
+  if (file.type.startsWith("video/")) {
+    const video = document.createElement("video");
+    video.src = url;
+    video.muted = true;
+    video.loop = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    preview.prepend(video);
+    preview.style.backgroundImage = "";
+  } else {
+    preview.style.backgroundImage = `url(${url})`;
+  }
+}
+
+// Upload to a new session. Uploading again never adds to an earlier
+// session, whose files the server would pick up by position; only the full
+// render after a preview reuses its session, without uploading.
+async function uploadFiles(formData) {
+  const sessionRes = await fetch("/api/sessions", { method: "POST" });
+  if (!sessionRes.ok) throw new Error("Could not start an upload session");
+  sessionId = (await sessionRes.json()).sessionId;
+  const res = await fetch(`/upload?sessionId=${sessionId}`, {
+    method: "POST",
+    body: formData,
+  });
+  if (!res.ok) throw new Error(await responseError(res, "Upload failed"));
+}
+
+async function responseError(res, fallback) {
+  try {
+    return (await res.json()).error || fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function clearStoryFiles() {
+  [audioInput, srtInput, imagesInput, musicInput].forEach((input) => {
+    input.value = "";
+    setFileLabel(input, input.nextElementSibling.dataset.default);
+  });
+  manifestScenes = null;
+  imagesInput.disabled = true;
+  imageCount.textContent = "";
+  musicOptions.classList.add("hidden");
+}
+
+function setFileLabel(input, text) {
+  input.nextElementSibling.textContent = text;
+}
+
+function clearJob() {
+  currentJobId = null;
+  currentJobSession = null;
+  localStorage.removeItem("kahani:jobId");
+  localStorage.removeItem("kahani:jobSession");
+  cancelBtn.classList.add("hidden");
+}
+
 function setProcessing(isProcessing) {
   generateStoryBtn.disabled = isProcessing;
+  previewStoryBtn.disabled = isProcessing;
+  renderFullBtn.disabled = isProcessing;
   generateMixerBtn.disabled = isProcessing;
   if (isProcessing) {
     progressContainer.classList.remove("hidden");
@@ -214,27 +1164,18 @@ function setProcessing(isProcessing) {
   }
 }
 
-function parseSRT(data) {
-  const segments = [];
-  const blocks = data.trim().split(/\n\s*\n/);
-  for (const block of blocks) {
-    const lines = block.split("\n");
-    if (lines.length >= 2) {
-      const timeMatch = lines[1].match(
-        /(\d{1,2}:\d{2}:\d{2}[.,]\d{3}) --> (\d{1,2}:\d{2}:\d{2}[.,]\d{3})/
-      );
-      if (timeMatch) {
-        segments.push({
-          startTime: timeMatch[1].replace(".", ","),
-        });
-      }
-    }
-  }
-  return segments;
+function formatMs(ms) {
+  const total = Math.max(0, Number(ms) || 0);
+  const pad = (n, len = 2) => String(Math.floor(n)).padStart(len, "0");
+  return `${pad(total / 3600000)}:${pad((total / 60000) % 60)}:${pad(
+    (total / 1000) % 60
+  )},${pad(total % 1000, 3)}`;
 }
 
 // Update file labels
 document.querySelectorAll('input[type="file"]').forEach((input) => {
+  input.nextElementSibling.dataset.default =
+    input.nextElementSibling.textContent;
   input.addEventListener("change", (e) => {
     const label = e.target.nextElementSibling;
     if (label && e.target.files.length > 0) {
@@ -245,3 +1186,10 @@ document.querySelectorAll('input[type="file"]').forEach((input) => {
     }
   });
 });
+
+loadBrands().then(() => {
+  if (brandId) openBrand(brandId, false);
+});
+loadProjects().then(() => {
+  if (projectId) openProject(projectId);
+});
@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const { dirSize } = require("./uploads");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MB = 1024 * 1024;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// How long outputs, upload sessions and render temp dirs are kept, and how
+// much disk outputs and uploads may use. A TTL or quota of 0 turns it off.
+const DEFAULT_RETENTION = {
+  outputTtlHours: envNumber("OUTPUT_TTL_HOURS", 168),
+  outputQuotaMB: envNumber("OUTPUT_QUOTA_MB", 10240),
+  uploadTtlHours: envNumber("UPLOAD_TTL_HOURS", 24),
+  uploadQuotaMB: envNumber("UPLOAD_QUOTA_MB", 5120),
+  tempTtlMinutes: envNumber("TEMP_TTL_MINUTES", 60),
+  sweepIntervalMinutes: envNumber("CLEANUP_INTERVAL_MINUTES", 60),
+};
+
+// Anything touched this recently may belong to a render in progress and is
+// never removed, whatever the quota
+const RECENT_MS = 10 * MINUTE_MS;
+
+// Scene clip and mixer work dirs (script.js, mixer.js)
+const TEMP_DIR = /^temp_(clips|mix)_\d+$/;
+
+/**
+ * Newest modification time (ms) of a file or of anything below a folder.
+ * A render in progress keeps writing, so its folders stay recent.
+ */
+function lastActivity(target) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return stat.mtimeMs;
+  let newest = stat.mtimeMs;
+  for (const name of fs.readdirSync(target)) {
+    newest = Math.max(newest, lastActivity(path.join(target, name)));
+  }
+  return newest;
+}
+
+/**
+ * Entries of a folder as { name, path, bytes, lastActivity }, least
+ * recently active first
+ */
+function listEntries(dir, filter = () => true) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(filter)
+    .map((name) => {
+      const entryPath = path.join(dir, name);
+      try {
+        const stat = fs.statSync(entryPath);
+        return {
+          name,
+          path: entryPath,
+          bytes: stat.isDirectory() ? dirSize(entryPath) : stat.size,
+          lastActivity: lastActivity(entryPath),
+        };
+      } catch (err) {
+        // Removed while we were looking
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.lastActivity - b.lastActivity);
+}
+
+/**
+ * Entries to remove: those idle for longer than `ttlMs`, then the least
+ * recently active of the rest until all fit in `quotaBytes`. Entries that
+ * `keep` or were touched within RECENT_MS stay.
+ */
+function selectExpired(entries, { ttlMs, quotaBytes, now, keep }) {
+  const removable = entries.filter(
+    (entry) => now - entry.lastActivity > RECENT_MS && !(keep && keep(entry))
+  );
+  const expired = new Set(
+    ttlMs > 0
+      ? removable.filter((entry) => now - entry.lastActivity > ttlMs)
+      : []
+  );
+
+  if (quotaBytes > 0) {
+    let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of expired) bytes -= entry.bytes;
+    for (const entry of removable) {
+      if (bytes <= quotaBytes) break;
+      if (expired.has(entry)) continue;
+      expired.add(entry);
+      bytes -= entry.bytes;
+    }
+  }
+  return [...expired];
+}
+
+/**
+ * Disk retention for rendered outputs, upload sessions and the temp dirs
+ * renders leave behind when they crash. Saved projects, brands and the clip
+ * cache manage their own space and are only reported (`usageDirs`).
+ *
+ * `activeSessions()` returns the ids of sessions still in use: those that
+ * queued or running jobs need and those owning saved projects or brands.
+ * Their uploads are never removed.
+ */
+class Retention {
+  constructor({
+    rootDir,
+    outputDir,
+    uploadsDir,
+    usageDirs = {},
+    activeSessions = () => [],
+    settings = {},
+  }) {
+    this.rootDir = rootDir;
+    this.outputDir = outputDir;
+    this.uploadsDir = uploadsDir;
+    this.usageDirs = usageDirs;
+    this.activeSessions = activeSessions;
+    this.settings = { ...DEFAULT_RETENTION, ...settings };
+    this.timer = null;
+  }
+
+  _tempEntries() {
+    return listEntries(this.rootDir, (name) => TEMP_DIR.test(name));
+  }
+
+  /**
+   * Disk usage of everything the server stores, with the limits that apply
+   */
+  report() {
+    const sum = (entries) =>
+      entries.reduce((total, entry) => total + entry.bytes, 0);
+    const outputs = listEntries(this.outputDir);
+    const uploads = listEntries(this.uploadsDir);
+    const temp = this._tempEntries();
+    const { settings } = this;
+
+    const report = {
+      outputs: {
+        dir: this.outputDir,
+        files: outputs.length,
+        bytes: sum(outputs),
+        ttlHours: settings.outputTtlHours,
+        quotaBytes: settings.outputQuotaMB * MB,
+      },
+      uploads: {
+        dir: this.uploadsDir,
+        sessions: uploads.length,
+        bytes: sum(uploads),
+        ttlHours: settings.uploadTtlHours,
+        quotaBytes: settings.uploadQuotaMB * MB,
+      },
+      temp: {
+        dir: this.rootDir,
+        dirs: temp.length,
+        bytes: sum(temp),
+        ttlMinutes: settings.tempTtlMinutes,
+      },
+    };
+    for (const [name, dir] of Object.entries(this.usageDirs)) {
+      report[name] = { dir, bytes: dirSize(dir) };
+    }
+    return report;
+  }
+
+  /**
+   * Remove expired outputs and upload sessions, and temp dirs no render has
+   * touched for tempTtlMinutes. Returns the number removed of each and the
+   * bytes freed.
+   */
+  sweep(now = Date.now()) {
+    const { settings } = this;
+    const active = new Set(this.activeSessions());
+
+    const groups = {
+      outputs: selectExpired(listEntries(this.outputDir), {
+        ttlMs: settings.outputTtlHours * HOUR_MS,
+        quotaBytes: settings.outputQuotaMB * MB,
+        now,
+      }),
+      uploads: selectExpired(listEntries(this.uploadsDir), {
+        ttlMs: settings.uploadTtlHours * HOUR_MS,
+        quotaBytes: settings.uploadQuotaMB * MB,
+        now,
+        keep: (entry) => active.has(entry.name),
+      }),
+      temp: selectExpired(this._tempEntries(), {
+        ttlMs: settings.tempTtlMinutes * MINUTE_MS,
+        quotaBytes: 0,
+        now,
+      }),
+    };
+
+    const summary = { outputs: 0, uploads: 0, temp: 0, freedBytes: 0 };
+    for (const [group, entries] of Object.entries(groups)) {
+      for (const entry of entries) {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+        summary[group]++;
+        summary.freedBytes += entry.bytes;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Sweep now (clears temp dirs left by a crash) and then every
+   * sweepIntervalMinutes
+   */
+  start() {
+    const run = () => {
+      try {
+        const summary = this.sweep();
+        if (summary.outputs + summary.uploads + summary.temp > 0) {
+          console.log(`[Retention] ${formatSummary(summary)}`);
+        }
+      } catch (err) {
+        console.error("[Retention] Cleanup failed:", err);
+      }
+    };
+    run();
+    if (this.settings.sweepIntervalMinutes > 0) {
+      this.timer = setInterval(
+        run,
+        this.settings.sweepIntervalMinutes * MINUTE_MS
+      );
+      // Never keeps the process alive on its own
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const formatMB = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+const formatSummary = (summary) =>
+  `Removed ${summary.outputs} output(s), ${
+    summary.uploads
+  } upload session(s), ${summary.temp} temp dir(s), freed ${formatMB(
+    summary.freedBytes
+  )}`;
+
+/**
+ * Session ids that queued or running jobs still need, read from the job
+ * records (for the CLI, which runs outside the server's queue)
+ */
+function activeSessionsFromRecords(jobsDir) {
+  if (!fs.existsSync(jobsDir)) return [];
+  return fs
+    .readdirSync(jobsDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(jobsDir, file), "utf8"));
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(
+      (job) =>
+        job &&
+        (job.status === "queued" || job.status === "running") &&
+        job.params.sessionId
+    )
+    .map((job) => job.params.sessionId);
+}
+
+/**
+ * Sessions owning the saved records of one kind ("project", "brand") below
+ * `dataDir`, read from <dataDir>/<id>/<kind>.json
+ */
+function recordOwnersFromFiles(dataDir, kind) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs
+    .readdirSync(dataDir)
+    .map((id) => {
+      try {
+        const file = path.join(dataDir, id, `${kind}.json`);
+        return JSON.parse(fs.readFileSync(file, "utf8")).owner;
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Report disk usage or clean up: node retention.js [report|cleanup]
+if (require.main === module) {
+  const root = __dirname;
+  const retention = new Retention({
+    rootDir: root,
+    outputDir: path.join(root, "output"),
+    uploadsDir: path.join(root, "uploads"),
+    usageDirs: {
+      projects: path.join(root, "data", "projects"),
+      brands: path.join(root, "data", "brands"),
+      cache: path.join(root, "cache"),
+    },
+    activeSessions: () => [
+      ...activeSessionsFromRecords(path.join(root, "data", "jobs")),
+      ...recordOwnersFromFiles(path.join(root, "data", "projects"), "project"),
+      ...recordOwnersFromFiles(path.join(root, "data", "brands"), "brand"),
+    ],
+  });
+  const command = process.argv[2] || "report";
+
+  if (command === "report") {
+    const counted = { outputs: "files", uploads: "sessions", temp: "dirs" };
+    for (const [name, usage] of Object.entries(retention.report())) {
+      const key = counted[name];
+      const count = key ? `${usage[key]} ${key}, ` : "";
+      const quota = usage.quotaBytes ? ` of ${formatMB(usage.quotaBytes)}` : "";
+      console.log(`${name.padEnd(9)} ${count}${formatMB(usage.bytes)}${quota}`);
+    }
+  } else if (command === "cleanup") {
+    console.log(formatSummary(retention.sweep()));
+  } else {
+    console.log(
+      "Usage: node retention.js [report|cleanup]\n" +
+        "  report   Disk usage of outputs, uploads, temp dirs, projects, brands and cache (default)\n" +
+        "  cleanup  Remove expired outputs, uploads and orphaned temp dirs now\n" +
+        "Environment: OUTPUT_TTL_HOURS (168), OUTPUT_QUOTA_MB (10240),\n" +
+        "  UPLOAD_TTL_HOURS (24), UPLOAD_QUOTA_MB (5120), TEMP_TTL_MINUTES (60)"
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { DEFAULT_RETENTION, Retention };
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const { TRANSITIONS } = require("./transitions");
+const { MOTIONS } = require("./motion");
+const { VIDEO_FITS, CLIP_AUDIO_MODES, isSceneSource } = require("./media");
+
+// Fields a scene entry in a scenes.json manifest may carry
+const SCENE_FIELDS = {
+  image: "string",
+  start_ms: "number",
+  end_ms: "number",
+  prompt: "string",
+  text: "string",
+  transition: "string", // Transition into this scene, see transitions.js
+  transition_duration: "number",
+  motion: "string", // Ken Burns move, see motion.js
+  focus_x: "number", // Focal point the move heads toward, 0 (left) - 1 (right)
+  focus_y: "number", // 0 (top) - 1 (bottom)
+  fit: "string", // Video sources: loop or slow, see media.js
+  clip_audio: "string", // Video sources: mute or mix
+  clip_volume: "number", // Video sources: volume of mixed audio (0-1)
+};
+const REQUIRED_FIELDS = ["image", "start_ms", "end_ms"];
+
+/**
+ * Validate a scenes manifest and collect every problem found.
+ * Returns a list of human readable error strings (empty when valid).
+ */
+function validateScenesManifest(manifest, imageDir) {
+  const errors = [];
+
+  if (!Array.isArray(manifest)) {
+    return ["Manifest must be a JSON array of scenes"];
+  }
+  if (manifest.length === 0) {
+    return ["Manifest contains no scenes"];
+  }
+
+  let previous = null;
+  manifest.forEach((scene, index) => {
+    const label = `Scene ${index + 1}`;
+
+    if (!scene || typeof scene !== "object" || Array.isArray(scene)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    for (const key of Object.keys(scene)) {
+      if (!SCENE_FIELDS[key]) {
+        errors.push(`${label}: unknown field "${key}"`);
+      } else if (typeof scene[key] !== SCENE_FIELDS[key]) {
+        errors.push(`${label}: "${key}" must be a ${SCENE_FIELDS[key]}`);
+      }
+    }
+    for (const key of REQUIRED_FIELDS) {
+      if (scene[key] === undefined) {
+        errors.push(`${label}: missing required field "${key}"`);
+      }
+    }
+
+    if (typeof scene.image === "string") {
+      if (
+        !scene.image ||
+        path.isAbsolute(scene.image) ||
+        scene.image.split(/[\\/]/).includes("..")
+      ) {
+        errors.push(`${label}: invalid image name "${scene.image}"`);
+      } else if (imageDir && !fs.existsSync(path.join(imageDir, scene.image))) {
+        errors.push(`${label}: image "${scene.image}" not found`);
+      }
+    }
+
+    if (
+      typeof scene.transition === "string" &&
+      !(scene.transition in TRANSITIONS)
+    ) {
+      errors.push(`${label}: unknown transition "${scene.transition}"`);
+    }
+    if (
+      typeof scene.transition_duration === "number" &&
+      !(scene.transition_duration >= 0)
+    ) {
+      errors.push(`${label}: transition_duration must not be negative`);
+    }
+    if (
+      typeof scene.motion === "string" &&
+      scene.motion !== "auto" &&
+      !MOTIONS.includes(scene.motion)
+    ) {
+      errors.push(`${label}: unknown motion "${scene.motion}"`);
+    }
+    if (typeof scene.fit === "string" && !VIDEO_FITS.includes(scene.fit)) {
+      errors.push(`${label}: unknown fit "${scene.fit}"`);
+    }
+    if (
+      typeof scene.clip_audio === "string" &&
+      !CLIP_AUDIO_MODES.includes(scene.clip_audio)
+    ) {
+      errors.push(`${label}: unknown clip_audio "${scene.clip_audio}"`);
+    }
+    for (const key of ["focus_x", "focus_y", "clip_volume"]) {
+      if (
+        typeof scene[key] === "number" &&
+        !(scene[key] >= 0 && scene[key] <= 1)
+      ) {
+        errors.push(`${label}: ${key} must be between 0 and 1`);
+      }
+    }
+
+    const { start_ms, end_ms } = scene;
+    const hasRange = Number.isFinite(start_ms) && Number.isFinite(end_ms);
+    if (hasRange) {
+      if (start_ms < 0 || end_ms < 0) {
+        errors.push(`${label}: negative time range ${start_ms}-${end_ms}ms`);
+      } else if (end_ms <= start_ms) {
+        errors.push(
+          `${label}: end_ms (${end_ms}) must be greater than start_ms (${start_ms})`
+        );
+      } else {
+        if (previous && start_ms < previous.end_ms) {
+          errors.push(
+            `${label}: overlaps scene ${
+              previous.index + 1
+            } (starts at ${start_ms}ms, previous ends at ${previous.end_ms}ms)`
+          );
+        }
+        previous = { index, end_ms };
+      }
+    } else {
+      if (start_ms !== undefined && !Number.isFinite(start_ms))
+        errors.push(`${label}: start_ms must be a finite number`);
+      if (end_ms !== undefined && !Number.isFinite(end_ms))
+        errors.push(`${label}: end_ms must be a finite number`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse and validate a scenes manifest (JSON string or already parsed array)
+ * and convert it to scenes data with absolute image paths.
+ */
+function manifestToScenes(manifestContent, imageDir) {
+  let manifest = manifestContent;
+  if (typeof manifestContent === "string") {
+    try {
+      manifest = JSON.parse(manifestContent.replace(/^\uFEFF/, ""));
+    } catch (err) {
+      throw new Error(`Invalid scenes manifest: ${err.message}`);
+    }
+  }
+
+  const errors = validateScenesManifest(manifest, imageDir);
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid scenes manifest:\n - ${errors.join("\n - ")}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return manifest.map((scene) => ({
+    image: path.join(imageDir, scene.image),
+    start_ms: scene.start_ms,
+    end_ms: scene.end_ms,
+    text: scene.text || "",
+    prompt: scene.prompt || "",
+    transition: scene.transition,
+    transition_duration: scene.transition_duration,
+    motion: scene.motion,
+    focus_x: scene.focus_x,
+    focus_y: scene.focus_y,
+    fit: scene.fit,
+    clip_audio: scene.clip_audio,
+    clip_volume: scene.clip_volume,
+  }));
+}
+
+/**
+ * Scene sources (images, videos, GIFs) in a directory, naturally sorted
+ * (1.png, 2.mp4, 10.png)
+ */
+function listSources(imageDir) {
+  return fs
+    .readdirSync(imageDir)
+    .filter((f) => isSceneSource(f))
+    .sort((a, b) =>
+      a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" })
+    );
+}
+
+module.exports = { validateScenesManifest, manifestToScenes, listSources };
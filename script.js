@@ -1,165 +1,334 @@
 const fs = require("fs");
 const path = require("path");
+const os = require("os");
 const ffmpeg = require("fluent-ffmpeg");
+const { writeCaptionsFile, escapeFilterPath } = require("./captions");
+const { manifestToScenes, listSources } = require("./scenes");
+const { parseSubtitles, formatFromFilename } = require("./subtitles");
+const { validateStoryInputs, formatReport } = require("./validate");
+const { runWithConcurrency } = require("./pool");
+const { ClipCache, sceneClipKey } = require("./cache");
+const { killOnAbort, cancelledError, throwIfAborted } = require("./cancel");
+const { resolveOutputSettings, resolvePreviewSettings } = require("./presets");
+const {
+  motionSupersample,
+  planMotions,
+  describeMotion,
+  buildZoompanFilter,
+} = require("./motion");
+const {
+  isVideoSource,
+  resolveVideoScenes,
+  sceneVideoSettings,
+  atempoChain,
+  buildSceneAudioGraph,
+} = require("./media");
+const { resolveMusicSettings, buildStoryAudioGraph } = require("./music");
+const {
+  resolveLoudness,
+  measureLoudness,
+  applyLoudness,
+  loudnessReport,
+  formatLoudness,
+} = require("./loudness");
+const { resolveTiming, applyTiming, selectRange } = require("./timing");
+const { planTransitions, buildTransitionGraph } = require("./transitions");
+const {
+  INTERMEDIATE_AUDIO,
+  intermediatePath,
+  resolveBranding,
+  brandingFiles,
+  applyBranding,
+} = require("./branding");
 
 /**
- * Robust SRT Parser that handles both dots and commas in timestamps
+ * Convert subtitle content (SRT, WebVTT, ASS/SSA or plain-text timing, see
+ * subtitles.js) and image list to scenes data
  */
-function parseSRT(data) {
-  const segments = [];
-  const blocks = data.trim().split(/\n\s*\n/);
-
-  for (const block of blocks) {
-    const lines = block.split("\n");
-    if (lines.length >= 2) {
-      const timeMatch = lines[1].match(
-        /(\d{1,2}:\d{2}:\d{2}[.,]\d{3}) --> (\d{1,2}:\d{2}:\d{2}[.,]\d{3})/
-      );
-      if (timeMatch) {
-        segments.push({
-          startTime: timeMatch[1].replace(".", ","),
-          endTime: timeMatch[2].replace(".", ","),
-          text: lines.slice(2).join("\n"),
-        });
-      }
-    }
-  }
-  return segments;
-}
-
-// Configuration
-const FPS = 60;
-const TARGET_SIZE = { width: 1080, height: 1920 }; // Portrait 9:16
-const CROSSFADE_DURATION = 0.3; // seconds
-const ZOOM_RATE = 0.08; // Ken Burns zoom rate
+function srtToScenes(srtContent, imageDir, subtitleFormat) {
+  const { cues } = parseSubtitles(srtContent, { format: subtitleFormat });
+  const images = listSources(imageDir);
 
-/**
- * Parse SRT time string to milliseconds
- */
-function srtTimeToMs(timeStr) {
-  const parts = timeStr.split(/[:,]/);
-  return (
-    parseInt(parts[0]) * 3600000 +
-    parseInt(parts[1]) * 60000 +
-    parseInt(parts[2]) * 1000 +
-    parseInt(parts[3])
-  );
+  return cues.map((cue, index) => {
+    return {
+      image: path.join(imageDir, images[index] || images[images.length - 1]),
+      start_ms: cue.start_ms,
+      end_ms: cue.end_ms,
+      text: cue.text,
+      caption_position: cue.position,
+    };
+  });
 }
 
 /**
- * Convert SRT content and image list to scenes data
+ * Duration (milliseconds, NaN if unknown) and audio presence of a media file
  */
-function srtToScenes(srtContent, imageDir) {
-  const srtData = parseSRT(srtContent);
-  const images = fs
-    .readdirSync(imageDir)
-    .filter((f) => /\.(png|jpg|jpeg|webp)$/i.test(f))
-    .sort((a, b) => {
-      // Natural sort for filenames like 1.png, 2.png, 10.png
-      return a.localeCompare(b, undefined, {
-        numeric: true,
-        sensitivity: "base",
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({
+        durationMs: Math.round(parseFloat(metadata.format.duration) * 1000),
+        hasAudio: metadata.streams.some((s) => s.codec_type === "audio"),
       });
     });
-
-  return srtData.map((item, index) => {
-    return {
-      image: path.join(imageDir, images[index] || images[images.length - 1]),
-      start_ms: srtTimeToMs(item.startTime),
-      end_ms: srtTimeToMs(item.endTime),
-      text: item.text,
-    };
   });
 }
 
 /**
- * Create a video clip from an image with Ken Burns effect and fade transitions
+ * Duration of a media file in milliseconds
+ */
+async function probeDurationMs(filePath) {
+  return (await probeMedia(filePath)).durationMs;
+}
+
+/**
+ * Create a video clip from an image with Ken Burns effect
+ * The move comes from scene.motion and its focal point from
+ * scene.focus_x/focus_y (see motion.js)
+ * Filler scenes (see timing.js) become a plain color card instead
+ * `settings` are the resolved output settings (see presets.js)
+ * `tailDuration` extends the clip past its scene end to feed the overlap
+ * of the transition into the next scene
+ * Aborting `signal` kills the running FFmpeg process
  */
-function createImageClip(scene, index, totalScenes, outputDir, imageDir) {
+function createImageClip(
+  scene,
+  index,
+  totalScenes,
+  outputDir,
+  settings,
+  tailDuration = 0,
+  signal = null
+) {
   return new Promise((resolve, reject) => {
-    const duration = (scene.end_ms - scene.start_ms) / 1000.0;
+    if (signal && signal.aborted) {
+      reject(cancelledError(`Clip ${index + 1}`));
+      return;
+    }
+
+    const { width, height, fps, zoomRate } = settings;
+    const duration = (scene.end_ms - scene.start_ms) / 1000.0 + tailDuration;
     const outputPath = path.join(outputDir, `clip_${index}.mp4`);
 
-    // Calculate zoom parameters for Ken Burns effect
-    const startZoom = 1.0;
-    const endZoom = 1.0 + duration * ZOOM_RATE;
+    // Calculate the Ken Burns move for this scene
+    const motion = scene.motion || "zoomin";
+    const move = describeMotion(motion, duration, zoomRate, {
+      x: scene.focus_x,
+      y: scene.focus_y,
+    });
 
     // Use zoompan but generate extra frames, let -t cut to exact duration
     // Generate enough frames: add 2 extra seconds worth of frames to be safe
     const safetyBuffer = 2.0;
-    const totalFrames = Math.ceil((duration + safetyBuffer) * FPS);
-    const zoomIncrement = (endZoom - startZoom) / (duration * FPS);
+    const totalFrames = Math.ceil((duration + safetyBuffer) * fps);
+    const moveFrames = Math.round(duration * fps);
 
     // scale and crop to target aspect ratio first, then apply zoompan
     // 1. scale=w:h:force_original_aspect_ratio=increase makes the image fill the area
     // 2. crop=w:h centers the crop
-    const scaleCropFilter = `scale=${TARGET_SIZE.width}:${TARGET_SIZE.height}:force_original_aspect_ratio=increase,crop=${TARGET_SIZE.width}:${TARGET_SIZE.height}`;
+    // Both at a multiple of the output size for sub-pixel moves
+    const supersample = motionSupersample(width, height);
+    const workWidth = width * supersample;
+    const workHeight = height * supersample;
+    const scaleCropFilter = `scale=${workWidth}:${workHeight}:force_original_aspect_ratio=increase,crop=${workWidth}:${workHeight}`;
 
     // zoompan filter: d is total frames to generate
     // The -t flag will cut this to exact duration
-    const zoomFilter = `zoompan=z='min(${startZoom}+on*${zoomIncrement},${endZoom})':d=${totalFrames}:x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=${TARGET_SIZE.width}x${TARGET_SIZE.height}:fps=${FPS}`;
+    const zoomFilter = buildZoompanFilter(
+      move,
+      moveFrames,
+      totalFrames,
+      width,
+      height,
+      fps
+    );
 
-    // Fade filters - apply fades within the exact duration
-    let fadeFilters = [];
-    if (index > 0) {
-      fadeFilters.push(`fade=t=in:st=0:d=${CROSSFADE_DURATION}`);
-    }
-    if (index < totalScenes - 1) {
-      const fadeOutStart = Math.max(0, duration - CROSSFADE_DURATION);
-      fadeFilters.push(`fade=t=out:st=${fadeOutStart}:d=${CROSSFADE_DURATION}`);
-    }
+    // Combine all filters: scale/crop first, then zoom
+    // Transitions are applied between clips when they are joined
+    const filterComplex = [scaleCropFilter, zoomFilter].join(",");
+
+    const command = ffmpeg();
+    if (scene.filler) {
+      console.log(
+        `  Creating clip ${index + 1}: duration=${duration.toFixed(
+          6
+        )}s, filler card ${scene.color}`
+      );
+      command
+        .input(
+          `color=c=0x${scene.color.replace(
+            "#",
+            ""
+          )}:s=${width}x${height}:r=${fps}`
+        )
+        .inputFormat("lavfi");
+    } else {
+      // Resolve image path
+      const imagePath = scene.image;
 
-    // Combine all filters: scale/crop first, then zoom, then fade
-    let filters = [scaleCropFilter, zoomFilter];
-    if (fadeFilters.length > 0) {
-      filters = filters.concat(fadeFilters);
+      if (!fs.existsSync(imagePath)) {
+        reject(new Error(`Image not found: ${imagePath}`));
+        return;
+      }
+
+      console.log(
+        `  Creating clip ${index + 1}: duration=${duration.toFixed(
+          6
+        )}s, ${motion} ${move.startZoom.toFixed(2)}x -> ${move.endZoom.toFixed(
+          2
+        )}x, frames=${totalFrames}`
+      );
+
+      command
+        .input(imagePath)
+        .inputOptions(["-loop", "1", "-framerate", fps.toString()])
+        .videoFilters(filterComplex);
     }
-    const filterComplex = filters.join(",");
 
-    // Resolve image path
-    const imagePath = scene.image;
+    // Create clip with EXACT duration
+    // zoompan generates extra frames, but -t cuts to exact duration
+    // This ensures timing is perfect while maintaining zoom effect
+    command
+      .outputOptions([
+        "-t",
+        duration.toFixed(6), // EXACT duration from scenes.json - THIS controls output duration
+        "-pix_fmt",
+        "yuv420p",
+        "-c:v",
+        "libx264",
+        "-preset",
+        settings.encoderPreset,
+        "-crf",
+        settings.crf.toString(),
+        "-r",
+        fps.toString(), // Output framerate
+        "-vsync",
+        "cfr", // Constant framerate
+        "-g",
+        Math.round(fps).toString(), // Keyframe interval
+        "-fps_mode",
+        "cfr", // Force constant frame rate mode
+      ])
+      .output(outputPath);
+
+    killOnAbort(command, signal);
 
-    if (!fs.existsSync(imagePath)) {
-      reject(new Error(`Image not found: ${imagePath}`));
+    command
+      .on("end", () => {
+        console.log(
+          `✓ Created clip ${index + 1}/${totalScenes}: ${duration.toFixed(3)}s`
+        );
+        resolve(outputPath);
+      })
+      .on("error", (err) => {
+        if (signal && signal.aborted) {
+          console.log(`  Stopped clip ${index + 1} (render aborted)`);
+        } else {
+          console.error(`✗ Error creating clip ${index + 1}:`, err.message);
+        }
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Create a clip from a video or animated GIF scene source
+ * Longer sources are trimmed; shorter ones are looped or slowed down
+ * (`video.fit`) to fill the scene. `source` is the probeMedia() result and
+ * `video` the sceneVideoSettings(); the source audio is kept only when
+ * `video.audio` is "mix" (see concatenateClips for the mixing)
+ */
+function createVideoClip(
+  scene,
+  index,
+  totalScenes,
+  outputDir,
+  settings,
+  source,
+  video,
+  tailDuration = 0,
+  signal = null
+) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError(`Clip ${index + 1}`));
+      return;
+    }
+    if (!fs.existsSync(scene.image)) {
+      reject(new Error(`Video not found: ${scene.image}`));
       return;
     }
 
+    const { width, height, fps } = settings;
+    const duration = (scene.end_ms - scene.start_ms) / 1000.0 + tailDuration;
+    const outputPath = path.join(outputDir, `clip_${index}.mp4`);
+    const sourceDuration = source.durationMs / 1000.0;
+
+    // Decide how the source fills the scene (unknown length: loop)
+    let fill = "trim";
+    if (!(sourceDuration >= duration)) {
+      fill = video.fit === "slow" && sourceDuration > 0 ? "slow" : "loop";
+    }
+    const slowFactor = fill === "slow" ? duration / sourceDuration : 1;
+
+    const filters = [];
+    if (fill === "slow") filters.push(`setpts=${slowFactor.toFixed(6)}*PTS`);
+    filters.push(
+      `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+      `crop=${width}:${height}`,
+      "setsar=1",
+      `fps=${fps}`
+    );
+
     console.log(
       `  Creating clip ${index + 1}: duration=${duration.toFixed(
         6
-      )}s, zoom ${startZoom.toFixed(2)}x -> ${endZoom.toFixed(
-        2
-      )}x, frames=${totalFrames}`
+      )}s, video ${fill}${
+        fill === "slow" ? ` x${slowFactor.toFixed(2)}` : ""
+      }, audio ${video.audio}`
     );
 
-    // Create clip with EXACT duration
-    // zoompan generates extra frames, but -t cuts to exact duration
-    // This ensures timing is perfect while maintaining zoom effect
-    ffmpeg()
-      .input(imagePath)
-      .inputOptions(["-loop", "1", "-framerate", FPS.toString()])
-      .videoFilters(filterComplex)
+    const command = ffmpeg().input(scene.image);
+    if (fill === "loop") command.inputOptions(["-stream_loop", "-1"]);
+    command.videoFilters(filters);
+    if (video.audio === "mix") {
+      if (fill === "slow") command.audioFilters(atempoChain(1 / slowFactor));
+      command.outputOptions(["-c:a", "aac", "-b:a", "192k"]);
+    } else {
+      command.noAudio();
+    }
+
+    command
       .outputOptions([
         "-t",
-        duration.toFixed(6), // EXACT duration from scenes.json - THIS controls output duration
+        duration.toFixed(6),
         "-pix_fmt",
         "yuv420p",
         "-c:v",
         "libx264",
         "-preset",
-        "medium",
+        settings.encoderPreset,
         "-crf",
-        "23",
+        settings.crf.toString(),
         "-r",
-        FPS.toString(), // Output framerate
+        fps.toString(),
         "-vsync",
-        "cfr", // Constant framerate
+        "cfr",
         "-g",
-        Math.round(FPS).toString(), // Keyframe interval
+        Math.round(fps).toString(),
         "-fps_mode",
-        "cfr", // Force constant frame rate mode
+        "cfr",
       ])
-      .output(outputPath)
+      .output(outputPath);
+
+    killOnAbort(command, signal);
+
+    command
       .on("end", () => {
         console.log(
           `✓ Created clip ${index + 1}/${totalScenes}: ${duration.toFixed(3)}s`
@@ -167,7 +336,11 @@ function createImageClip(scene, index, totalScenes, outputDir, imageDir) {
         resolve(outputPath);
       })
       .on("error", (err) => {
-        console.error(`✗ Error creating clip ${index + 1}:`, err.message);
+        if (signal && signal.aborted) {
+          console.log(`  Stopped clip ${index + 1} (render aborted)`);
+        } else {
+          console.error(`✗ Error creating clip ${index + 1}:`, err.message);
+        }
         reject(err);
       })
       .run();
@@ -175,48 +348,95 @@ function createImageClip(scene, index, totalScenes, outputDir, imageDir) {
 }
 
 /**
- * Create concatenation file for FFmpeg
+ * Number of clips to render at once: explicit option, then the CLIP_WORKERS
+ * env var, then half of the CPU cores (libx264 is multi-threaded itself)
  */
-function createConcatFile(clipPaths, outputDir) {
-  const concatPath = path.join(outputDir, "concat.txt");
-  const content = clipPaths.map((clipPath) => `file '${clipPath}'`).join("\n");
-  fs.writeFileSync(concatPath, content);
-  return concatPath;
+function resolveWorkerCount(workers) {
+  const count =
+    parseInt(workers) ||
+    parseInt(process.env.CLIP_WORKERS) ||
+    Math.floor(os.cpus().length / 2);
+  return Math.max(1, count);
 }
 
 /**
- * Concatenate all clips with exact timing preservation
- * Note: Crossfades are already applied to individual clips via fade in/out
+ * Join all clips with overlapping transitions and exact timing preservation
+ * `sceneDurations` (seconds) and `plan` (see transitions.js) describe where
+ * each transition starts; clips already carry the extra tail it overlaps.
+ * If captionsPath is given, the ASS captions are burned in while re-encoding
+ * `audioTracks` (see buildSceneAudioGraph) mix the sound of video scenes
+ * into an audio track of the output
  */
-function concatenateClips(clipPaths, outputDir, outputFile, totalDuration = 0) {
+function concatenateClips(
+  clipPaths,
+  outputFile,
+  settings,
+  sceneDurations,
+  plan,
+  captionsPath = null,
+  signal = null,
+  audioTracks = []
+) {
   return new Promise((resolve, reject) => {
-    const concatFile = createConcatFile(clipPaths, outputDir);
+    const { fps } = settings;
     const outputPath = path.resolve(outputFile);
+    const totalDuration = sceneDurations.reduce((sum, d) => sum + d, 0);
 
-    if (totalDuration > 0) {
-      console.log(
-        `  Concatenating ${
-          clipPaths.length
-        } clips, expected total duration: ${totalDuration.toFixed(3)}s`
+    console.log(
+      `  Joining ${
+        clipPaths.length
+      } clips, expected total duration: ${totalDuration.toFixed(3)}s`
+    );
+
+    const command = ffmpeg();
+    clipPaths.forEach((clipPath) => command.input(clipPath));
+
+    const { filters, outputLabel } = buildTransitionGraph(sceneDurations, plan);
+    let videoLabel = outputLabel;
+    if (captionsPath) {
+      filters.push(
+        `${outputLabel}subtitles=${escapeFilterPath(captionsPath)}[vout]`
       );
-    } else {
-      console.log(`  Concatenating ${clipPaths.length} clips...`);
+      videoLabel = "[vout]";
     }
 
-    ffmpeg()
-      .input(concatFile)
-      .inputOptions(["-f", "concat", "-safe", "0"])
+    const videoMap = filters.length > 0 ? videoLabel : "0:v";
+    const audioOptions = [];
+    if (audioTracks.length > 0) {
+      const sceneAudio = buildSceneAudioGraph(audioTracks);
+      filters.push(...sceneAudio.filters);
+      audioOptions.push(
+        "-map",
+        sceneAudio.outputLabel,
+        "-c:a",
+        "aac",
+        "-b:a",
+        "192k"
+      );
+    }
+
+    if (filters.length > 0) {
+      command.complexFilter(filters);
+    }
+    killOnAbort(command, signal);
+
+    command
       .outputOptions([
+        "-map",
+        videoMap,
+        ...audioOptions,
+        "-t",
+        totalDuration.toFixed(6), // Sum of scene durations, matches the cues
         "-c:v",
         "libx264",
         "-pix_fmt",
         "yuv420p",
         "-preset",
-        "medium",
+        settings.encoderPreset,
         "-crf",
-        "23",
+        settings.crf.toString(),
         "-r",
-        FPS.toString(), // Maintain framerate
+        fps.toString(), // Maintain framerate
         "-vsync",
         "cfr", // Constant frame rate
         "-avoid_negative_ts",
@@ -239,47 +459,120 @@ function concatenateClips(clipPaths, outputDir, outputFile, totalDuration = 0) {
 
 /**
  * Add audio to video with proper sync
+ * With `padAudio` the audio is padded with silence so a narration shorter
+ * than the picture never cuts the video short. An audio track already in
+ * the video (sound of video scenes) is mixed under the narration, and so is
+ * the optional `music` bed ({ path, settings }, see music.js), ducked
+ * whenever the narration speaks.
+ *
+ * With a `loudness` target (see loudness.js) the final mix is measured in a
+ * first pass and corrected in the second. Resolves with
+ * { outputPath, loudness } where loudness is the before/after report.
+ *
+ * `range` ({ start, duration } in seconds) takes only that part of the
+ * narration and music, for previews of part of the video. `intermediate`
+ * keeps the audio lossless for a later pass (see INTERMEDIATE_AUDIO).
  */
-function addAudio(videoPath, audioPath, outputFile) {
+function addAudio(
+  videoPath,
+  audioPath,
+  outputFile,
+  {
+    signal = null,
+    padAudio = false,
+    music = null,
+    loudness = null,
+    range = null,
+    intermediate = false,
+  } = {}
+) {
   return new Promise((resolve, reject) => {
     const outputPath = path.resolve(outputFile);
 
     // Get video duration first to ensure audio matches
-    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+    ffmpeg.ffprobe(videoPath, async (err, metadata) => {
       if (err) {
         reject(err);
         return;
       }
+      if (signal && signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
 
       const videoDuration = metadata.format.duration;
       console.log(
         `  Video duration: ${videoDuration.toFixed(3)}s, adding audio...`
       );
 
-      ffmpeg()
-        .input(videoPath)
-        .input(audioPath)
+      // The loudness analysis runs the same inputs, so build them twice
+      const seek = range ? ["-ss", range.start.toFixed(6)] : [];
+      const withInputs = () => {
+        const command = ffmpeg().input(videoPath).input(audioPath);
+        if (range) {
+          command.inputOptions([...seek, "-t", range.duration.toFixed(6)]);
+        }
+        if (music) {
+          command.input(music.path).inputOptions(seek);
+          if (music.settings.loop) command.inputOptions(["-stream_loop", "-1"]);
+        }
+        return command;
+      };
+
+      let graph = buildStoryAudioGraph({
+        padNarration: padAudio,
+        sceneAudio: metadata.streams.some((s) => s.codec_type === "audio"),
+        music: music && music.settings,
+        duration: videoDuration,
+      });
+
+      let measured = null;
+      if (loudness) {
+        console.log("  Measuring loudness...");
+        try {
+          measured = await measureLoudness(withInputs(), graph, loudness, {
+            duration: videoDuration,
+            signal,
+          });
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        graph = applyLoudness(graph, loudness, measured);
+      }
+
+      const command = withInputs();
+      command.complexFilter(graph.filters);
+
+      command
         .outputOptions([
           "-c:v",
           "copy", // Copy video stream (no re-encoding)
-          "-c:a",
-          "aac",
-          "-b:a",
-          "192k", // Audio bitrate
+          ...(intermediate
+            ? INTERMEDIATE_AUDIO
+            : ["-c:a", "aac", "-b:a", "192k"]),
           "-map",
           "0:v:0", // Use video from first input
           "-map",
-          "1:a:0", // Use audio from second input
+          graph.outputLabel, // Narration, mixed with scene sound and music
           "-shortest", // End when shortest stream ends
           "-avoid_negative_ts",
           "make_zero", // Fix timestamp issues
           "-fflags",
           "+genpts", // Generate presentation timestamps
         ])
-        .output(outputPath)
-        .on("end", () => {
+        .output(outputPath);
+
+      killOnAbort(command, signal);
+
+      command
+        .on("end", (stdout, stderr) => {
           console.log(`✓ Added audio to: ${outputPath}`);
-          resolve(outputPath);
+          const report = measured
+            ? loudnessReport(loudness, measured, stderr)
+            : null;
+          if (report) console.log(`  ${formatLoudness(report)}`);
+          resolve({ outputPath, loudness: report });
         })
         .on("error", (err) => {
           console.error("✗ Error adding audio:", err.message);
@@ -291,18 +584,97 @@ function addAudio(videoPath, audioPath, outputFile) {
 }
 
 /**
- * Main function to create story video
+ * Read a subtitle file or scenes.json manifest (by its .json extension)
+ * into the srtContent, subtitleFormat and scenesManifest options
+ */
+function readStoryInputs(inputPath) {
+  const content = fs.readFileSync(inputPath, "utf8");
+  const isManifest = /\.json$/i.test(inputPath);
+  return {
+    srtContent: isManifest ? null : content,
+    subtitleFormat: formatFromFilename(inputPath),
+    scenesManifest: isManifest ? content : null,
+  };
+}
+
+/**
+ * Main function to create story video. Resolves with
+ * { outputPath, loudness, layout, durationMs }: loudness is null unless a
+ * target was set, layout are the timed scenes with their motions, which a
+ * later render can take as `layout` to reproduce the same cut, durationMs is
+ * the length of the finished video including cards and outro.
  */
 async function createStoryVideo(options) {
   const {
-    srtContent,
+    srtContent, // Subtitle content: SRT, WebVTT, ASS/SSA or plain-text timing
+    subtitleFormat, // Format of srtContent, detected from the content if missing
+    scenesManifest, // scenes.json content (string or array), used instead of SRT
     imageDir,
     audioPath,
     outputName = "output.mp4",
+    captions = null, // Caption style options, see captions.js. Off when null
+    output = {}, // { preset, width, height, fps, transitionDuration, zoomRate }
+    transition = "crossfade", // Default transition, see transitions.js
+    motion = "auto", // Default Ken Burns move, see motion.js
+    videoScenes = {}, // { fit, audio, volume } for video/GIF sources, see media.js
+    musicPath = null, // Optional background music, ducked under the narration
+    music: musicOptions = {}, // { volume, duckDb, attack, release, fadeIn, fadeOut, loop }, see music.js
+    loudness: loudnessOptions = null, // { preset, integrated, truePeak, lra }, see loudness.js. Off when null
+    timing: timingOptions = {}, // { mode, gapFill, fillerColor, minFillerMs }, see timing.js
+    branding: brandingOptions = null, // { titleCard, endCard, watermark }, see branding.js. Off when null
+    workers, // Clips rendered in parallel, see resolveWorkerCount
+    signal = null, // AbortSignal that cancels the render
+    force = false, // Render even if the pre-flight check finds errors
+    preview = null, // { scale, fps, start, end } for a fast low-res render, see presets.js
+    layout = null, // `layout` of an earlier render (e.g. the preview) to reuse
+    cache = true, // Reuse unchanged clips: true for the default ClipCache, a ClipCache, or false. See cache.js
     onProgress = () => {},
   } = options;
 
+  const outputSettings = resolveOutputSettings(output);
+  const settings = preview
+    ? resolvePreviewSettings(outputSettings, preview)
+    : outputSettings;
+  const timing = resolveTiming(timingOptions);
+  const videoSettings = resolveVideoScenes(videoScenes);
+  const musicSettings = musicPath ? resolveMusicSettings(musicOptions) : null;
+  const loudness = resolveLoudness(loudnessOptions);
+  const clipCache = cache === true ? new ClipCache() : cache || null;
+  let branding = resolveBranding(brandingOptions);
+  for (const [label, file] of brandingFiles(branding)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${label} not found: ${path.resolve(file)}`);
+    }
+  }
+  // A preview of part of the video is about that part: no cards
+  const rangePreview = Boolean(preview && (preview.start || preview.end));
+  if (branding && rangePreview) {
+    branding = branding.watermark
+      ? { titleCard: null, endCard: null, watermark: branding.watermark }
+      : null;
+  }
+
+  const report = validateStoryInputs({
+    srtContent,
+    subtitleFormat,
+    scenesManifest,
+    imageDir,
+    timingMode: timing.mode,
+  });
+  if (report.issues.length > 0) console.log(formatReport(report) + "\n");
+  if (!report.ok && !force) {
+    const error = new Error(
+      `Pre-flight check found ${report.errorCount} error(s): ${report.issues
+        .filter((i) => i.severity === "error")
+        .map((i) => i.message)
+        .join("; ")}`
+    );
+    error.report = report;
+    throw error;
+  }
+
   const tempDir = path.join(__dirname, "temp_clips_" + Date.now());
+  let writingOutput = false;
 
   // Create temp directory
   if (!fs.existsSync(tempDir)) {
@@ -310,53 +682,250 @@ async function createStoryVideo(options) {
   }
 
   try {
-    onProgress({ status: "parsing", message: "Parsing SRT and images..." });
-    const scenesData = srtToScenes(srtContent, imageDir);
+    let scenesData;
+    if (layout) {
+      onProgress({ status: "parsing", message: "Reusing scene layout..." });
+      scenesData = layout.map((scene) => ({ ...scene }));
+    } else if (scenesManifest) {
+      onProgress({
+        status: "parsing",
+        message: "Validating scenes manifest...",
+      });
+      scenesData = manifestToScenes(scenesManifest, imageDir);
+    } else {
+      onProgress({
+        status: "parsing",
+        message: "Parsing subtitles and images...",
+      });
+      scenesData = srtToScenes(srtContent, imageDir, subtitleFormat);
+    }
 
-    console.log("🎬 Starting video creation...\n");
+    const audioFilePath = path.resolve(audioPath);
+    if (!fs.existsSync(audioFilePath)) {
+      throw new Error(`Audio file not found: ${audioFilePath}`);
+    }
+    if (musicPath && !fs.existsSync(musicPath)) {
+      throw new Error(`Music file not found: ${path.resolve(musicPath)}`);
+    }
+    if (layout) {
+      console.log("⏱️ Timing reused from an earlier render");
+    } else if (timing.mode === "audio") {
+      // Cover the whole narration so picture and audio stay aligned
+      const audioDurationMs = await probeDurationMs(audioFilePath);
+      scenesData = applyTiming(scenesData, audioDurationMs, timing);
+      console.log(
+        `⏱️ Timing follows audio (${(audioDurationMs / 1000).toFixed(
+          3
+        )}s), gaps filled with ${timing.gapFill}`
+      );
+    } else {
+      scenesData = applyTiming(scenesData, 0, timing);
+    }
+
+    planMotions(scenesData, motion).forEach((sceneMotion, i) => {
+      scenesData[i].motion = sceneMotion;
+    });
+    const sceneLayout = scenesData.map((scene) => ({ ...scene }));
+
+    // A preview of part of the video renders only the scenes in its range
+    let audioRange = null;
+    if (rangePreview) {
+      const start = (parseFloat(preview.start) || 0) * 1000;
+      const end = parseFloat(preview.end) * 1000 || Infinity;
+      if (end <= start) {
+        throw new Error("Preview range must end after it starts");
+      }
+      const selected = selectRange(scenesData, start, end);
+      scenesData = selected.scenes;
+      audioRange = {
+        start: selected.startMs / 1000,
+        duration: (selected.endMs - selected.startMs) / 1000,
+      };
+      console.log(
+        `✂️ Preview range ${audioRange.start.toFixed(
+          3
+        )}s + ${audioRange.duration.toFixed(3)}s (${scenesData.length} scenes)`
+      );
+    }
+
+    console.log(
+      `🎬 Starting ${preview ? "preview" : "video"} creation (${
+        settings.width
+      }x${settings.height} @ ${settings.fps}fps)...\n`
+    );
+
+    // Transitions overlap into the tail of the outgoing clip, so plan them
+    // first to know how long each clip has to be
+    const plan = planTransitions(
+      scenesData,
+      transition,
+      settings.transitionDuration
+    );
+    const sceneDurations = scenesData.map(
+      (scene) => (scene.end_ms - scene.start_ms) / 1000.0
+    );
+    // Where each scene starts in the output, for mixing video scene sound
+    const sceneStarts = sceneDurations.map((d, i) =>
+      sceneDurations.slice(0, i).reduce((sum, prev) => sum + prev, 0)
+    );
+    const audioTracks = [];
 
     // Step 1: Create individual clips
-    console.log("📹 Creating individual clips...");
-    const clipPaths = [];
-    for (let i = 0; i < scenesData.length; i++) {
-      onProgress({
-        status: "clipping",
-        message: `Creating clip ${i + 1}/${scenesData.length}`,
-        progress: (i / scenesData.length) * 50, // First 50% of progress
-      });
-      const clipPath = await createImageClip(
-        scenesData[i],
-        i,
-        scenesData.length,
-        tempDir,
-        imageDir
+    const workerCount = resolveWorkerCount(workers);
+    console.log(`📹 Creating individual clips (${workerCount} workers)...`);
+    let clipsDone = 0;
+    let clipsCached = 0;
+    onProgress({
+      status: "clipping",
+      message: `Creating clips 0/${scenesData.length}`,
+      progress: 0,
+    });
+    const clipPaths = await runWithConcurrency(
+      scenesData,
+      workerCount,
+      async (scene, i, clipSignal) => {
+        const isVideo = !scene.filler && isVideoSource(scene.image);
+        let source = null;
+        let video = null;
+        if (isVideo) {
+          source = await probeMedia(scene.image);
+          video = sceneVideoSettings(scene, videoSettings);
+          if (!source.hasAudio) video.audio = "mute";
+        }
+
+        // Missing sources skip the cache and fail in the render below
+        let clipPath = path.join(tempDir, `clip_${i}.mp4`);
+        const cacheKey =
+          clipCache && (scene.filler || fs.existsSync(scene.image))
+            ? await sceneClipKey(scene, settings, plan[i].duration, video)
+            : null;
+        const cached = Boolean(cacheKey && clipCache.fetch(cacheKey, clipPath));
+
+        if (cached) {
+          clipsCached++;
+          console.log(`✓ Reused clip ${i + 1}/${scenesData.length} from cache`);
+        } else if (isVideo) {
+          clipPath = await createVideoClip(
+            scene,
+            i,
+            scenesData.length,
+            tempDir,
+            settings,
+            source,
+            video,
+            plan[i].duration,
+            clipSignal
+          );
+        } else {
+          clipPath = await createImageClip(
+            scene,
+            i,
+            scenesData.length,
+            tempDir,
+            settings,
+            plan[i].duration,
+            clipSignal
+          );
+        }
+        if (cacheKey && !cached) clipCache.store(cacheKey, clipPath);
+
+        if (isVideo && video.audio === "mix") {
+          audioTracks.push({
+            input: i,
+            start: sceneStarts[i],
+            duration: sceneDurations[i],
+            volume: video.volume,
+          });
+        }
+        clipsDone++;
+        onProgress({
+          status: "clipping",
+          message: `Creating clips ${clipsDone}/${scenesData.length}`,
+          progress: (clipsDone / scenesData.length) * 50, // First 50% of progress
+        });
+        return clipPath;
+      },
+      { signal }
+    );
+    if (clipsCached > 0) {
+      console.log(
+        `  ${clipsCached}/${scenesData.length} clips reused from the cache`
       );
-      clipPaths.push(clipPath);
     }
 
-    // Step 2: Concatenate clips
+    // Step 2: Join clips with transitions
+    throwIfAborted(signal);
     onProgress({
       status: "concatenating",
       message: "Merging clips",
       progress: 60,
     });
-    console.log("\n🔗 Concatenating clips...");
-    const totalDuration = scenesData.reduce(
-      (sum, scene) => sum + (scene.end_ms - scene.start_ms) / 1000.0,
-      0
-    );
+    console.log("\n🔗 Joining clips with transitions...");
     const tempVideo = path.join(tempDir, "temp_concatenated.mp4");
-    await concatenateClips(clipPaths, tempDir, tempVideo, totalDuration);
+    let captionsPath = null;
+    if (captions) {
+      console.log("  Burning in captions...");
+      // Laid out at the full output size; libass scales it down for previews
+      captionsPath = writeCaptionsFile(
+        scenesData,
+        captions,
+        outputSettings,
+        path.join(tempDir, "captions.ass")
+      );
+    }
+    await concatenateClips(
+      clipPaths,
+      tempVideo,
+      settings,
+      sceneDurations,
+      plan,
+      captionsPath,
+      signal,
+      audioTracks.sort((a, b) => a.input - b.input)
+    );
 
     // Step 3: Add audio
+    throwIfAborted(signal);
     onProgress({ status: "audio", message: "Adding audio...", progress: 80 });
     console.log("\n🎵 Adding audio...");
-    const audioFilePath = path.resolve(audioPath);
-    if (!fs.existsSync(audioFilePath)) {
-      throw new Error(`Audio file not found: ${audioFilePath}`);
+    writingOutput = true;
+    const mixedPath = branding ? intermediatePath(tempDir, "main") : outputName;
+    const mixed = await addAudio(tempVideo, audioFilePath, mixedPath, {
+      signal,
+      // Branded videos are corrected once the cards and outro are added
+      loudness: branding ? null : loudness,
+      intermediate: Boolean(branding),
+      range: audioRange,
+      padAudio: timing.mode === "audio",
+      music: musicSettings && {
+        path: path.resolve(musicPath),
+        settings: musicSettings,
+      },
+    });
+
+    // Step 4: Title card, end card and watermark
+    if (branding) {
+      throwIfAborted(signal);
+      onProgress({
+        status: "branding",
+        message: "Adding branding...",
+        progress: 90,
+      });
+      console.log("\n🏷️ Adding branding...");
+      Object.assign(
+        mixed,
+        await applyBranding(mixedPath, outputName, branding, {
+          tempDir,
+          layoutSize: outputSettings,
+          encoderPreset: settings.encoderPreset,
+          crf: settings.crf,
+          loudness,
+          signal,
+        })
+      );
     }
 
-    await addAudio(tempVideo, audioFilePath, outputName);
+    const durationMs = await probeDurationMs(mixed.outputPath);
 
     // Cleanup temp files
     onProgress({ status: "cleanup", message: "Cleaning up...", progress: 95 });
@@ -368,41 +937,44 @@ async function createStoryVideo(options) {
       message: "Video created successfully!",
       progress: 100,
     });
-    console.log(`\n✅ Video created successfully: ${path.resolve(outputName)}`);
-    return path.resolve(outputName);
-  } catch (error) {
-    console.error("\n❌ Error creating video:", error);
-    onProgress({ status: "error", message: error.message });
-    // Cleanup on error
+    console.log(`\n✅ Video created successfully: ${mixed.outputPath}`);
+    return { ...mixed, layout: sceneLayout, durationMs };
+  } catch (err) {
+    // A killed FFmpeg reports a signal error, surface it as a cancellation
+    const cancelled = Boolean(signal && signal.aborted);
+    const error = cancelled ? cancelledError() : err;
+    if (cancelled) {
+      console.log("\n⏹️ Video creation cancelled");
+    } else {
+      console.error("\n❌ Error creating video:", error);
+    }
+    onProgress({
+      status: cancelled ? "cancelled" : "error",
+      message: error.message,
+    });
+    // Cleanup on error, including a partially written output
     if (fs.existsSync(tempDir)) {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
+    if (writingOutput) {
+      fs.rmSync(path.resolve(outputName), { force: true });
+    }
     throw error;
   }
 }
 
-// Run the script
-if (require.main === module) {
-  const srtPath = process.argv[2];
-  const imageDir = process.argv[3];
-  const audioPath = process.argv[4];
-  const outputName = process.argv[5] || "output.mp4";
-
-  if (!srtPath || !imageDir || !audioPath) {
-    console.log(
-      "Usage: node script.js <srt_path> <image_dir> <audio_path> [output_name]"
-    );
-    process.exit(1);
-  }
-
-  const srtContent = fs.readFileSync(srtPath, "utf8");
+module.exports = { createStoryVideo, readStoryInputs, srtToScenes };
 
-  createStoryVideo({ srtContent, imageDir, audioPath, outputName }).catch(
-    (error) => {
-      console.error("Fatal error:", error);
-      process.exit(1);
-    }
-  );
+// Older entry point, now the story and validate commands of cli.js:
+// node script.js <subtitles_or_scenes_json> <image_dir> <audio> [output] [flags]
+// node script.js --check <subtitles_or_scenes_json> <image_dir>
+if (require.main === module) {
+  const { run } = require("./cli");
+  const args = process.argv.slice(2);
+  const command = args.includes("--check")
+    ? ["validate", ...args.filter((arg) => arg !== "--check")]
+    : ["story", ...args];
+  run(command).then((code) => {
+    process.exitCode = code;
+  });
 }
-
-module.exports = { createStoryVideo, srtToScenes };
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const RECORD_ID = /^[0-9a-f-]{36}$/;
+
+/**
+ * Write `value` as JSON to `file`. Writes a temporary file and renames it
+ * over `file`, so a crash never leaves a half-written record.
+ */
+function writeJsonAtomic(file, value) {
+  fs.writeFileSync(file + ".tmp", JSON.stringify(value, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+/**
+ * Named records kept on disk with their files. Each record is a folder
+ * <dataDir>/<id>/ with <kind>.json and one subfolder per asset kind.
+ * Uploading to a kind in `singleFileKinds` replaces its old file.
+ *
+ * Subclasses set `kind` ("project", "brand") and may clean settings with
+ * _cleanSettings and react to changed files with _assetsChanged.
+ */
+class RecordStore {
+  constructor({ dataDir, kind, assetKinds, singleFileKinds = assetKinds }) {
+    this.dataDir = dataDir;
+    this.kind = kind;
+    this.label = kind[0].toUpperCase() + kind.slice(1);
+    this.assetKinds = assetKinds;
+    this.singleFileKinds = singleFileKinds;
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Folder of a record. Throws for ids that are not record ids.
+   */
+  dir(id) {
+    if (!RECORD_ID.test(String(id))) {
+      throw new Error(`Invalid ${this.kind} id "${id}"`);
+    }
+    return path.join(this.dataDir, id);
+  }
+
+  /**
+   * Create a record named `name` holding `fields`
+   */
+  create(name, fields = {}) {
+    const record = {
+      id: crypto.randomUUID(),
+      name: this._cleanName(name),
+      ...fields,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    fs.mkdirSync(this.dir(record.id), { recursive: true });
+    this._save(record);
+    return record;
+  }
+
+  /**
+   * A record, or null if there is none with this id
+   */
+  get(id) {
+    if (!RECORD_ID.test(String(id))) return null;
+    const file = path.join(this.dataDir, id, `${this.kind}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * All readable records, in no particular order
+   */
+  list() {
+    return fs
+      .readdirSync(this.dataDir)
+      .map((id) => {
+        try {
+          return this.get(id);
+        } catch (err) {
+          console.error(
+            `[${this.label}s] Skipping unreadable ${this.kind} ${id}:`,
+            err
+          );
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Change a record's name and/or settings
+   */
+  update(id, { name, settings } = {}) {
+    const record = this._require(id);
+    if (name !== undefined) record.name = this._cleanName(name);
+    if (settings !== undefined) {
+      record.settings = this._cleanSettings(settings);
+    }
+    record.updatedAt = Date.now();
+    this._save(record);
+    return record;
+  }
+
+  /**
+   * File names of each asset kind: { audio: [...], images: [...], ... }
+   */
+  assets(id) {
+    const dir = this.dir(id);
+    const assets = {};
+    for (const kind of this.assetKinds) {
+      const kindDir = path.join(dir, kind);
+      assets[kind] = fs.existsSync(kindDir)
+        ? fs.readdirSync(kindDir).sort()
+        : [];
+    }
+    return assets;
+  }
+
+  /**
+   * After an upload, drop the files it replaced: single-file kinds keep only
+   * the newly uploaded `files` ({ kind: [names] })
+   */
+  replaceAssets(id, files) {
+    const dir = this.dir(id);
+    for (const kind of this.singleFileKinds) {
+      if (!files[kind] || files[kind].length === 0) continue;
+      const kindDir = path.join(dir, kind);
+      for (const name of fs.readdirSync(kindDir)) {
+        if (!files[kind].includes(name)) {
+          fs.rmSync(path.join(kindDir, name), { force: true });
+        }
+      }
+    }
+    this._assetsChanged(id);
+  }
+
+  /**
+   * Remove one asset file
+   */
+  removeAsset(id, kind, name) {
+    if (!this.assetKinds.includes(kind)) {
+      throw new Error(`Unknown ${this.kind} asset kind "${kind}"`);
+    }
+    const file = path.join(this.dir(id), kind, path.basename(name));
+    if (!fs.existsSync(file)) return false;
+    fs.rmSync(file);
+    this._assetsChanged(id);
+    return true;
+  }
+
+  /**
+   * Delete a record with its files
+   */
+  remove(id) {
+    if (!this.get(id)) return false;
+    fs.rmSync(this.dir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  _assetsChanged(id) {
+    this.update(id);
+  }
+
+  _cleanSettings(settings) {
+    return settings;
+  }
+
+  _cleanName(name) {
+    const clean = String(name || "").trim();
+    if (!clean) throw new Error(`${this.label} name is required`);
+    return clean.slice(0, 120);
+  }
+
+  _require(id) {
+    const record = this.get(id);
+    if (!record) throw new Error(`${this.label} ${id} not found`);
+    return record;
+  }
+
+  _save(record) {
+    writeJsonAtomic(
+      path.join(this.dir(record.id), `${this.kind}.json`),
+      record
+    );
+  }
+}
+
+module.exports = { RecordStore, writeJsonAtomic };
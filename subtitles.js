@@ -0,0 +1,475 @@
+/**
+ * Subtitle parsing shared by the server and the browser preview.
+ *
+ * Supports SRT, WebVTT, ASS/SSA and a plain-text timing format. Every
+ * parser returns cues as { start_ms, end_ms, text, position? }:
+ * - text keeps <b>, <i> and <u> markup (from tags, ASS overrides or ASS
+ *   style flags); other markup is dropped
+ * - position ("top" | "center" | "bottom") is set when a cue places itself
+ *   explicitly ({\anN} overrides, WebVTT "line:" settings)
+ *
+ * Loaded with require() on the server and as a plain <script> (global
+ * `Subtitles`) in the browser, so it must not use Node APIs.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Subtitles = factory();
+  }
+})(this, function () {
+  const SUBTITLE_FORMATS = ["srt", "vtt", "ass", "text"];
+
+  const FORMAT_EXTENSIONS = {
+    srt: "srt",
+    vtt: "vtt",
+    ass: "ass",
+    ssa: "ass",
+    txt: "text",
+  };
+
+  // Cues without an end in the plain-text format and nothing after them
+  const DEFAULT_LAST_CUE_MS = 3000;
+
+  // ASS numpad alignment -> caption position
+  const AN_POSITIONS = {
+    1: "bottom",
+    2: "bottom",
+    3: "bottom",
+    4: "center",
+    5: "center",
+    6: "center",
+    7: "top",
+    8: "top",
+    9: "top",
+  };
+  // Legacy SSA {\aN} alignment -> {\anN}
+  const LEGACY_ALIGNMENT = {
+    1: 1,
+    2: 2,
+    3: 3,
+    5: 7,
+    6: 8,
+    7: 9,
+    9: 4,
+    10: 5,
+    11: 6,
+  };
+
+  const HTML_ENTITIES = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": '"',
+    "&#39;": "'",
+    "&nbsp;": " ",
+    "&lrm;": "\u200E",
+    "&rlm;": "\u200F",
+  };
+
+  /**
+   * Parse "[H:]MM:SS[.,]fff" (any number of hour digits, 1-3 fraction
+   * digits) to milliseconds. Returns null when it is not a timestamp.
+   */
+  function parseTimestamp(str) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(
+      String(str).trim()
+    );
+    if (!match) return null;
+    const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+    return (
+      parseInt(hours) * 3600000 +
+      parseInt(minutes) * 60000 +
+      parseInt(seconds) * 1000 +
+      parseInt(fraction.padEnd(3, "0"))
+    );
+  }
+
+  /**
+   * Parse "start --> end" at the start of a line. Anything after the end
+   * time (WebVTT cue settings, SRT coordinates) is returned as `rest`.
+   */
+  function parseTimeRange(line) {
+    const match = /^\s*(\S+)\s*-->\s*(\S+)(.*)$/.exec(line);
+    if (!match) return null;
+    const start_ms = parseTimestamp(match[1]);
+    const end_ms = parseTimestamp(match[2]);
+    if (start_ms === null || end_ms === null) return null;
+    return { start_ms, end_ms, rest: match[3].trim() };
+  }
+
+  /**
+   * Convert ASS override blocks ({\b1}, {\an8}, ...) to <b>/<i>/<u> markup
+   * and report the position they set. Other overrides are dropped.
+   */
+  function convertAssOverrides(text) {
+    let position;
+    const converted = text.replace(/\{(\\[^}]*)\}/g, (block, body) => {
+      let markup = "";
+      for (const tag of body.split("\\").slice(1)) {
+        const format = /^([biu])(\d+)$/.exec(tag);
+        const an = /^an([1-9])$/.exec(tag);
+        const legacy = /^a(\d{1,2})$/.exec(tag);
+        if (format) {
+          markup += format[2] === "0" ? `</${format[1]}>` : `<${format[1]}>`;
+        } else if (an) {
+          position = AN_POSITIONS[an[1]];
+        } else if (legacy && LEGACY_ALIGNMENT[legacy[1]]) {
+          position = AN_POSITIONS[LEGACY_ALIGNMENT[legacy[1]]];
+        }
+      }
+      return markup;
+    });
+    return { text: converted, position };
+  }
+
+  /**
+   * Normalise cue text: ASS overrides to markup, drop every tag except
+   * <b>, <i>, <u> (WebVTT classes/voices, <font>, inline timestamps) and
+   * trim each line.
+   */
+  function cleanCueText(text) {
+    const { text: converted, position } = convertAssOverrides(text);
+    const cleaned = converted
+      .replace(/<(\/?)([biu])(?:\.[^>]*)?>/gi, "\u0000$1$2\u0001")
+      .replace(/<[^>]*>/g, "")
+      .replace(
+        /\u0000(\/?)([biu])\u0001/gi,
+        (m, close, tag) => `<${close}${tag.toLowerCase()}>`
+      )
+      .split("\n")
+      .map((line) => line.trim())
+      .join("\n")
+      .trim();
+    return { text: cleaned, position };
+  }
+
+  function decodeEntities(text) {
+    return text.replace(
+      /&(?:amp|lt|gt|quot|#39|nbsp|lrm|rlm);/g,
+      (entity) => HTML_ENTITIES[entity]
+    );
+  }
+
+  function makeCue(start_ms, end_ms, rawText, position) {
+    const cleaned = cleanCueText(rawText);
+    const cue = { start_ms, end_ms, text: cleaned.text };
+    if (cleaned.position || position) {
+      cue.position = cleaned.position || position;
+    }
+    return cue;
+  }
+
+  /**
+   * Shared scanner for SRT and WebVTT: a cue starts at its timing line and
+   * runs until a blank line or the next timing line. A lone line directly
+   * before the timing that passes `isIdentifier` is the cue identifier.
+   * Blocks starting with a line that passes `skipBlock` are ignored; other
+   * text outside any cue is rejected with its 1-based line number.
+   */
+  function scanTimedBlocks(lines, { isIdentifier, skipBlock, onCue }) {
+    const rejected = [];
+    let cue = null;
+    let orphan = null; // untimed text since the last blank line
+    let skipping = false;
+
+    const flushOrphan = () => {
+      if (orphan) rejected.push(orphan);
+      orphan = null;
+    };
+
+    lines.forEach((line, i) => {
+      const range = parseTimeRange(line);
+      if (range) {
+        // A lone identifier line belongs to this cue, not to anything before
+        if (
+          orphan &&
+          !orphan.text.includes("\n") &&
+          isIdentifier(orphan.text)
+        ) {
+          orphan = null;
+        } else if (
+          cue &&
+          cue.lines.length &&
+          /^\d+$/.test(cue.lines[cue.lines.length - 1])
+        ) {
+          cue.lines.pop(); // Index of a cue not separated by a blank line
+        }
+        flushOrphan();
+        cue = { ...range, lines: [] };
+        onCue(cue);
+        return;
+      }
+
+      const text = line.trim();
+      if (!text) {
+        cue = null;
+        skipping = false;
+        flushOrphan();
+        return;
+      }
+      if (cue) {
+        cue.lines.push(text);
+      } else if (orphan) {
+        orphan.text += "\n" + text;
+      } else if (skipping || skipBlock(text)) {
+        skipping = true;
+      } else {
+        orphan = { line: i + 1, text };
+      }
+    });
+    flushOrphan();
+
+    return rejected;
+  }
+
+  /**
+   * SRT, tolerant of missing index lines, missing blank lines between cues,
+   * "." or "," before milliseconds and any number of hour digits
+   */
+  function parseSRT(lines) {
+    const raw = [];
+    const rejected = scanTimedBlocks(lines, {
+      isIdentifier: (text) => /^\d+$/.test(text),
+      skipBlock: () => false,
+      onCue: (cue) => raw.push(cue),
+    });
+    const cues = raw.map((cue) =>
+      makeCue(cue.start_ms, cue.end_ms, cue.lines.join("\n"))
+    );
+    return { cues, rejected };
+  }
+
+  /**
+   * Position from WebVTT cue settings ("line:10%", "line:-1", "line:0")
+   */
+  function vttPosition(settings) {
+    const match = /(?:^|\s)line:(-?\d+(?:\.\d+)?)(%?)/.exec(settings);
+    if (!match) return undefined;
+    const value = parseFloat(match[1]);
+    if (match[2] === "%") {
+      if (value <= 33) return "top";
+      return value < 67 ? "center" : "bottom";
+    }
+    // Line numbers count from the top, negative ones from the bottom
+    return value >= 0 ? "top" : "bottom";
+  }
+
+  function parseVTT(lines) {
+    const raw = [];
+    const body = lines.slice();
+    // Drop the "WEBVTT" header block
+    let headerEnd = 0;
+    while (headerEnd < body.length && body[headerEnd].trim()) {
+      if (parseTimeRange(body[headerEnd])) break;
+      headerEnd++;
+    }
+    body.fill("", 0, headerEnd);
+
+    const rejected = scanTimedBlocks(body, {
+      isIdentifier: () => true,
+      skipBlock: (text) => /^(NOTE|STYLE|REGION)\b/.test(text),
+      onCue: (cue) => raw.push(cue),
+    });
+    const cues = raw.map((cue) => {
+      const parsed = makeCue(
+        cue.start_ms,
+        cue.end_ms,
+        cue.lines.join("\n"),
+        vttPosition(cue.rest)
+      );
+      // Decode after the markup is cleaned so "&lt;b&gt;" stays text
+      parsed.text = decodeEntities(parsed.text);
+      return parsed;
+    });
+    return { cues, rejected };
+  }
+
+  /**
+   * Split a "Format:"-ordered ASS line; the last field (Text) keeps commas
+   */
+  function splitAssFields(value, count) {
+    const parts = value.split(",");
+    const fields = parts.slice(0, count - 1).map((p) => p.trim());
+    fields.push(parts.slice(count - 1).join(","));
+    return fields;
+  }
+
+  // Used when a script has no "Format:" line in [Events]
+  const ASS_EVENT_FORMAT = [
+    "layer",
+    "start",
+    "end",
+    "style",
+    "name",
+    "marginl",
+    "marginr",
+    "marginv",
+    "effect",
+    "text",
+  ];
+
+  function parseASS(lines) {
+    const cues = [];
+    const rejected = [];
+    const styles = {};
+    let section = "";
+    let styleFormat = [];
+    let eventFormat = [];
+
+    lines.forEach((line, i) => {
+      const text = line.trim();
+      const header = /^\[(.+)\]$/.exec(text);
+      if (header) {
+        section = header[1].toLowerCase();
+        return;
+      }
+      const entry = /^([A-Za-z]+):\s*(.*)$/.exec(text);
+      if (!entry) return;
+      const [, kind, value] = entry;
+
+      if (section.includes("styles")) {
+        if (kind === "Format") {
+          styleFormat = value.split(",").map((f) => f.trim().toLowerCase());
+        } else if (kind === "Style") {
+          const fields = value.split(",").map((f) => f.trim());
+          const get = (name) => fields[styleFormat.indexOf(name)];
+          const flag = (name) => get(name) !== undefined && get(name) !== "0";
+          styles[get("name")] = {
+            bold: flag("bold"),
+            italic: flag("italic"),
+            underline: flag("underline"),
+          };
+        }
+      } else if (section === "events") {
+        if (kind === "Format") {
+          eventFormat = value.split(",").map((f) => f.trim().toLowerCase());
+        } else if (kind === "Dialogue") {
+          const format = eventFormat.length ? eventFormat : ASS_EVENT_FORMAT;
+          const fields = splitAssFields(value, format.length);
+          const get = (name) => fields[format.indexOf(name)];
+          const start_ms = parseTimestamp(get("start") || "");
+          const end_ms = parseTimestamp(get("end") || "");
+          if (start_ms === null || end_ms === null) {
+            rejected.push({ line: i + 1, text });
+            return;
+          }
+
+          let body = (get("text") || "")
+            .replace(/\{(?!\\)[^}]*\}/g, "") // {comments}
+            .replace(/\\[Nn]/g, "\n")
+            .replace(/\\h/g, " ");
+          const style = styles[(get("style") || "").replace(/^\*/, "")];
+          if (style) {
+            if (style.underline) body = `<u>${body}</u>`;
+            if (style.italic) body = `<i>${body}</i>`;
+            if (style.bold) body = `<b>${body}</b>`;
+          }
+          cues.push(makeCue(start_ms, end_ms, body));
+        }
+      }
+    });
+
+    // Events are not required to be in order
+    cues.sort((a, b) => a.start_ms - b.start_ms);
+    return { cues, rejected };
+  }
+
+  /**
+   * Plain-text timing, one cue per line:
+   *   00:00:01.5 --> 00:00:04 First line
+   *   [00:04.2] Cue without an end runs until the next one
+   * Lines without a time continue the previous cue's text.
+   */
+  function parseText(lines) {
+    const raw = [];
+    const rejected = [];
+    const cueLine =
+      /^\s*\[?([\d:.,]+)\]?(?:\s*(?:-->|-)\s*\[?([\d:.,]+)\]?)?\s+(.*)$/;
+
+    lines.forEach((line, i) => {
+      const text = line.trim();
+      if (!text) return;
+      const match = cueLine.exec(text);
+      const start_ms = match ? parseTimestamp(match[1]) : null;
+      const end_ms = match && match[2] ? parseTimestamp(match[2]) : null;
+      if (start_ms !== null && (!match[2] || end_ms !== null)) {
+        raw.push({ start_ms, end_ms, lines: [match[3]] });
+      } else if (raw.length) {
+        raw[raw.length - 1].lines.push(text);
+      } else {
+        rejected.push({ line: i + 1, text });
+      }
+    });
+
+    const cues = raw.map((cue, i) => {
+      const next = raw[i + 1];
+      let end_ms = cue.end_ms;
+      if (end_ms === null) {
+        end_ms = next ? next.start_ms : cue.start_ms + DEFAULT_LAST_CUE_MS;
+      }
+      return makeCue(cue.start_ms, end_ms, cue.lines.join("\n"));
+    });
+    return { cues, rejected };
+  }
+
+  const PARSERS = {
+    srt: parseSRT,
+    vtt: parseVTT,
+    ass: parseASS,
+    text: parseText,
+  };
+
+  /**
+   * Format for a file name from its extension, or null if unknown
+   */
+  function formatFromFilename(filename) {
+    const match = /\.([a-z0-9]+)$/i.exec(filename || "");
+    return (match && FORMAT_EXTENSIONS[match[1].toLowerCase()]) || null;
+  }
+
+  /**
+   * Guess the format from the content
+   */
+  function detectSubtitleFormat(content) {
+    const text = content.replace(/^\uFEFF/, "").trimStart();
+    if (/^WEBVTT\b/.test(text)) return "vtt";
+    if (/^\[Script Info\]/im.test(text) || /^Dialogue:/m.test(text)) {
+      return "ass";
+    }
+    // SRT timing lines carry nothing but times (and optional coordinates)
+    if (/^\s*\S+\s*-->\s*\S+\s*(X1:.*)?$/m.test(text)) return "srt";
+    return "text";
+  }
+
+  /**
+   * Parse subtitle content. `format` is one of SUBTITLE_FORMATS; when it is
+   * missing it comes from `filename`'s extension, then from the content.
+   *
+   * Returns { format, cues, rejected } where `rejected` lists the text that
+   * could not be placed on the timeline as { line, text } (1-based lines).
+   */
+  function parseSubtitles(content, { format, filename } = {}) {
+    const data = String(content || "").replace(/^\uFEFF/, "");
+    const resolved =
+      format || formatFromFilename(filename) || detectSubtitleFormat(data);
+    if (!PARSERS[resolved]) {
+      throw new Error(
+        `Unknown subtitle format "${resolved}". Available: ${SUBTITLE_FORMATS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const lines = data.split(/\r\n|\r|\n/);
+    return { format: resolved, ...PARSERS[resolved](lines) };
+  }
+
+  return {
+    SUBTITLE_FORMATS,
+    parseSubtitles,
+    detectSubtitleFormat,
+    formatFromFilename,
+    parseTimestamp,
+  };
+});
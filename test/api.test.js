@@ -0,0 +1,297 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { JobQueue } = require("../jobs");
+const { SessionStore } = require("../uploads");
+const { ProjectStore } = require("../projects");
+const { BrandStore } = require("../brands");
+const { createApiRouter } = require("../api");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-api-"));
+const outputDir = path.join(tempDir, "output");
+fs.mkdirSync(outputDir);
+const sessions = new SessionStore({ uploadsDir: path.join(tempDir, "up") });
+const projects = new ProjectStore({ dataDir: path.join(tempDir, "projects") });
+const brands = new BrandStore({ dataDir: path.join(tempDir, "brands") });
+
+// Renders finish at once with an empty output file
+const jobQueue = new JobQueue({
+  dataDir: path.join(tempDir, "jobs"),
+  runners: {
+    story: async (job) => {
+      const filename = `${job.id}.mp4`;
+      fs.writeFileSync(path.join(outputDir, filename), "");
+      return { filename };
+    },
+  },
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(
+    "/api",
+    createApiRouter({
+      jobQueue,
+      sessions,
+      projects,
+      brands,
+      outputDir,
+      uploadFields: (req, res, next) => next(),
+      jobParams: (type, target, options, owner) => ({
+        ...target,
+        ...options,
+        owner,
+      }),
+      validateStorySession: () => ({ ok: true, issues: [] }),
+    })
+  );
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body && JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+async function finishedJob(sessionId) {
+  const created = await request("POST", "/jobs", { sessionId });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.sessionId, sessionId);
+  while (jobQueue.get(created.body.id).status !== "done") {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return created.body;
+}
+
+test("jobs are only listed for their session", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const job = await finishedJob(mine);
+
+  const listed = await request("GET", `/jobs?sessionId=${mine}`);
+  assert.deepEqual(
+    listed.body.map((j) => j.id),
+    [job.id]
+  );
+  assert.deepEqual((await request("GET", `/jobs?sessionId=${other}`)).body, []);
+  assert.deepEqual((await request("GET", "/jobs")).body, []);
+});
+
+test("other sessions get 404 for a job", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const job = await finishedJob(mine);
+
+  for (const query of ["", `?sessionId=${other}`, "?sessionId=null"]) {
+    for (const route of ["", "/events", "/download"]) {
+      const res = await request("GET", `/jobs/${job.id}${route}${query}`);
+      assert.equal(res.status, 404, `${route}${query}`);
+      assert.deepEqual(res.body, { error: "Job not found" });
+    }
+    assert.equal(
+      (await request("DELETE", `/jobs/${job.id}${query}`)).status,
+      404
+    );
+  }
+  assert.ok(jobQueue.get(job.id));
+  assert.ok(fs.existsSync(path.join(outputDir, `${job.id}.mp4`)));
+});
+
+test("the owning session can read, download and delete its job", async () => {
+  const mine = sessions.create();
+  const job = await finishedJob(mine);
+
+  const view = await request("GET", `/jobs/${job.id}?sessionId=${mine}`);
+  assert.equal(view.status, 200);
+  assert.equal(view.body.status, "done");
+
+  const download = await fetch(
+    `${baseUrl.replace(/\/api$/, "")}${view.body.result.downloadUrl}`
+  );
+  assert.equal(download.status, 200);
+
+  const removed = await request("DELETE", `/jobs/${job.id}?sessionId=${mine}`);
+  assert.equal(removed.status, 204);
+  assert.equal(jobQueue.get(job.id), null);
+  assert.equal(fs.existsSync(path.join(outputDir, `${job.id}.mp4`)), false);
+});
+
+test("job owners must be sessions issued by the server", async () => {
+  const forged = await request("POST", "/jobs", {
+    projectId: "p",
+    sessionId: "00000000-0000-4000-8000-000000000000",
+  });
+  assert.equal(forged.status, 400);
+
+  const missing = await request("POST", "/jobs", { projectId: "p" });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body, { error: "Missing sessionId or files" });
+});
+
+test("a project job checks the project against its session", async () => {
+  const mine = sessions.create();
+  const created = await request("POST", "/jobs", {
+    projectId: "p",
+    sessionId: mine,
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.sessionId, mine);
+  assert.deepEqual(jobQueue.get(created.body.id).params, {
+    projectId: "p",
+    owner: mine,
+  });
+});
+
+test("a project without a session gets a new one to own it", async () => {
+  const created = await request("POST", "/projects", { name: "Mine" });
+  assert.equal(created.status, 201);
+  assert.doesNotThrow(() => sessions.dir(created.body.sessionId));
+  assert.equal(created.body.owner, undefined);
+
+  const forged = await request(
+    "POST",
+    "/projects?sessionId=00000000-0000-4000-8000-000000000000",
+    { name: "Forged" }
+  );
+  assert.equal(forged.status, 400);
+});
+
+test("projects are only listed for their session", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const created = await request("POST", `/projects?sessionId=${mine}`, {
+    name: "Listed",
+  });
+  assert.equal(created.body.sessionId, mine);
+
+  const listed = await request("GET", `/projects?sessionId=${mine}`);
+  assert.deepEqual(
+    listed.body.map((p) => p.id),
+    [created.body.id]
+  );
+  assert.equal(listed.body[0].sessionId, mine);
+  assert.deepEqual(
+    (await request("GET", `/projects?sessionId=${other}`)).body,
+    []
+  );
+  assert.deepEqual((await request("GET", "/projects")).body, []);
+});
+
+test("other sessions get 404 for a project", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const { body: project } = await request(
+    "POST",
+    `/projects?sessionId=${mine}`,
+    { name: "Private" }
+  );
+  const url = `/projects/${project.id}`;
+
+  for (const query of ["", `?sessionId=${other}`, "?sessionId=undefined"]) {
+    for (const [method, route, body] of [
+      ["GET", ""],
+      ["PUT", "", { name: "Taken" }],
+      ["DELETE", ""],
+      ["POST", "/files"],
+      ["DELETE", "/files/audio/a.mp3"],
+      ["GET", "/subtitles"],
+      ["PUT", "/subtitles", { content: "" }],
+      ["GET", "/validate"],
+    ]) {
+      const res = await request(method, `${url}${route}${query}`, body);
+      assert.equal(res.status, 404, `${method} ${route}${query}`);
+      assert.deepEqual(res.body, { error: "Project not found" });
+    }
+  }
+  assert.equal(projects.get(project.id).name, "Private");
+
+  const own = await request("PUT", `${url}?sessionId=${mine}`, {
+    name: "Renamed",
+  });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.name, "Renamed");
+  assert.equal(
+    (await request("GET", `${url}/validate?sessionId=${mine}`)).status,
+    200
+  );
+  assert.equal(
+    (await request("DELETE", `${url}?sessionId=${mine}`)).status,
+    204
+  );
+  assert.equal(projects.get(project.id), null);
+});
+
+test("brands are only listed for their session", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const created = await request("POST", `/brands?sessionId=${mine}`, {
+    name: "Channel",
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.sessionId, mine);
+  assert.equal(created.body.owner, undefined);
+
+  const listed = await request("GET", `/brands?sessionId=${mine}`);
+  assert.deepEqual(
+    listed.body.map((b) => b.id),
+    [created.body.id]
+  );
+  assert.deepEqual(
+    (await request("GET", `/brands?sessionId=${other}`)).body,
+    []
+  );
+  assert.deepEqual((await request("GET", "/brands")).body, []);
+
+  const fresh = await request("POST", "/brands", { name: "Fresh" });
+  assert.equal(fresh.status, 201);
+  assert.doesNotThrow(() => sessions.dir(fresh.body.sessionId));
+});
+
+test("other sessions get 404 for a brand", async () => {
+  const mine = sessions.create();
+  const other = sessions.create();
+  const { body: brand } = await request("POST", `/brands?sessionId=${mine}`, {
+    name: "Private",
+  });
+  const url = `/brands/${brand.id}`;
+
+  for (const query of ["", `?sessionId=${other}`]) {
+    for (const [method, route, body] of [
+      ["GET", ""],
+      ["PUT", "", { name: "Taken" }],
+      ["DELETE", ""],
+      ["POST", "/files"],
+      ["DELETE", "/files/watermark/logo.png"],
+    ]) {
+      const res = await request(method, `${url}${route}${query}`, body);
+      assert.equal(res.status, 404, `${method} ${route}${query}`);
+      assert.deepEqual(res.body, { error: "Brand not found" });
+    }
+  }
+  assert.equal(brands.get(brand.id).name, "Private");
+
+  assert.equal((await request("GET", `${url}?sessionId=${mine}`)).status, 200);
+  assert.equal(
+    (await request("DELETE", `${url}?sessionId=${mine}`)).status,
+    204
+  );
+  assert.equal(brands.get(brand.id), null);
+});
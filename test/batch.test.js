@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Renders need FFmpeg; the batch only needs what createStoryVideo returns
+const rendered = [];
+require.cache[require.resolve("../script")] = {
+  exports: {
+    readStoryInputs: (file) => ({ srtContent: fs.readFileSync(file, "utf8") }),
+    createStoryVideo: async (options) => {
+      rendered.push(options);
+      fs.writeFileSync(options.outputName, "");
+      return {
+        outputPath: options.outputName,
+        loudness: null,
+        // Cards and an outro make the video longer than its scenes
+        layout: [{ start_ms: 0, end_ms: 4000 }],
+        durationMs: 9500,
+      };
+    },
+  },
+};
+const { loadBatch, runBatch } = require("../batch");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-batch-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function episodeFolder(name, files) {
+  const folder = path.join(tempDir, "episodes", name);
+  fs.mkdirSync(folder, { recursive: true });
+  for (const file of files) fs.writeFileSync(path.join(folder, file), "");
+  return folder;
+}
+
+test("folders take subtitles by extension or as subtitles.txt", () => {
+  episodeFolder("ep01", ["story.srt", "notes.txt", "narration.mp3"]);
+  episodeFolder("ep02", ["Subtitles.txt", "README.txt", "narration.wav"]);
+  episodeFolder("ep03", ["scenes.json", "credits.txt", "narration.mp3"]);
+  episodeFolder("ep04", ["notes.txt", "narration.mp3", "music.mp3"]);
+  episodeFolder("ep05", ["a.vtt", "b.ass", "narration.mp3"]);
+
+  const { episodes } = loadBatch(path.join(tempDir, "episodes"));
+  const byName = Object.fromEntries(episodes.map((e) => [e.name, e]));
+
+  assert.equal(path.basename(byName.ep01.subtitles), "story.srt");
+  assert.deepEqual(byName.ep01.problems, {});
+  assert.equal(path.basename(byName.ep02.subtitles), "Subtitles.txt");
+  assert.deepEqual(byName.ep02.problems, {});
+  assert.equal(path.basename(byName.ep03.subtitles), "scenes.json");
+  assert.equal(byName.ep04.subtitles, undefined);
+  assert.equal(byName.ep04.problems.subtitles, "no subtitles or scenes.json");
+  assert.equal(path.basename(byName.ep04.music), "music.mp3");
+  assert.equal(
+    byName.ep05.problems.subtitles,
+    "several subtitles or scenes.json files (a.vtt, b.ass)"
+  );
+});
+
+test("the report has the length of the rendered video", async () => {
+  const folder = episodeFolder("timed", ["story.srt", "narration.mp3"]);
+  const outputDir = path.join(tempDir, "renders");
+  const report = await runBatch({
+    source: folder,
+    episodes: loadBatch(path.dirname(folder)).episodes.filter(
+      (episode) => episode.name === "timed"
+    ),
+    outputDir,
+  });
+  assert.equal(rendered.length, 1);
+  assert.equal(report.episodes[0].status, "done");
+  assert.equal(report.episodes[0].videoSeconds, 9.5);
+  const saved = JSON.parse(
+    fs.readFileSync(path.join(outputDir, "batch-report.json"), "utf8")
+  );
+  assert.equal(saved.episodes[0].videoSeconds, 9.5);
+});
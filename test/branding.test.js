@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const { resolveBranding, applyBranding } = require("../branding");
+const { resolveLoudness } = require("../loudness");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-branding-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const LOUDNORM = `[Parsed_loudnorm_1 @ 0x1]\n${JSON.stringify({
+  input_i: "-20.00",
+  input_tp: "-3.00",
+  input_lra: "5.00",
+  input_thresh: "-30.00",
+  output_i: "-16.00",
+  output_tp: "-1.00",
+  output_lra: "4.00",
+  normalization_type: "linear",
+  target_offset: "0.00",
+})}\n`;
+
+// FFmpeg runs are recorded and finish at once
+function stubFfmpeg(t) {
+  t.mock.method(console, "log", () => {});
+  const runs = [];
+  t.mock.method(ffmpeg, "ffprobe", (file, cb) =>
+    cb(null, {
+      format: { duration: 10 },
+      streams: [
+        {
+          codec_type: "video",
+          width: 640,
+          height: 360,
+          avg_frame_rate: "30/1",
+        },
+        { codec_type: "audio" },
+      ],
+    })
+  );
+  t.mock.method(ffmpeg.prototype, "run", function () {
+    runs.push(this._getArguments().join(" "));
+    setImmediate(() => this.emit("end", "", LOUDNORM));
+  });
+  return runs;
+}
+
+const branding = resolveBranding({ titleCard: { text: "Chapter 1" } });
+
+test("branding without loudness writes the AAC output directly", async (t) => {
+  const runs = stubFfmpeg(t);
+  const result = await applyBranding("main.mkv", "out.mp4", branding, {
+    tempDir,
+  });
+
+  assert.equal(runs.length, 1);
+  assert.match(runs[0], /^-i main\.mkv /);
+  assert.match(runs[0], /-c:a aac -b:a 192k -movflags \+faststart out\.mp4$/);
+  assert.equal(result.loudness, null);
+});
+
+test("branding before loudness keeps the audio lossless", async (t) => {
+  const runs = stubFfmpeg(t);
+  const loudness = resolveLoudness({ preset: "podcast" });
+  const result = await applyBranding("main.mkv", "out.mp4", branding, {
+    tempDir,
+    loudness,
+  });
+
+  const branded = path.join(tempDir, "branded.mkv");
+  assert.equal(runs.length, 3);
+  assert.ok(runs[0].endsWith(`-c:a flac ${branded}`));
+  assert.doesNotMatch(runs[0], /aac/);
+  assert.match(runs[1], new RegExp(`^-i ${branded} .*-f null -$`));
+  assert.match(runs[2], /-c:v copy -c:a aac -b:a 192k .*out\.mp4$/);
+  assert.equal(result.loudness.after.integrated, -16);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { MAX_FILE_HASHES, hashFile, fileHashes } = require("../cache");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-cache-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const sha256 = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+test("hashes follow the file's content", async () => {
+  const file = writeFile("a.png", "first");
+  assert.equal(await hashFile(file), sha256("first"));
+  assert.equal(await hashFile(file), sha256("first"));
+
+  fs.writeFileSync(file, "second version");
+  assert.equal(await hashFile(file), sha256("second version"));
+});
+
+test("remembered hashes are capped, least recently used go first", async () => {
+  fileHashes.clear();
+  const kept = writeFile("kept.png", "kept");
+  await hashFile(kept);
+  for (let i = fileHashes.size; i < MAX_FILE_HASHES; i++) {
+    fileHashes.set(`/old/${i}:1:1`, "x");
+  }
+  assert.equal(fileHashes.size, MAX_FILE_HASHES);
+
+  // Using kept.png again makes /old/1 the least recently used
+  await hashFile(kept);
+  await hashFile(writeFile("new.png", "new"));
+  assert.equal(fileHashes.size, MAX_FILE_HASHES);
+  assert.equal(fileHashes.has("/old/1:1:1"), false);
+  assert.equal(fileHashes.has("/old/2:1:1"), true);
+  assert.equal(await hashFile(kept), sha256("kept"));
+  assert.equal(fileHashes.size, MAX_FILE_HASHES);
+  fileHashes.clear();
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveCaptionStyle, wrapCaptionText } = require("../captions");
+
+test("maxLineWidth defaults and accepts widths from 1 to 200", () => {
+  assert.equal(resolveCaptionStyle().maxLineWidth, 28);
+  assert.equal(resolveCaptionStyle({ maxLineWidth: "1" }).maxLineWidth, 1);
+  assert.equal(resolveCaptionStyle({ maxLineWidth: 200 }).maxLineWidth, 200);
+});
+
+test("a negative, zero or oversized maxLineWidth is rejected", () => {
+  for (const maxLineWidth of [-5, 0, "0", 201, "wide"]) {
+    assert.throws(
+      () => resolveCaptionStyle({ maxLineWidth }),
+      /Invalid caption maxLineWidth/
+    );
+  }
+});
+
+test("wrapCaptionText breaks long words on grapheme boundaries", () => {
+  assert.deepEqual(wrapCaptionText("नमस्ते दुनिया", 4), ["नमस्ते", "दुनिया"]);
+  assert.deepEqual(wrapCaptionText("abcdefg hi", 3), ["abc", "def", "g", "hi"]);
+});
+
+test("wrapCaptionText takes one grapheme per line for a negative width", () => {
+  assert.deepEqual(wrapCaptionText("नमस्ते", -5), ["न", "म", "स्ते"]);
+});
+
+test("wrapCaptionText takes one grapheme per line for a zero width", () => {
+  assert.deepEqual(wrapCaptionText("ab c", 0), ["a", "b", "c"]);
+});
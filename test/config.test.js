@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadConfig,
+  parseYaml,
+  mergeOptions,
+  resolveOptionPaths,
+} = require("../config");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-config-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeConfig(name, text) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("the README config example", () => {
+  const config = parseYaml(`
+story:
+  output:
+    preset: youtube
+    fps: 30
+  transition: dissolve
+  captions:
+    color: "#FFCC00" # quote colours, # starts a comment
+    box: true
+  musicPath: music/calm.mp3
+  loudness:
+    preset: streaming
+mix:
+  bgVolume: 0.2
+  playlist:
+    visualDuration: 8
+`);
+  assert.deepEqual(config, {
+    story: {
+      output: { preset: "youtube", fps: 30 },
+      transition: "dissolve",
+      captions: { color: "#FFCC00", box: true },
+      musicPath: "music/calm.mp3",
+      loudness: { preset: "streaming" },
+    },
+    mix: { bgVolume: 0.2, playlist: { visualDuration: 8 } },
+  });
+});
+
+test("the README batch manifest example", () => {
+  const manifest = parseYaml(`
+outputDir: renders
+options: # story options for every episode
+  output:
+    preset: youtube
+episodes:
+  - episodes/ep01
+  - name: ep02
+    subtitles: ep02/cues.vtt
+    output: ep02-final.mp4 # in outputDir (default: <name>.mp4)
+    options:
+      transition: dissolve
+`);
+  assert.deepEqual(manifest.episodes, [
+    "episodes/ep01",
+    {
+      name: "ep02",
+      subtitles: "ep02/cues.vtt",
+      output: "ep02-final.mp4",
+      options: { transition: "dissolve" },
+    },
+  ]);
+});
+
+test("flow maps and sequences", () => {
+  assert.deepEqual(
+    parseYaml(`captions: {font: x, fontSize: 48}\nlist: [a, "b, c", 3]`),
+    { captions: { font: "x", fontSize: 48 }, list: ["a", "b, c", 3] }
+  );
+  assert.deepEqual(parseYaml("list: []\nmap: {}"), { list: [], map: {} });
+});
+
+test("scalars", () => {
+  assert.deepEqual(
+    parseYaml(
+      [
+        "int: 30",
+        "float: -0.5",
+        "yes: true",
+        "no: false",
+        "nothing: null",
+        "tilde: ~",
+        "word: yes",
+        "version: 1.2.3",
+        "single: 'it''s'",
+        'double: "tab\\tend"',
+        "hash: a#b",
+      ].join("\n")
+    ),
+    {
+      int: 30,
+      float: -0.5,
+      yes: true,
+      no: false,
+      nothing: null,
+      tilde: null,
+      word: "yes",
+      version: "1.2.3",
+      single: "it's",
+      double: "tab\tend",
+      hash: "a#b",
+    }
+  );
+});
+
+test("multi-line scalars and anchors", () => {
+  assert.deepEqual(
+    parseYaml(`
+folded: >
+  one
+  two
+literal: |
+  line 1
+  line 2
+plain: first
+  second
+base: &base
+  fps: 30
+copy: *base
+`),
+    {
+      folded: "one two\n",
+      literal: "line 1\nline 2\n",
+      plain: "first second",
+      base: { fps: 30 },
+      copy: { fps: 30 },
+    }
+  );
+});
+
+test("empty documents are empty objects", () => {
+  assert.deepEqual(parseYaml(""), {});
+  assert.deepEqual(parseYaml("# only a comment\n---\n"), {});
+});
+
+test("invalid YAML throws", () => {
+  assert.throws(() => parseYaml("a: 1\na: 2"), /unique/i);
+  assert.throws(() => parseYaml("a: 1\n  b: 2"));
+  assert.throws(() => parseYaml("captions: {font: x"));
+  assert.throws(() => parseYaml("list: [a, b"));
+  assert.throws(() => parseYaml("copy: *missing"));
+});
+
+test("loadConfig reads JSON and YAML files", () => {
+  const json = writeConfig("options.json", '﻿{"transition": "fade"}');
+  assert.deepEqual(loadConfig(json), { transition: "fade" });
+
+  const yaml = writeConfig("options.YML", "﻿transition: fade\r\nfps: 24\r\n");
+  assert.deepEqual(loadConfig(yaml), { transition: "fade", fps: 24 });
+
+  assert.deepEqual(loadConfig(writeConfig("empty.yaml", "")), {});
+});
+
+test("loadConfig rejects other files and contents", () => {
+  assert.throws(
+    () => loadConfig(writeConfig("options.toml", "a = 1")),
+    /Config must be \.json, \.yaml or \.yml/
+  );
+  assert.throws(() => loadConfig(writeConfig("broken.json", "{")));
+  assert.throws(() => loadConfig(writeConfig("broken.yaml", "a: [1")));
+  assert.throws(
+    () => loadConfig(writeConfig("list.yaml", "- a\n- b\n")),
+    /must hold an object of options/
+  );
+  assert.throws(
+    () => loadConfig(writeConfig("scalar.json", "3")),
+    /must hold an object of options/
+  );
+});
+
+test("mergeOptions merges nested objects, overrides win", () => {
+  const base = { output: { preset: "youtube", fps: 30 }, inputPaths: ["a"] };
+  const merged = mergeOptions(base, {
+    output: { fps: 24 },
+    inputPaths: ["b"],
+    music: null,
+  });
+  assert.deepEqual(merged, {
+    output: { preset: "youtube", fps: 24 },
+    inputPaths: ["b"],
+    music: null,
+  });
+  assert.deepEqual(base.output, { preset: "youtube", fps: 30 });
+});
+
+test("resolveOptionPaths resolves file options against a folder", () => {
+  const options = {
+    musicPath: "music/calm.mp3",
+    inputPaths: ["a.mp4", "/abs/b.mp4"],
+    branding: { watermark: { image: "logo.png" }, titleCard: { text: "Hi" } },
+    transition: "fade",
+  };
+  const resolved = resolveOptionPaths(options, "/base");
+  assert.deepEqual(resolved, {
+    musicPath: path.resolve("/base/music/calm.mp3"),
+    inputPaths: [path.resolve("/base/a.mp4"), path.resolve("/abs/b.mp4")],
+    branding: {
+      watermark: { image: path.resolve("/base/logo.png") },
+      titleCard: { text: "Hi" },
+    },
+    transition: "fade",
+  });
+  assert.equal(options.musicPath, "music/calm.mp3");
+});
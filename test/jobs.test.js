@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { JobQueue } = require("../jobs");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-jobs-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let queues = 0;
+function createQueue(runners, maxConcurrent = 1) {
+  const dataDir = path.join(tempDir, String(queues++));
+  return new JobQueue({ dataDir, maxConcurrent, runners });
+}
+
+const readRecord = (queue, id) =>
+  JSON.parse(fs.readFileSync(path.join(queue.dataDir, `${id}.json`), "utf8"));
+
+test("jobs run in order and finish done", async () => {
+  const order = [];
+  const queue = createQueue({
+    story: async (job, onProgress) => {
+      order.push(job.params.n);
+      onProgress({ progress: 50, message: "Halfway" });
+      return { filename: `${job.params.n}.mp4` };
+    },
+  });
+  const first = queue.add("story", { n: 1 }, "owner");
+  const second = queue.add("story", { n: 2 });
+  assert.equal(queue.positionOf(second.id), 1);
+
+  while (queue.get(second.id).status !== "done") await once(queue, "done");
+  assert.deepEqual(order, [1, 2]);
+  assert.equal(first.owner, "owner");
+  assert.equal(second.owner, null);
+  assert.deepEqual(readRecord(queue, first.id).result, {
+    filename: "1.mp4",
+  });
+  assert.equal(readRecord(queue, first.id).status, "done");
+});
+
+test("failed runners mark the job failed", async () => {
+  const queue = createQueue({
+    story: async () => {
+      throw new Error("No audio");
+    },
+  });
+  const { error } = console;
+  console.error = () => {};
+  try {
+    const job = queue.add("story", {});
+    await once(queue, "failed");
+    assert.equal(job.status, "failed");
+    assert.equal(job.error, "No audio");
+  } finally {
+    console.error = error;
+  }
+});
+
+test("queued jobs are cancelled without running", async () => {
+  let runs = 0;
+  const queue = createQueue({
+    story: (job, onProgress, signal) =>
+      new Promise((resolve, reject) => {
+        runs++;
+        signal.addEventListener("abort", () => reject(new Error("aborted")));
+      }),
+  });
+  const running = queue.add("story", {});
+  const queued = queue.add("story", {});
+  assert.equal(queue.cancel(queued.id), true);
+  assert.equal(queued.status, "cancelled");
+  assert.equal(queue.cancel(queued.id), false);
+
+  queue.cancel(running.id);
+  await once(queue, "cancelled");
+  assert.equal(running.status, "cancelled");
+  assert.equal(runs, 1);
+});
+
+test("a runner that resolves after a cancel leaves the job cancelled", async () => {
+  let finish;
+  const queue = createQueue({
+    // Ignores the signal and resolves once told to
+    story: () => new Promise((resolve) => (finish = resolve)),
+  });
+  const done = [];
+  queue.on("done", (job) => done.push(job.id));
+
+  const job = queue.add("story", {});
+  assert.equal(job.status, "running");
+  assert.equal(queue.cancel(job.id), true);
+  assert.equal(job.message, "Cancelling...");
+
+  const cancelled = once(queue, "cancelled");
+  finish({ filename: "late.mp4" });
+  await cancelled;
+
+  assert.equal(job.status, "cancelled");
+  assert.equal(readRecord(queue, job.id).status, "cancelled");
+  assert.deepEqual(done, []);
+  assert.equal(queue.running.size, 0);
+});
+
+test("removing a running job deletes it once it stops", async () => {
+  let finish;
+  const queue = createQueue({
+    story: () => new Promise((resolve) => (finish = resolve)),
+  });
+  const job = queue.add("story", {});
+  assert.equal(queue.remove(job.id), true);
+  assert.ok(queue.get(job.id));
+
+  const cancelled = once(queue, "cancelled");
+  finish({});
+  await cancelled;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(queue.get(job.id), null);
+  assert.equal(
+    fs.existsSync(path.join(queue.dataDir, `${job.id}.json`)),
+    false
+  );
+});
+
+test("jobs queued or running at a restart are queued again", () => {
+  const queue = createQueue({ story: () => new Promise(() => {}) }, 0);
+  const dataDir = queue.dataDir;
+  const record = (id, status, createdAt) =>
+    fs.writeFileSync(
+      path.join(dataDir, `${id}.json`),
+      JSON.stringify({ id, type: "story", params: {}, status, createdAt })
+    );
+  record("a", "done", 1);
+  record("b", "running", 2);
+  record("c", "queued", 3);
+
+  const { log } = console;
+  console.log = () => {};
+  try {
+    const reloaded = new JobQueue({
+      dataDir,
+      maxConcurrent: 1,
+      runners: { story: () => new Promise(() => {}) },
+    });
+    reloaded.load();
+    assert.equal(reloaded.get("a").status, "done");
+    assert.equal(reloaded.get("b").status, "running");
+    assert.equal(reloaded.get("c").status, "queued");
+    assert.equal(reloaded.positionOf("c"), 1);
+  } finally {
+    console.log = log;
+  }
+});
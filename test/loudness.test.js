@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ffmpeg = require("fluent-ffmpeg");
+const {
+  resolveLoudness,
+  parseLoudnormStats,
+  applyLoudness,
+  normalizeLoudness,
+} = require("../loudness");
+
+const STATS = {
+  input_i: "-20.10",
+  input_tp: "-3.00",
+  input_lra: "5.00",
+  input_thresh: "-30.50",
+  output_i: "-14.02",
+  output_tp: "-1.00",
+  output_lra: "4.00",
+  normalization_type: "linear",
+  target_offset: "0.10",
+};
+const loudnormOutput = (stats) =>
+  `[Parsed_loudnorm_1 @ 0x1]\n${JSON.stringify(stats, null, 2)}\n`;
+
+test("loudnorm stats are read from FFmpeg's output", () => {
+  const stats = parseLoudnormStats(`noise\n${loudnormOutput(STATS)}size=0`);
+  assert.equal(stats.input_i, -20.1);
+  assert.equal(stats.normalization_type, "linear");
+  assert.equal(parseLoudnormStats("no stats"), null);
+});
+
+test("silent audio is left unchanged", () => {
+  const graph = { filters: ["[0:a]anull[main]"], outputLabel: "[main]" };
+  const target = resolveLoudness({ preset: "streaming" });
+  const measured = parseLoudnormStats(
+    loudnormOutput({ ...STATS, input_i: "-inf" })
+  );
+  assert.equal(applyLoudness(graph, target, measured), graph);
+});
+
+test("normalizeLoudness measures the file, then copies its video", async (t) => {
+  const runs = [];
+  t.mock.method(ffmpeg.prototype, "run", function () {
+    runs.push(this._getArguments());
+    setImmediate(() => this.emit("end", "", loudnormOutput(STATS)));
+  });
+
+  const target = resolveLoudness({ preset: "podcast" });
+  const report = await normalizeLoudness("branded.mp4", "out.mp4", target);
+
+  assert.equal(runs.length, 2);
+  const [measure, correct] = runs.map((args) => args.join(" "));
+  assert.match(measure, /-i branded\.mp4 .*loudnorm=I=-16:TP=-1:LRA=11/);
+  assert.match(measure, /-map \[measured\] -f null -$/);
+  assert.match(correct, /measured_I=-20\.1:measured_TP=-3:/);
+  assert.match(correct, /-map 0:v -map \[loud\] -c:v copy -c:a aac/);
+  assert.ok(correct.endsWith("out.mp4"));
+
+  assert.deepEqual(report.before, { integrated: -20.1, truePeak: -3, lra: 5 });
+  assert.deepEqual(report.after, {
+    integrated: -14.02,
+    truePeak: -1,
+    lra: 4,
+    normalization: "linear",
+  });
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_MOTION_PIXELS, motionSupersample } = require("../motion");
+const { OUTPUT_PRESETS, resolveOutputSettings } = require("../presets");
+
+const workPixels = (width, height) =>
+  width * height * motionSupersample(width, height) ** 2;
+
+test("the largest preset keeps the full supersample factor", () => {
+  const largest = Object.values(OUTPUT_PRESETS).reduce((a, b) =>
+    a.width * a.height >= b.width * b.height ? a : b
+  );
+  assert.equal(motionSupersample(largest.width, largest.height), 4);
+  assert.ok(workPixels(largest.width, largest.height) <= MAX_MOTION_PIXELS);
+});
+
+test("every preset fits the pixel budget", () => {
+  for (const [name, { width, height }] of Object.entries(OUTPUT_PRESETS)) {
+    assert.ok(workPixels(width, height) <= MAX_MOTION_PIXELS, name);
+  }
+});
+
+test("large custom sizes get a smaller factor", () => {
+  assert.equal(motionSupersample(2560, 1440), 3);
+  assert.equal(motionSupersample(3840, 2160), 2);
+  assert.equal(motionSupersample(4096, 4096), 1);
+
+  const largest = resolveOutputSettings({ width: 4096, height: 4096 });
+  assert.equal(motionSupersample(largest.width, largest.height), 1);
+  assert.ok(workPixels(largest.width, largest.height) <= MAX_MOTION_PIXELS);
+});
+
+test("small sizes never exceed the factor", () => {
+  assert.equal(motionSupersample(360, 640), 4);
+  assert.equal(motionSupersample(2, 2), 4);
+});
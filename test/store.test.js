@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeJsonAtomic } = require("../store");
+const { ProjectStore } = require("../projects");
+const { BrandStore } = require("../brands");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-store-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function addFile(store, id, kind, name) {
+  const dir = path.join(store.dir(id), kind);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), name);
+}
+
+test("writeJsonAtomic leaves no temporary file", () => {
+  const file = path.join(tempDir, "record.json");
+  writeJsonAtomic(file, { a: 1 });
+  writeJsonAtomic(file, { a: 2 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { a: 2 });
+  assert.equal(fs.existsSync(file + ".tmp"), false);
+});
+
+test("projects are created, listed, updated and removed", async () => {
+  const projects = new ProjectStore({ dataDir: path.join(tempDir, "p") });
+  const first = projects.create("  First  ", "session-a");
+  assert.equal(first.name, "First");
+  assert.equal(first.owner, "session-a");
+  assert.deepEqual(first.settings, {});
+  assert.deepEqual(first.renders, []);
+  assert.ok(fs.existsSync(path.join(projects.dir(first.id), "project.json")));
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const second = projects.create("Second");
+  assert.deepEqual(
+    projects.list().map((p) => p.name),
+    ["Second", "First"]
+  );
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  projects.update(first.id, { settings: { transition: "fade" } });
+  assert.deepEqual(
+    projects.list().map((p) => p.name),
+    ["First", "Second"]
+  );
+  assert.deepEqual(projects.get(first.id).settings, { transition: "fade" });
+
+  projects.addRender(first.id, { filename: "a.mp4", settings: { x: 1 } });
+  assert.equal(projects.get(first.id).renders[0].filename, "a.mp4");
+  assert.deepEqual(projects.get(first.id).settings, { x: 1 });
+
+  assert.throws(() => projects.create(" "), /Project name is required/);
+  assert.throws(() => projects.dir("../x"), /Invalid project id/);
+  assert.equal(projects.get("../x"), null);
+  assert.throws(
+    () => projects.update("00000000-0000-4000-8000-000000000000"),
+    /Project 00000000-0000-4000-8000-000000000000 not found/
+  );
+
+  assert.equal(projects.remove(second.id), true);
+  assert.equal(projects.remove(second.id), false);
+  assert.equal(projects.get(second.id), null);
+});
+
+test("unreadable records are skipped when listing", () => {
+  const projects = new ProjectStore({ dataDir: path.join(tempDir, "bad") });
+  const project = projects.create("Good");
+  const broken = path.join(
+    projects.dataDir,
+    "11111111-1111-4111-8111-111111111111"
+  );
+  fs.mkdirSync(broken);
+  fs.writeFileSync(path.join(broken, "project.json"), "{");
+  fs.writeFileSync(path.join(projects.dataDir, "notes.txt"), "");
+  const { error } = console;
+  console.error = () => {};
+  try {
+    assert.deepEqual(
+      projects.list().map((p) => p.id),
+      [project.id]
+    );
+  } finally {
+    console.error = error;
+  }
+});
+
+test("project uploads replace single files and keep images", () => {
+  const projects = new ProjectStore({ dataDir: path.join(tempDir, "a") });
+  const { id } = projects.create("Assets");
+  addFile(projects, id, "audio", "old.mp3");
+  addFile(projects, id, "images", "1.png");
+  addFile(projects, id, "scenes", "scenes.json");
+  fs.writeFileSync(path.join(projects.dir(id), "layout.json"), "{}");
+
+  addFile(projects, id, "audio", "new.mp3");
+  addFile(projects, id, "images", "2.png");
+  addFile(projects, id, "srt", "story.srt");
+  projects.replaceAssets(id, {
+    audio: ["new.mp3"],
+    images: ["2.png"],
+    srt: ["story.srt"],
+  });
+
+  const assets = projects.assets(id);
+  assert.deepEqual(assets.audio, ["new.mp3"]);
+  assert.deepEqual(assets.images, ["1.png", "2.png"]);
+  assert.deepEqual(assets.srt, ["story.srt"]);
+  assert.deepEqual(assets.scenes, []);
+  assert.equal(
+    fs.existsSync(path.join(projects.dir(id), "layout.json")),
+    false
+  );
+
+  assert.equal(projects.removeAsset(id, "images", "../../1.png"), true);
+  assert.equal(projects.removeAsset(id, "images", "1.png"), false);
+  assert.deepEqual(projects.assets(id).images, ["2.png"]);
+  assert.throws(
+    () => projects.removeAsset(id, "layout", "x"),
+    /Unknown project asset kind "layout"/
+  );
+});
+
+test("brands keep clean settings and one file per kind", () => {
+  const brands = new BrandStore({ dataDir: path.join(tempDir, "b") });
+  const zeta = brands.create(
+    "Zeta",
+    { watermark: { opacity: 0.5 }, x: 1 },
+    "session-z"
+  );
+  assert.equal(zeta.owner, "session-z");
+  brands.create("alpha");
+  assert.deepEqual(
+    brands.list().map((b) => b.name),
+    ["alpha", "Zeta"]
+  );
+  assert.deepEqual(zeta.settings, { watermark: { opacity: 0.5 } });
+  assert.ok(fs.existsSync(path.join(brands.dir(zeta.id), "brand.json")));
+
+  assert.deepEqual(brands.update(zeta.id, { settings: { y: 2 } }).settings, {});
+  assert.throws(() => brands.update(zeta.id, { name: "" }), /Brand name/);
+  assert.throws(() => brands.dir("x"), /Invalid brand id/);
+
+  addFile(brands, zeta.id, "watermark", "old.png");
+  addFile(brands, zeta.id, "watermark", "new.png");
+  brands.replaceAssets(zeta.id, { watermark: ["new.png"] });
+  assert.deepEqual(brands.assets(zeta.id).watermark, ["new.png"]);
+  assert.deepEqual(
+    brands.brandingOptions(zeta.id).watermark.image,
+    path.join(brands.dir(zeta.id), "watermark", "new.png")
+  );
+  assert.throws(
+    () => brands.removeAsset(zeta.id, "images", "x"),
+    /Unknown brand asset kind "images"/
+  );
+});
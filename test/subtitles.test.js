@@ -0,0 +1,232 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseSubtitles,
+  detectSubtitleFormat,
+  parseTimestamp,
+} = require("../subtitles");
+
+const times = (cues) => cues.map((cue) => [cue.start_ms, cue.end_ms]);
+const texts = (cues) => cues.map((cue) => cue.text);
+
+test("timestamps take any number of hour digits and 1-3 fraction digits", () => {
+  assert.equal(parseTimestamp("00:00:01,500"), 1500);
+  assert.equal(parseTimestamp("01:02.5"), 62500);
+  assert.equal(parseTimestamp("123:00:00.000"), 123 * 3600000);
+  assert.equal(parseTimestamp("1:00:00"), 3600000);
+  assert.equal(parseTimestamp("00:00:xx"), null);
+  assert.equal(parseTimestamp(""), null);
+});
+
+test("SRT with CRLF line endings and a BOM", () => {
+  const content =
+    "﻿1\r\n00:00:00,000 --> 00:00:01,000\r\nपहला\r\n\r\n" +
+    "2\r\n00:00:01,000 --> 00:00:02,500\r\nSecond\r\nline\r\n";
+  const { format, cues, rejected } = parseSubtitles(content);
+  assert.equal(format, "srt");
+  assert.deepEqual(times(cues), [
+    [0, 1000],
+    [1000, 2500],
+  ]);
+  assert.deepEqual(texts(cues), ["पहला", "Second\nline"]);
+  assert.deepEqual(rejected, []);
+});
+
+test("SRT without cue indexes or blank lines between cues", () => {
+  const content = [
+    "00:00:00,000 --> 00:00:01,000",
+    "One",
+    "00:00:01.000 --> 00:00:02.000",
+    "Two",
+    "3",
+    "00:00:02,000 --> 00:00:03,000",
+    "Three",
+  ].join("\n");
+  const { cues, rejected } = parseSubtitles(content, { format: "srt" });
+  assert.deepEqual(texts(cues), ["One", "Two", "Three"]);
+  assert.deepEqual(rejected, []);
+});
+
+test("SRT with multi-digit hours", () => {
+  const { cues } = parseSubtitles(
+    "1\n100:00:00,000 --> 100:00:01,250\nLate\n",
+    { format: "srt" }
+  );
+  assert.deepEqual(times(cues), [[360000000, 360001250]]);
+});
+
+test("SRT reports untimed blocks and skips blank ones", () => {
+  const content = [
+    "",
+    "",
+    "Orphan text",
+    "",
+    "1",
+    "00:00:00,000 --> 00:00:01,000",
+    "Kept",
+    "",
+    "",
+    "",
+    "2",
+    "00:00:xx,000 --> 00:00:02,000",
+    "Bad timing",
+  ].join("\n");
+  const { cues, rejected } = parseSubtitles(content, { format: "srt" });
+  assert.deepEqual(texts(cues), ["Kept"]);
+  assert.deepEqual(rejected, [
+    { line: 3, text: "Orphan text" },
+    { line: 11, text: "2\n00:00:xx,000 --> 00:00:02,000\nBad timing" },
+  ]);
+});
+
+test("SRT keeps overlapping cues as given", () => {
+  const content = [
+    "1",
+    "00:00:00,000 --> 00:00:03,000",
+    "A",
+    "",
+    "2",
+    "00:00:02,000 --> 00:00:04,000",
+    "B",
+  ].join("\n");
+  const { cues } = parseSubtitles(content, { format: "srt" });
+  assert.deepEqual(times(cues), [
+    [0, 3000],
+    [2000, 4000],
+  ]);
+});
+
+test("WebVTT with a BOM, CRLF, identifiers, NOTE blocks and settings", () => {
+  const content =
+    "﻿WEBVTT - title\r\n\r\nNOTE a comment\r\nspanning lines\r\n\r\n" +
+    "intro\r\n00:01.000 --> 00:02.000 line:0\r\n<v Narrator>Hello &amp; bye\r\n\r\n" +
+    "00:02.000 --> 00:04.000\r\n<c.yellow>Plain</c> <b>bold</b>\r\n";
+  const { format, cues, rejected } = parseSubtitles(content);
+  assert.equal(format, "vtt");
+  assert.deepEqual(times(cues), [
+    [1000, 2000],
+    [2000, 4000],
+  ]);
+  assert.equal(cues[0].text, "Hello & bye");
+  assert.equal(cues[0].position, "top");
+  assert.equal(cues[1].text, "Plain <b>bold</b>");
+  assert.deepEqual(rejected, []);
+});
+
+test("WebVTT with multi-digit hours, untimed text and overlaps", () => {
+  const content = [
+    "WEBVTT",
+    "",
+    "Stray text",
+    "",
+    "10:00:00.000 --> 10:00:05.000",
+    "A",
+    "",
+    "10:00:04.000 --> 10:00:06.000",
+    "B",
+  ].join("\n");
+  const { cues, rejected } = parseSubtitles(content);
+  assert.deepEqual(times(cues), [
+    [36000000, 36005000],
+    [36004000, 36006000],
+  ]);
+  assert.deepEqual(rejected, [{ line: 3, text: "Stray text" }]);
+});
+
+test("ASS with CRLF, styles, overrides and bad timings", () => {
+  const content = [
+    "﻿[Script Info]",
+    "ScriptType: v4.00+",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Bold, Italic, Underline",
+    "Style: Default,Arial,0,0,0",
+    "Style: Loud,Arial,-1,0,0",
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    "Dialogue: 0,0:00:02.00,0:00:04.00,Loud,,0,0,0,,Second, with comma",
+    "Dialogue: 0,0:00:00.00,0:00:03.00,Default,,0,0,0,,{\\an8}First\\Nline {note}",
+    "Dialogue: 0,bad,0:00:05.00,Default,,0,0,0,,Broken",
+    "Comment: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,Ignored",
+  ].join("\r\n");
+  const { format, cues, rejected } = parseSubtitles(content);
+  assert.equal(format, "ass");
+  // Sorted by start, overlaps kept
+  assert.deepEqual(times(cues), [
+    [0, 3000],
+    [2000, 4000],
+  ]);
+  assert.equal(cues[0].text, "First\nline");
+  assert.equal(cues[0].position, "top");
+  assert.equal(cues[1].text, "<b>Second, with comma</b>");
+  assert.deepEqual(rejected, [
+    {
+      line: 13,
+      text: "Dialogue: 0,bad,0:00:05.00,Default,,0,0,0,,Broken",
+    },
+  ]);
+});
+
+test("ASS with multi-digit hours and no Format line", () => {
+  const content = [
+    "[Events]",
+    "Dialogue: 0,12:00:00.50,12:00:01.00,Default,,0,0,0,,Late",
+  ].join("\n");
+  const { cues } = parseSubtitles(content);
+  assert.deepEqual(times(cues), [[43200500, 43201000]]);
+});
+
+test("plain text with CRLF, a BOM, open ends and continuation lines", () => {
+  const content =
+    "﻿00:00:00 --> 00:00:02 First\r\n" +
+    "\r\n" +
+    "[00:02.5] Second\r\n" +
+    "continues here\r\n" +
+    "[100:00:00] Last\r\n";
+  const { format, cues, rejected } = parseSubtitles(content, {
+    filename: "story.txt",
+  });
+  assert.equal(format, "text");
+  assert.deepEqual(times(cues), [
+    [0, 2000],
+    [2500, 360000000],
+    [360000000, 360003000],
+  ]);
+  assert.equal(cues[1].text, "Second\ncontinues here");
+  assert.deepEqual(rejected, []);
+});
+
+test("plain text rejects untimed lines before the first cue", () => {
+  const content =
+    "Title of the story\n\n00:01 --> 00:03 A\n00:02 --> 00:04 B\n";
+  const { cues, rejected } = parseSubtitles(content, { format: "text" });
+  assert.deepEqual(rejected, [{ line: 1, text: "Title of the story" }]);
+  // Overlapping cues are kept as given
+  assert.deepEqual(times(cues), [
+    [1000, 3000],
+    [2000, 4000],
+  ]);
+});
+
+test("empty or blank content gives no cues", () => {
+  for (const content of ["", "﻿", "\r\n\r\n", "   \n\t\n"]) {
+    const { cues, rejected } = parseSubtitles(content);
+    assert.deepEqual(cues, []);
+    assert.deepEqual(rejected, []);
+  }
+});
+
+test("format detection and unknown formats", () => {
+  assert.equal(detectSubtitleFormat("﻿WEBVTT\n"), "vtt");
+  assert.equal(detectSubtitleFormat("[Script Info]\n"), "ass");
+  assert.equal(
+    detectSubtitleFormat("1\n00:00:01,000 --> 00:00:02,000\n"),
+    "srt"
+  );
+  assert.equal(detectSubtitleFormat("00:01 Hello"), "text");
+  assert.throws(
+    () => parseSubtitles("x", { format: "sbv" }),
+    /Unknown subtitle format "sbv"/
+  );
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveTiming, applyTiming, selectRange } = require("../timing");
+
+const cue = (start_ms, end_ms, text) => ({ start_ms, end_ms, text });
+
+// Cues with 2s gaps between them
+const gapped = [cue(0, 1000, "a"), cue(3000, 4000, "b"), cue(6000, 7000, "c")];
+
+test("a range in cues timing takes the narration of its scenes", () => {
+  const scenes = applyTiming(gapped, 0, resolveTiming({ mode: "cues" }));
+  // The video is 3s long: a at 0-1s, b at 1-2s, c at 2-3s
+  const selected = selectRange(scenes, 1000, 2000);
+
+  assert.deepEqual(
+    selected.scenes.map((s) => s.text),
+    ["b"]
+  );
+  assert.equal(selected.startMs, 3000);
+  assert.equal(selected.endMs, 4000);
+  assert.equal(selected.scenes[0].start_ms, 0);
+  assert.equal(selected.scenes[0].end_ms, 1000);
+  assert.equal(selected.scenes[0].cue_start_ms, 0);
+  assert.equal(selected.scenes[0].cue_end_ms, 1000);
+});
+
+test("a range spanning a gap keeps captions on their words", () => {
+  const scenes = applyTiming(gapped, 0, resolveTiming({ mode: "cues" }));
+  const selected = selectRange(scenes, 1500, 2500);
+
+  assert.equal(selected.startMs, 3000);
+  assert.equal(selected.endMs, 7000);
+  assert.deepEqual(
+    selected.scenes.map((s) => [s.cue_start_ms, s.cue_end_ms]),
+    [
+      [0, 1000],
+      [3000, 4000],
+    ]
+  );
+});
+
+test("a range in audio timing follows the video positions", () => {
+  const scenes = applyTiming(gapped, 8000, resolveTiming({ mode: "audio" }));
+  // a holds 0-3s, b 3-6s, c 6-8s
+  const selected = selectRange(scenes, 4000, 5000);
+
+  assert.deepEqual(
+    selected.scenes.map((s) => s.text),
+    ["b"]
+  );
+  assert.equal(selected.startMs, 3000);
+  assert.equal(selected.endMs, 6000);
+  assert.deepEqual(
+    selected.scenes.map((s) => [s.start_ms, s.end_ms]),
+    [[0, 3000]]
+  );
+  assert.equal(selected.scenes[0].cue_start_ms, 0);
+  assert.equal(selected.scenes[0].cue_end_ms, 1000);
+});
+
+test("a range outside the video is rejected", () => {
+  const scenes = applyTiming(gapped, 0, resolveTiming({ mode: "cues" }));
+  assert.throws(
+    () => selectRange(scenes, 5000, 6000),
+    /Preview range 5-6s is outside the video \(3.0s long\)/
+  );
+});
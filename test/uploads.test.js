@@ -0,0 +1,305 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const {
+  SessionStore,
+  safeFilename,
+  sniffMediaKind,
+  checkUploadContent,
+  createUploadFields,
+} = require("../uploads");
+
+const PNG = Buffer.concat([
+  Buffer.from("89504e470d0a1a0a0000000d49484452", "hex"),
+  Buffer.alloc(64),
+]);
+const WAV = Buffer.concat([
+  Buffer.from("RIFF\0\0\0\0WAVEfmt ", "latin1"),
+  Buffer.alloc(64),
+]);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "kahani-uploads-"));
+const sessions = new SessionStore({ uploadsDir: tempDir });
+const limits = { fileBytes: 1024, sessionBytes: 3000, files: 3 };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  const uploadFields = createUploadFields({
+    sessions,
+    limits,
+    fields: [
+      { name: "audio", maxCount: 1 },
+      { name: "srt", maxCount: 1 },
+      { name: "images", maxCount: 10 },
+    ],
+  });
+  app.post("/upload", uploadFields, (req, res) => res.json({ success: true }));
+  // A route that only takes subtitles
+  app.post(
+    "/subtitles",
+    (req, res, next) => {
+      req.uploadKinds = ["srt"];
+      next();
+    },
+    uploadFields,
+    (req, res) => res.json({ success: true })
+  );
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// files: [field, name, bytes, type?]
+async function upload(sessionId, files, route = "/upload") {
+  const form = new FormData();
+  for (const [field, name, bytes, type] of files) {
+    form.append(field, new Blob([bytes], { type }), name);
+  }
+  const query = sessionId === undefined ? "" : `?sessionId=${sessionId}`;
+  const res = await fetch(`${baseUrl}${route}${query}`, {
+    method: "POST",
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const filesIn = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).sort() : []);
+
+test("session ids must be issued by the server", async () => {
+  const id = sessions.create();
+  assert.equal(sessions.dir(id), path.join(tempDir, id));
+  assert.throws(() => sessions.dir("../etc"), /Invalid session id/);
+  assert.throws(() => sessions.dir("not-a-uuid"), /Invalid session id/);
+  assert.throws(() => sessions.dir(undefined), /Invalid session id/);
+  assert.throws(
+    () => sessions.dir("00000000-0000-4000-8000-000000000000"),
+    /Unknown or expired session/
+  );
+});
+
+test("uploads to forged or missing sessions are rejected", async () => {
+  for (const sessionId of [
+    undefined,
+    "..%2F..%2Ftmp",
+    "abc",
+    "00000000-0000-4000-8000-000000000000",
+  ]) {
+    const res = await upload(sessionId, [["images", "a.png", PNG]]);
+    assert.equal(res.status, 400, String(sessionId));
+    assert.match(res.body.error, /session/);
+  }
+  assert.equal(fs.existsSync(path.join(tempDir, "..", "tmp", "images")), false);
+});
+
+test("safeFilename drops directories and special characters", () => {
+  assert.equal(safeFilename("../../etc/passwd"), "passwd");
+  assert.equal(safeFilename("..\\..\\boot.ini"), "boot.ini");
+  assert.equal(safeFilename("/etc/shadow"), "shadow");
+  assert.equal(safeFilename("C:\\Windows\\win.ini"), "win.ini");
+  assert.equal(safeFilename(".."), "file");
+  assert.equal(safeFilename(".hidden"), "hidden");
+  assert.equal(safeFilename("a:b*c?.png"), "a_b_c_.png");
+  assert.equal(safeFilename("कहानी 1.png"), "कहानी 1.png");
+  assert.equal(safeFilename(""), "file");
+
+  const long = safeFilename("x".repeat(300) + ".jpeg");
+  assert.equal(long.length, 200);
+  assert.ok(long.endsWith(".jpeg"));
+});
+
+test("traversal and absolute file names stay inside the session", async () => {
+  const id = sessions.create();
+  const res = await upload(id, [
+    ["images", "../../escape.png", PNG, "image/png"],
+    ["images", "/tmp/absolute.png", PNG, "image/png"],
+    ["srt", "..\\..\\story.srt", "1\n00:00:00,000 --> 00:00:01,000\nHi\n"],
+  ]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "images")), [
+    "absolute.png",
+    "escape.png",
+  ]);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "srt")), ["story.srt"]);
+  assert.equal(fs.existsSync(path.join(tempDir, "escape.png")), false);
+  assert.equal(fs.existsSync(path.join(os.tmpdir(), "absolute.png")), false);
+});
+
+test("files over the size limit are rejected and removed", async () => {
+  const id = sessions.create();
+  const big = Buffer.concat([PNG, Buffer.alloc(limits.fileBytes)]);
+  const res = await upload(id, [
+    ["images", "small.png", PNG],
+    ["images", "big.png", big],
+  ]);
+  assert.equal(res.status, 413);
+  assert.match(res.body.error, /File too large/);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "images")), []);
+});
+
+test("uploads over the session size limit are rejected", async () => {
+  const id = sessions.create();
+  const part = Buffer.concat([PNG, Buffer.alloc(900)]);
+  const first = await upload(id, [
+    ["images", "1.png", part],
+    ["images", "2.png", part],
+  ]);
+  assert.equal(first.status, 200);
+
+  const second = await upload(id, [["images", "3.png", part]]);
+  assert.equal(second.status, 413);
+  assert.match(second.body.error, /Upload exceeds/);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "images")), [
+    "1.png",
+    "2.png",
+  ]);
+});
+
+test("uploads over the file count limits are rejected", async () => {
+  const id = sessions.create();
+  const tooMany = await upload(
+    id,
+    [1, 2, 3, 4].map((n) => ["images", `${n}.png`, PNG])
+  );
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.error, /Too many files/);
+
+  const twoAudio = await upload(id, [
+    ["audio", "a.wav", WAV],
+    ["audio", "b.wav", WAV],
+  ]);
+  assert.equal(twoAudio.status, 400);
+  assert.match(twoAudio.body.error, /Unexpected field/);
+
+  const unknownField = await upload(id, [["payload", "x.png", PNG]]);
+  assert.equal(unknownField.status, 400);
+
+  assert.deepEqual(filesIn(path.join(tempDir, id, "images")), []);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "audio")), []);
+});
+
+test("a declared MIME type that doesn't fit the field is rejected", async () => {
+  const id = sessions.create();
+  const res = await upload(id, [["audio", "story.mp3", WAV, "text/html"]]);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Unexpected text\/html file for "audio"/);
+});
+
+test("renamed non-media files are rejected by their content", async () => {
+  const id = sessions.create();
+  const script = Buffer.from("#!/bin/sh\nrm -rf /\n".repeat(4));
+  const res = await upload(id, [
+    ["images", "ok.png", PNG, "image/png"],
+    ["images", "photo.png", script, "image/png"],
+  ]);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /"photo.png" is not a valid image or video/);
+  assert.deepEqual(filesIn(path.join(tempDir, id, "images")), []);
+
+  const wrongKind = await upload(id, [["audio", "story.mp3", PNG]]);
+  assert.equal(wrongKind.status, 400);
+  assert.match(wrongKind.body.error, /not a valid audio or video file/);
+
+  const binarySrt = await upload(id, [["srt", "story.srt", WAV]]);
+  assert.equal(binarySrt.status, 400);
+  assert.match(binarySrt.body.error, /not a text file/);
+});
+
+test("a rejected upload leaves stored files of the same name alone", async () => {
+  const id = sessions.create();
+  const srt = "1\n00:00:00,000 --> 00:00:01,000\nHi\n";
+  assert.equal(
+    (
+      await upload(id, [
+        ["images", "cover.png", PNG],
+        ["srt", "story.srt", srt],
+      ])
+    ).status,
+    200
+  );
+
+  const script = Buffer.from("#!/bin/sh\nrm -rf /\n".repeat(4));
+  const res = await upload(id, [
+    ["srt", "story.srt", "changed"],
+    ["images", "cover.png", script],
+  ]);
+  assert.equal(res.status, 400);
+  assert.deepEqual(
+    fs.readFileSync(path.join(tempDir, id, "images", "cover.png")),
+    PNG
+  );
+  assert.equal(
+    fs.readFileSync(path.join(tempDir, id, "srt", "story.srt"), "utf8"),
+    srt
+  );
+  assert.deepEqual(filesIn(path.join(tempDir, id)), ["images", "srt"]);
+
+  const replaced = await upload(id, [["srt", "story.srt", "changed"]]);
+  assert.equal(replaced.status, 200);
+  assert.equal(
+    fs.readFileSync(path.join(tempDir, id, "srt", "story.srt"), "utf8"),
+    "changed"
+  );
+  assert.deepEqual(filesIn(path.join(tempDir, id)), ["images", "srt"]);
+});
+
+test("duplicate file names in one upload are rejected", async () => {
+  const id = sessions.create();
+  const res = await upload(id, [
+    ["images", "1.png", PNG],
+    ["images", "dir/1.png", PNG],
+  ]);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Duplicate file name "1.png" for "images"/);
+  assert.deepEqual(filesIn(path.join(tempDir, id)), []);
+});
+
+test("a route can limit the fields it takes", async () => {
+  const id = sessions.create();
+  const res = await upload(id, [["images", "1.png", PNG]], "/subtitles");
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Only srt files can be uploaded here/);
+  assert.deepEqual(filesIn(path.join(tempDir, id)), []);
+});
+
+test("sniffMediaKind recognises common signatures", () => {
+  const head = (hex, ascii = "") =>
+    Buffer.concat([
+      Buffer.from(hex, "hex"),
+      Buffer.from(ascii, "latin1"),
+      Buffer.alloc(16),
+    ]);
+  assert.equal(sniffMediaKind(PNG), "image");
+  assert.equal(sniffMediaKind(head("ffd8ffe0")), "image");
+  assert.equal(sniffMediaKind(head("", "RIFF\0\0\0\0WEBP")), "image");
+  assert.equal(sniffMediaKind(WAV), "audio");
+  assert.equal(sniffMediaKind(head("", "ID3")), "audio");
+  assert.equal(sniffMediaKind(head("fffb9064")), "audio");
+  assert.equal(sniffMediaKind(head("00000020", "ftypisom")), "video");
+  assert.equal(sniffMediaKind(head("00000020", "ftypM4A ")), "audio");
+  assert.equal(sniffMediaKind(head("00000020", "ftypheic")), "image");
+  assert.equal(sniffMediaKind(head("1a45dfa3")), "video");
+  assert.equal(sniffMediaKind(head("", "<html><body>")), null);
+  assert.equal(sniffMediaKind(head("", "%PDF-1.7")), null);
+});
+
+test("checkUploadContent rejects short and unknown fields", () => {
+  const file = path.join(tempDir, "short.png");
+  fs.writeFileSync(file, PNG.subarray(0, 8));
+  const stored = { fieldname: "images", originalname: "short.png", path: file };
+  assert.throws(() => checkUploadContent(stored), /not a valid image/);
+  assert.throws(
+    () => checkUploadContent({ ...stored, fieldname: "payload" }),
+    /Unexpected upload field "payload"/
+  );
+});
@@ -0,0 +1,164 @@
+// How scene timing relates to the narration audio:
+// - audio: scenes cover the whole audio, gaps between cues (and silence
+//   before the first / after the last cue) are filled according to gapFill
+// - cues: scenes only cover their cue ranges, gaps are dropped
+const TIMING_MODES = ["cues", "audio"];
+
+// How a gap is filled in "audio" mode
+// - previous: hold the scene before the gap longer
+// - next: start the scene after the gap earlier
+// - filler: insert a plain color card
+const GAP_FILLS = ["previous", "next", "filler"];
+
+const DEFAULT_TIMING = {
+  mode: "cues",
+  gapFill: "previous",
+  fillerColor: "#000000",
+  minFillerMs: 500, // Shorter gaps are absorbed by the previous scene instead
+};
+
+/**
+ * Merge timing options with the defaults and validate them
+ */
+function resolveTiming(options = {}) {
+  const timing = { ...DEFAULT_TIMING };
+  for (const key of Object.keys(DEFAULT_TIMING)) {
+    if (options[key] !== undefined && options[key] !== "") {
+      timing[key] = options[key];
+    }
+  }
+
+  if (!TIMING_MODES.includes(timing.mode)) {
+    throw new Error(
+      `Unknown timing mode "${timing.mode}". Available: ${TIMING_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  if (!GAP_FILLS.includes(timing.gapFill)) {
+    throw new Error(
+      `Unknown gap fill "${timing.gapFill}". Available: ${GAP_FILLS.join(", ")}`
+    );
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(timing.fillerColor)) {
+    throw new Error(`Invalid filler color "${timing.fillerColor}"`);
+  }
+  timing.minFillerMs = Math.max(0, parseInt(timing.minFillerMs) || 0);
+
+  return timing;
+}
+
+/**
+ * Stretch scenes so they cover the narration from 0 to `audioDurationMs`.
+ *
+ * Every gap (lead-in, between cues, trailing audio) is filled according to
+ * `timing.gapFill`. Scenes keep their original cue range in
+ * cue_start_ms/cue_end_ms so captions stay on the spoken words. Filler
+ * scenes have `filler: true`, a `color` and no image.
+ *
+ * In "cues" mode the scenes are returned unchanged.
+ */
+function applyTiming(scenes, audioDurationMs, timing) {
+  const withCues = scenes.map((scene) => ({
+    ...scene,
+    cue_start_ms: scene.start_ms,
+    cue_end_ms: scene.end_ms,
+  }));
+  if (timing.mode === "cues" || withCues.length === 0) return withCues;
+
+  const end = Math.max(audioDurationMs, withCues[withCues.length - 1].end_ms);
+  const result = [];
+
+  // A gap is [start, stop) with the scenes before and after it (if any)
+  const fillGap = (start, stop, before, after) => {
+    if (stop <= start) return;
+
+    let fill = timing.gapFill;
+    if (fill === "filler" && stop - start < timing.minFillerMs) {
+      fill = "previous";
+    }
+    if (fill === "previous" && !before) fill = "next";
+    if (fill === "next" && !after) fill = "previous";
+
+    if (fill === "previous") {
+      before.end_ms = stop;
+    } else if (fill === "next") {
+      after.start_ms = start;
+    } else {
+      result.push({
+        filler: true,
+        color: timing.fillerColor,
+        image: null,
+        start_ms: start,
+        end_ms: stop,
+        text: "",
+      });
+    }
+  };
+
+  let cursor = 0;
+  let before = null;
+  for (const scene of withCues) {
+    fillGap(cursor, scene.start_ms, before, scene);
+    result.push(scene);
+    cursor = scene.end_ms;
+    before = scene;
+  }
+  fillGap(cursor, end, before, null);
+
+  return result;
+}
+
+/**
+ * Scenes for a preview of part of the video. `startMs`/`endMs` are positions
+ * in the rendered video; every scene overlapping them is kept whole, so the
+ * range widens to scene boundaries.
+ *
+ * Scene times are narration times. They match video positions in "audio"
+ * timing, but in "cues" timing the video drops the gaps between cues. So
+ * the narration range is taken from the kept scenes' own times, and scene
+ * and cue times move back by its start so captions line up with the audio.
+ *
+ * Returns { scenes, startMs, endMs } with the narration range to play.
+ */
+function selectRange(scenes, startMs, endMs) {
+  const kept = [];
+  let position = 0;
+
+  for (const scene of scenes) {
+    const sceneEnd = position + (scene.end_ms - scene.start_ms);
+    if (sceneEnd > startMs && position < endMs) kept.push(scene);
+    position = sceneEnd;
+  }
+
+  if (kept.length === 0) {
+    throw new Error(
+      `Preview range ${startMs / 1000}-${
+        endMs / 1000
+      }s is outside the video (${(position / 1000).toFixed(1)}s long)`
+    );
+  }
+
+  const rangeStart = kept[0].start_ms;
+  const shift = (ms) => (ms === undefined ? ms : ms - rangeStart);
+  return {
+    scenes: kept.map((scene) => ({
+      ...scene,
+      start_ms: shift(scene.start_ms),
+      end_ms: shift(scene.end_ms),
+      cue_start_ms: shift(scene.cue_start_ms),
+      cue_end_ms: shift(scene.cue_end_ms),
+    })),
+    startMs: rangeStart,
+    endMs: kept[kept.length - 1].end_ms,
+  };
+}
+
+module.exports = {
+  TIMING_MODES,
+  GAP_FILLS,
+  DEFAULT_TIMING,
+  resolveTiming,
+  applyTiming,
+  selectRange,
+};
@@ -0,0 +1,112 @@
+// Transition names accepted in options/manifests, mapped to FFmpeg xfade
+// transitions. "cut" has no overlap and joins clips back to back.
+const TRANSITIONS = {
+  cut: null,
+  crossfade: "fade",
+  fadeblack: "fadeblack",
+  fadewhite: "fadewhite",
+  dissolve: "dissolve",
+  wipeleft: "wipeleft",
+  wiperight: "wiperight",
+  wipeup: "wipeup",
+  wipedown: "wipedown",
+  slideleft: "slideleft",
+  slideright: "slideright",
+  slideup: "slideup",
+  slidedown: "slidedown",
+  zoomin: "zoomin",
+  circleopen: "circleopen",
+  radial: "radial",
+};
+
+const DEFAULT_TRANSITION = "crossfade";
+
+/**
+ * Validate a transition name, falling back to the default when empty
+ */
+function resolveTransition(name) {
+  const transition = name || DEFAULT_TRANSITION;
+  if (!(transition in TRANSITIONS)) {
+    throw new Error(
+      `Unknown transition "${transition}". Available: ${Object.keys(
+        TRANSITIONS
+      ).join(", ")}`
+    );
+  }
+  return transition;
+}
+
+/**
+ * Work out the transition between each pair of neighbouring scenes.
+ * A scene's own `transition`/`transition_duration` describe how it is
+ * entered; otherwise the global defaults apply. The overlap is capped at
+ * half of the shorter neighbour so a scene is never fully covered.
+ *
+ * Returns one entry per scene: { name, duration } for the transition out of
+ * that scene into the next (the last scene gets a zero-length cut).
+ */
+function planTransitions(scenes, defaultName, defaultDuration) {
+  return scenes.map((scene, index) => {
+    const next = scenes[index + 1];
+    if (!next) return { name: "cut", duration: 0 };
+
+    const name = resolveTransition(next.transition || defaultName);
+    if (TRANSITIONS[name] === null) return { name, duration: 0 };
+
+    const requested =
+      next.transition_duration !== undefined
+        ? next.transition_duration
+        : defaultDuration;
+    const maxOverlap =
+      Math.min(scene.end_ms - scene.start_ms, next.end_ms - next.start_ms) /
+      2000.0;
+    const duration = Math.max(0, Math.min(requested, maxOverlap));
+
+    return duration > 0 ? { name, duration } : { name: "cut", duration: 0 };
+  });
+}
+
+/**
+ * Build a filter_complex that joins the clip inputs with their transitions.
+ *
+ * Each clip i is expected to be rendered `plan[i].duration` seconds longer
+ * than its scene so the overlap eats only into that tail. Transition i then
+ * starts exactly at the boundary where scene i+1 begins, which keeps every
+ * scene on its cue timing and the total length equal to the sum of scenes.
+ *
+ * `sceneDurations` are in seconds. Returns { filters, outputLabel }.
+ */
+function buildTransitionGraph(sceneDurations, plan) {
+  const filters = [];
+  let current = "[0:v]";
+  let elapsed = 0;
+
+  for (let i = 1; i < sceneDurations.length; i++) {
+    elapsed += sceneDurations[i - 1];
+    const transition = plan[i - 1];
+    const label = `[v${i}]`;
+
+    if (TRANSITIONS[transition.name]) {
+      filters.push(
+        `${current}[${i}:v]xfade=transition=${
+          TRANSITIONS[transition.name]
+        }:duration=${transition.duration.toFixed(6)}:offset=${elapsed.toFixed(
+          6
+        )}${label}`
+      );
+    } else {
+      filters.push(`${current}[${i}:v]concat=n=2:v=1:a=0${label}`);
+    }
+    current = label;
+  }
+
+  return { filters, outputLabel: current };
+}
+
+module.exports = {
+  TRANSITIONS,
+  DEFAULT_TRANSITION,
+  resolveTransition,
+  planTransitions,
+  buildTransitionGraph,
+};
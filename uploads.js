@@ -0,0 +1,330 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+
+// Upload limits, per file and for everything stored in one session or
+// project folder
+const UPLOAD_LIMITS = {
+  fileBytes: (parseInt(process.env.MAX_UPLOAD_MB) || 500) * 1024 * 1024,
+  sessionBytes: (parseInt(process.env.MAX_SESSION_MB) || 2048) * 1024 * 1024,
+  files: 200,
+};
+
+// What each upload field may contain. Audio fields take video containers
+// too since FFmpeg only reads their audio stream.
+const FIELD_KINDS = {
+  audio: ["audio", "video"],
+  music: ["audio", "video"],
+  bgAudio: ["audio", "video"],
+  images: ["image", "video"],
+  visual: ["image", "video"],
+  srt: ["text"],
+  scenes: ["text"],
+  watermark: ["image"],
+  titleImage: ["image"],
+  endImage: ["image"],
+  outro: ["video"],
+};
+
+// Declared MIME types per kind. Browsers and curl send
+// application/octet-stream for anything they don't recognise, so that is
+// always let through and left to the content check.
+const KIND_MIME = {
+  audio: [/^audio\//, /^application\/(ogg|mp4)$/],
+  video: [/^video\//, /^application\/(ogg|mp4)$/],
+  image: [/^image\//],
+  text: [/^text\//, /^application\/(json|x-subrip)$/],
+};
+
+const SESSION_ID = /^[0-9a-f-]{36}$/;
+
+/**
+ * Upload sessions issued by the server. A session id is only valid once it
+ * has been created here, so clients can't point uploads or renders at
+ * arbitrary folders.
+ */
+class SessionStore {
+  constructor({ uploadsDir }) {
+    this.uploadsDir = uploadsDir;
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Issue a new session. Returns its id.
+   */
+  create() {
+    const id = crypto.randomUUID();
+    fs.mkdirSync(path.join(this.uploadsDir, id));
+    return id;
+  }
+
+  /**
+   * Folder of an issued session. Throws for malformed or unknown ids.
+   */
+  dir(id) {
+    if (!SESSION_ID.test(String(id))) {
+      throw new Error("Invalid session id");
+    }
+    const dir = path.join(this.uploadsDir, id);
+    if (!fs.existsSync(dir)) throw new Error("Unknown or expired session");
+    return dir;
+  }
+}
+
+/**
+ * A file name that is safe to store: no directories, no path or shell
+ * special characters, no leading dots, at most 200 characters. Letters of
+ * any script are kept so manifests can still refer to their images.
+ */
+function safeFilename(name) {
+  const base = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f:*?"<>|]/g, "_")
+    .replace(/^[\s.-]+/, "")
+    .trim();
+  if (!base) return "file";
+  if (base.length <= 200) return base;
+
+  const ext = path.extname(base).slice(0, 20);
+  return base.slice(0, 200 - ext.length) + ext;
+}
+
+/**
+ * Whether a file's declared MIME type fits its upload field
+ */
+function mimeAllowed(field, mimetype) {
+  const kinds = FIELD_KINDS[field];
+  if (!kinds) return false;
+  if (!mimetype || mimetype === "application/octet-stream") return true;
+  return kinds.some((kind) =>
+    KIND_MIME[kind].some((pattern) => pattern.test(mimetype))
+  );
+}
+
+// ISO base media (MP4, MOV, M4A, HEIC, AVIF) brands that are not video
+const FTYP_BRANDS = {
+  "M4A ": "audio",
+  "M4B ": "audio",
+  avif: "image",
+  avis: "image",
+  heic: "image",
+  heix: "image",
+  mif1: "image",
+  msf1: "image",
+};
+
+/**
+ * Media kind ("audio", "image" or "video") from a file's first bytes, or
+ * null when the format is not recognised
+ */
+function sniffMediaKind(head) {
+  const ascii = (start, end) => head.toString("latin1", start, end);
+
+  if (head[0] === 0x89 && ascii(1, 4) === "PNG") return "image";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image";
+  if (ascii(0, 4) === "GIF8") return "image";
+  if (ascii(0, 2) === "BM") return "image";
+  if (ascii(0, 4) === "RIFF") {
+    const type = ascii(8, 12);
+    if (type === "WEBP") return "image";
+    if (type === "WAVE") return "audio";
+    if (type === "AVI ") return "video";
+  }
+  if (ascii(4, 8) === "ftyp") return FTYP_BRANDS[ascii(8, 12)] || "video";
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return "video"; // WebM / Matroska
+  if (ascii(0, 3) === "FLV") return "video";
+  if (ascii(0, 3) === "ID3") return "audio";
+  if (ascii(0, 4) === "OggS" || ascii(0, 4) === "fLaC") return "audio";
+  // MPEG audio / ADTS AAC frame sync
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return "audio";
+  return null;
+}
+
+/**
+ * Check that a stored upload (a multer file) really is what its field
+ * expects. Text fields must be free of NUL bytes, media fields must start
+ * with a known audio, image or video signature. Throws when it is not.
+ */
+function checkUploadContent(file) {
+  const kinds = FIELD_KINDS[file.fieldname];
+  if (!kinds) throw new Error(`Unexpected upload field "${file.fieldname}"`);
+
+  const fd = fs.openSync(file.path, "r");
+  const head = Buffer.alloc(8192);
+  let length;
+  try {
+    length = fs.readSync(fd, head, 0, head.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (kinds.includes("text")) {
+    if (head.subarray(0, length).includes(0)) {
+      throw new Error(`"${file.originalname}" is not a text file`);
+    }
+    return;
+  }
+
+  const kind = length >= 12 ? sniffMediaKind(head.subarray(0, length)) : null;
+  if (!kinds.includes(kind)) {
+    throw new Error(
+      `"${file.originalname}" is not a valid ${kinds.join(" or ")} file`
+    );
+  }
+}
+
+/**
+ * Total size in bytes of the files below a folder
+ */
+function dirSize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  let bytes = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    bytes += entry.isDirectory()
+      ? dirSize(entryPath)
+      : fs.statSync(entryPath).size;
+  }
+  return bytes;
+}
+
+const formatMB = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+/**
+ * Upload middleware for the given multer `fields`: stores the files in
+ * the session given by ?sessionId= (or in req.uploadDir when a route has
+ * set it, e.g. a project), one subfolder per field. A route may limit the
+ * fields it takes with req.uploadKinds.
+ *
+ * Files are staged in a temporary folder inside the upload folder and only
+ * moved into place once every file's content and the folder's total size
+ * have been checked, so a rejected upload never touches the files already
+ * stored there. A rejected upload is removed again and answered with a
+ * JSON error.
+ */
+function createUploadFields({ sessions, fields, limits = UPLOAD_LIMITS }) {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const stagedDir = path.join(req.stagingDir, file.fieldname);
+      console.log(`[Upload] Receiving ${file.fieldname} in ${stagedDir}`);
+
+      if (!fs.existsSync(stagedDir)) {
+        fs.mkdirSync(stagedDir, { recursive: true });
+      }
+      cb(null, stagedDir);
+    },
+    filename: (req, file, cb) => {
+      const name = safeFilename(file.originalname);
+      const key = `${file.fieldname}/${name}`;
+      if (req.stagedNames.has(key)) {
+        return cb(
+          new Error(`Duplicate file name "${name}" for "${file.fieldname}"`)
+        );
+      }
+      req.stagedNames.add(key);
+      cb(null, name);
+    },
+  });
+
+  const multerFields = multer({
+    storage,
+    limits: { fileSize: limits.fileBytes, files: limits.files, fields: 20 },
+    fileFilter: (req, file, cb) => {
+      if (req.uploadKinds && !req.uploadKinds.includes(file.fieldname)) {
+        return cb(
+          new Error(
+            `Only ${req.uploadKinds.join(", ")} files can be uploaded here`
+          )
+        );
+      }
+      if (mimeAllowed(file.fieldname, file.mimetype)) return cb(null, true);
+      cb(new Error(`Unexpected ${file.mimetype} file for "${file.fieldname}"`));
+    },
+  }).fields(fields);
+
+  return function uploadFields(req, res, next) {
+    const reject = (status, message) => {
+      if (req.stagingDir) {
+        fs.rmSync(req.stagingDir, { recursive: true, force: true });
+      }
+      res.status(status).json({ error: message });
+    };
+
+    try {
+      req.uploadDir = req.uploadDir || sessions.dir(req.query.sessionId);
+    } catch (err) {
+      return reject(400, err.message);
+    }
+
+    const stored = dirSize(req.uploadDir);
+    const incoming = parseInt(req.headers["content-length"]) || 0;
+    if (stored + incoming > limits.sessionBytes) {
+      return reject(
+        413,
+        `Upload exceeds the ${formatMB(limits.sessionBytes)} limit`
+      );
+    }
+
+    req.stagingDir = path.join(req.uploadDir, `.upload-${crypto.randomUUID()}`);
+    req.stagedNames = new Set();
+
+    multerFields(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return reject(
+            413,
+            `File too large (max ${formatMB(limits.fileBytes)})`
+          );
+        }
+        return reject(400, err.message);
+      }
+
+      const files = Object.values(req.files || {}).flat();
+      try {
+        for (const file of files) checkUploadContent(file);
+      } catch (checkErr) {
+        return reject(400, checkErr.message);
+      }
+
+      // Bodies without a Content-Length are only measured once stored.
+      // Files that replace stored ones of the same name don't add up.
+      const finalPath = (file) =>
+        path.join(req.uploadDir, file.fieldname, file.filename);
+      const replaced = files
+        .map(finalPath)
+        .filter((file) => fs.existsSync(file))
+        .reduce((bytes, file) => bytes + fs.statSync(file).size, 0);
+      if (dirSize(req.uploadDir) - replaced > limits.sessionBytes) {
+        return reject(
+          413,
+          `Upload exceeds the ${formatMB(limits.sessionBytes)} limit`
+        );
+      }
+
+      for (const file of files) {
+        file.destination = path.join(req.uploadDir, file.fieldname);
+        fs.mkdirSync(file.destination, { recursive: true });
+        fs.renameSync(file.path, finalPath(file));
+        file.path = finalPath(file);
+      }
+      fs.rmSync(req.stagingDir, { recursive: true, force: true });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  FIELD_KINDS,
+  SessionStore,
+  safeFilename,
+  mimeAllowed,
+  sniffMediaKind,
+  checkUploadContent,
+  dirSize,
+  createUploadFields,
+};
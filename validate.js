@@ -0,0 +1,192 @@
+const fs = require("fs");
+const { parseSubtitles } = require("./subtitles");
+const { validateScenesManifest, listSources } = require("./scenes");
+
+/**
+ * Report gaps between consecutive cues and lead-in before the first one.
+ * With "cues" timing the picture is only built from cue ranges, so both
+ * drift against the audio.
+ */
+function checkGaps(ranges, add) {
+  if (ranges.length && ranges[0].start_ms > 0) {
+    add(
+      "warning",
+      `First cue starts at ${ranges[0].start_ms}ms; the lead-in before it is not covered by any scene`,
+      1
+    );
+  }
+  for (let i = 1; i < ranges.length; i++) {
+    const gap = ranges[i].start_ms - ranges[i - 1].end_ms;
+    if (gap > 0) {
+      add(
+        "warning",
+        `Gap of ${gap}ms between cue ${i} and cue ${
+          i + 1
+        }; picture will run ahead of the narration`,
+        i + 1
+      );
+    }
+  }
+}
+
+/**
+ * Pre-flight check of story inputs. Lists every problem that would make
+ * the render fail, silently reuse or skip material, or drift out of sync.
+ *
+ * Returns { ok, errorCount, warningCount, sceneCount, imageCount, issues }
+ * where each issue is { severity: "error" | "warning", scene, message }.
+ * `ok` is false when any blocking error was found. Gaps are only reported
+ * for `timingMode` "cues"; "audio" timing fills them (see timing.js).
+ */
+function validateStoryInputs({
+  srtContent,
+  subtitleFormat,
+  scenesManifest,
+  imageDir,
+  timingMode = "cues",
+}) {
+  const issues = [];
+  const add = (severity, message, scene = null) =>
+    issues.push({ severity, scene, message });
+
+  let images = [];
+  if (!imageDir || !fs.existsSync(imageDir)) {
+    add("error", "Image directory not found");
+  } else {
+    images = listSources(imageDir);
+    if (images.length === 0) {
+      add("error", "No images or videos (png, jpg, webp, mp4, gif...) found");
+    }
+  }
+
+  let sceneCount = 0;
+
+  if (scenesManifest) {
+    let manifest = scenesManifest;
+    if (typeof manifest === "string") {
+      try {
+        manifest = JSON.parse(manifest.replace(/^\uFEFF/, ""));
+      } catch (err) {
+        add("error", `Scenes manifest is not valid JSON: ${err.message}`);
+        manifest = null;
+      }
+    }
+
+    if (manifest !== null) {
+      for (const message of validateScenesManifest(manifest, imageDir)) {
+        const match = /^Scene (\d+):/.exec(message);
+        add("error", message, match ? parseInt(match[1]) : null);
+      }
+    }
+
+    if (Array.isArray(manifest)) {
+      sceneCount = manifest.length;
+      if (timingMode === "cues") {
+        checkGaps(
+          manifest.filter(
+            (s) => s && Number.isFinite(s.start_ms) && Number.isFinite(s.end_ms)
+          ),
+          add
+        );
+      }
+      const used = new Set(manifest.map((s) => s && s.image));
+      const unused = images.filter((img) => !used.has(img));
+      if (unused.length) {
+        add(
+          "warning",
+          `${unused.length} image(s) not used by any scene: ${unused.join(
+            ", "
+          )}`
+        );
+      }
+    }
+  } else {
+    let parsed;
+    try {
+      parsed = parseSubtitles(srtContent, { format: subtitleFormat });
+    } catch (err) {
+      add("error", err.message);
+      parsed = { format: subtitleFormat, cues: [], rejected: [] };
+    }
+    const { cues: ranges, rejected } = parsed;
+    sceneCount = ranges.length;
+
+    for (const block of rejected) {
+      add(
+        "error",
+        `Subtitle text at line ${
+          block.line
+        } has no valid timing and would be skipped: "${
+          block.text.split("\n")[0]
+        }"`
+      );
+    }
+    if (ranges.length === 0) add("error", "No subtitle cues found");
+
+    ranges.forEach((range, i) => {
+      if (range.end_ms <= range.start_ms) {
+        add(
+          "error",
+          `Cue ${i + 1} has zero or negative length (${range.start_ms}ms --> ${
+            range.end_ms
+          }ms)`,
+          i + 1
+        );
+      }
+      if (i > 0 && range.start_ms < ranges[i - 1].end_ms) {
+        add(
+          "error",
+          `Cue ${i + 1} overlaps cue ${i} by ${
+            ranges[i - 1].end_ms - range.start_ms
+          }ms`,
+          i + 1
+        );
+      }
+    });
+    if (timingMode === "cues") checkGaps(ranges, add);
+
+    if (images.length && ranges.length > images.length) {
+      const first = images.length + 1;
+      const cues =
+        first === ranges.length
+          ? `cue ${first}`
+          : `cues ${first}-${ranges.length}`;
+      add(
+        "error",
+        `${ranges.length} cues but only ${images.length} images; ${cues} would reuse the last image`
+      );
+    } else if (images.length > ranges.length && ranges.length) {
+      const extra = images.slice(ranges.length);
+      add(
+        "warning",
+        `${extra.length} extra image(s) would be ignored: ${extra.join(", ")}`
+      );
+    }
+  }
+
+  const errorCount = issues.filter((i) => i.severity === "error").length;
+  return {
+    ok: errorCount === 0,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    sceneCount,
+    imageCount: images.length,
+    issues,
+  };
+}
+
+/**
+ * Human readable report for logs and the CLI
+ */
+function formatReport(report) {
+  const lines = [
+    `Pre-flight check: ${report.sceneCount} scene(s), ${report.imageCount} image(s), ${report.errorCount} error(s), ${report.warningCount} warning(s)`,
+  ];
+  for (const issue of report.issues) {
+    const icon = issue.severity === "error" ? "✗" : "⚠";
+    lines.push(`  ${icon} ${issue.severity}: ${issue.message}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { validateStoryInputs, formatReport };